@@ -2,53 +2,102 @@
  * algorithm-visualizations.js - Bootstrap & picker for algorithm visualizations.
  *
  * Each visualization lives in its own module under ./visualizations/.
- * Modules are loaded lazily on first selection via dynamic import().
+ * visualizations/catalog.js lists them all; the picker (fuzzy search, tag
+ * filters, keyboard navigation) and the lazy-loading registry are both
+ * built from it.  Modules are loaded on first selection via import().
+ * Plugin modules listed in the page's #vizPlugins block add their own
+ * entries through registerVisualization() (viz-plugins.js).
+ * The selected key (plus each panel's step/input) is mirrored in the URL
+ * hash, so links such as #viz=lru-cache&step=9&input=… reopen that state.
+ * "Compare with" shows a second panel beside it, stepped in lock-step.
+ * Finished visualizations are marked in the picker (viz-progress.js).
+ * Hidden panels are paused, and the least recently shown ones are
+ * disposed and later re-created from their markup (see Panel lifecycle).
  */
 
 import { getReducedMotion } from './bg-utils.js';
+import {
+  readVisualizationHash, writeVisualizationHash, isColorSafeMode, setColorSafeMode,
+  createVisualizationAutoplaySkill,
+} from './viz-core.js';
+import { getProgress, PROGRESS_CHANGE_EVENT } from './viz-progress.js';
+import { loadVisualizationPlugins } from './viz-plugins.js';
+import { VISUALIZATIONS } from './visualizations/catalog.js';
 
 /* --- Lazy-loading registry ---------------------------------------- */
 
-const vizModules = {
-  'floyd':          () => import('./visualizations/floyd.js'),
-  'tree':           () => import('./visualizations/tree.js'),
-  'hash':           () => import('./visualizations/hash-table.js'),
-  'fibonacci':      () => import('./visualizations/fibonacci.js'),
-  'merge-lists':    () => import('./visualizations/merge-lists.js'),
-  'merge-array':    () => import('./visualizations/merge-array.js'),
-  'moving-average': () => import('./visualizations/moving-average.js'),
-  'recent-calls':   () => import('./visualizations/recent-calls.js'),
-  'sqrt':           () => import('./visualizations/sqrt.js'),
-  'majority':       () => import('./visualizations/majority.js'),
-  'excel':          () => import('./visualizations/excel.js'),
-  'hamming':        () => import('./visualizations/hamming.js'),
-  'reverse-bits':   () => import('./visualizations/reverse-bits.js'),
-  'lru-cache':      () => import('./visualizations/lru-cache.js'),
-  'lfu-cache':      () => import('./visualizations/lfu-cache.js'),
-};
+const catalog = new Map(VISUALIZATIONS.map((entry) => [entry.key, entry]));
+
+function titleOf(key) {
+  return catalog.get(key)?.title ?? key;
+}
+
+/** Catalog entries grouped by category, in catalog order. */
+function groupByCategory(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.category)) groups.set(entry.category, []);
+    groups.get(entry.category).push(entry);
+  }
+  return groups;
+}
 
 const initialized = new Set();
 const loading = new Map();
+/**
+ * Panel handles returned by each module's init (see createPanelHandle),
+ * least recently shown first.
+ */
+const handles = new Map();
+/** Each panel's `<article>` on the page, and a copy of its untouched markup. */
+const panelItems = new Map();
+const templates = new Map();
 
-async function ensureVisualization(key) {
-  if (initialized.has(key)) return;
+/** Record the page's panels; call before any module adds its controls. */
+function registerPanelItems(items) {
+  for (const item of items) {
+    panelItems.set(item.dataset.animation, item);
+    templates.set(item.dataset.animation, item.cloneNode(true));
+  }
+}
 
-  const loadModule = vizModules[key];
-  if (!loadModule) return;
+async function importVisualization(key) {
+  const mod = await catalog.get(key).load();
+  if (typeof mod?.default !== 'function') {
+    throw new Error(`Visualization module "${key}" does not export a default init function.`);
+  }
+  return mod.default;
+}
+
+/**
+ * Load and initialize `key` once (again after disposeVisualization);
+ * resolves to its panel handle, or null.  Counts as showing the panel.
+ */
+async function ensureVisualization(key) {
+  if (!catalog.has(key)) return null;
+  if (handles.has(key)) {
+    const handle = handles.get(key);
+    handles.delete(key);
+    handles.set(key, handle);
+    return handle;
+  }
 
   if (loading.has(key)) {
-    await loading.get(key);
-    return;
+    try {
+      await loading.get(key);
+    } catch {
+      // Already reported by the call that started the load.
+    }
+    return handles.get(key) ?? null;
   }
 
+  if (initialized.has(key)) return null;
+
   const loadPromise = (async () => {
     initialized.add(key);
     try {
-      const mod = await loadModule();
-      if (typeof mod?.default !== 'function') {
-        throw new Error(`Visualization module "${key}" does not export a default init function.`);
-      }
-      mod.default();
+      const init = await importVisualization(key);
+      handles.set(key, init() ?? null);
     } catch (e) {
       initialized.delete(key);
       throw e;
@@ -64,34 +113,573 @@ async function ensureVisualization(key) {
   } catch (e) {
     console.error('Failed to load visualization "' + key + '":', e);
   }
+  return handles.get(key) ?? null;
+}
+
+/* --- Panel lifecycle --------------------------------------------- */
+
+/**
+ * How many panels stay initialized; past that, hidden ones are disposed,
+ * least recently shown first.  Devices reporting little memory keep fewer.
+ */
+const MAX_LIVE_PANELS = (navigator.deviceMemory ?? 8) <= 2 ? 2 : 4;
+
+/** Whether the JS heap is over 70% of its limit (only Chromium reports it). */
+function isMemoryTight() {
+  const memory = performance.memory;
+  return Boolean(memory?.jsHeapSizeLimit) && memory.usedJSHeapSize > memory.jsHeapSizeLimit * 0.7;
+}
+
+/**
+ * Dispose `key`'s panel and put its untouched markup back, so the next
+ * ensureVisualization() builds it from scratch.
+ */
+function disposeVisualization(key) {
+  const handle = handles.get(key);
+  handles.delete(key);
+  initialized.delete(key);
+  handle?.dispose();
+  const item = panelItems.get(key);
+  const fresh = templates.get(key).cloneNode(true);
+  fresh.hidden = item.hidden;
+  item.replaceWith(fresh);
+  panelItems.set(key, fresh);
+}
+
+/**
+ * Pause every live panel not in `visibleKeys`, disposing hidden ones,
+ * least recently shown first, while more than `limit` are live.  Under
+ * memory pressure every hidden panel goes.
+ */
+function trimVisualizations(visibleKeys, limit = isMemoryTight() ? 0 : MAX_LIVE_PANELS) {
+  let live = handles.size;
+  for (const [key, handle] of handles) {
+    if (visibleKeys.has(key)) continue;
+    if (live > limit) {
+      disposeVisualization(key);
+      live -= 1;
+    } else {
+      handle?.pause();
+    }
+  }
 }
 
-/* --- Picker ------------------------------------------------------- */
+/* --- Plugins ----------------------------------------------------- */
+
+/** Plugin module URLs from the page's `#vizPlugins` JSON array. */
+function readPluginUrls() {
+  const config = document.getElementById('vizPlugins');
+  if (!config) return [];
+  try {
+    const urls = JSON.parse(config.textContent || '[]');
+    if (Array.isArray(urls) && urls.every((url) => typeof url === 'string')) return urls;
+  } catch {
+    // Reported below.
+  }
+  console.error('#vizPlugins must hold a JSON array of module URLs.');
+  return [];
+}
+
+/** Load the listed plugins; their panels follow the page's own. */
+async function initPlugins() {
+  const urls = readPluginUrls();
+  if (urls.length === 0) return;
+  const plugins = await loadVisualizationPlugins(urls);
+  const lastItem = Array.from(document.querySelectorAll('.algo-item[data-animation]')).pop();
+  if (!lastItem) return;
+  lastItem.after(...plugins.map((plugin) => plugin.panel));
+  for (const plugin of plugins) catalog.set(plugin.key, plugin);
+}
+
+/* --- Side-by-side comparison -------------------------------------- */
+
+const COMPARE_ID_SUFFIX = 'Compare';
+const ID_REF_ATTRIBUTES = ['for', 'aria-controls', 'aria-describedby', 'aria-labelledby'];
+
+/**
+ * Copy a panel's untouched markup with every ID suffixed, so a module can
+ * be compared with itself.  Without `data-animation` the copy is never
+ * picked on its own and never writes the URL hash.
+ */
+function clonePanelTemplate(template) {
+  const item = template.cloneNode(true);
+  item.removeAttribute('data-animation');
+  for (const el of [item, ...item.querySelectorAll('*')]) {
+    if (el.id) el.id += COMPARE_ID_SUFFIX;
+    for (const attr of ID_REF_ATTRIBUTES) {
+      const refs = el.getAttribute(attr);
+      if (refs) el.setAttribute(attr, refs.split(/\s+/).map((id) => id + COMPARE_ID_SUFFIX).join(' '));
+    }
+  }
+  return item;
+}
+
+/**
+ * Wire the "Compare with" select: the chosen panel is shown to the right of
+ * the picked one, and the shared Prev / Next / Reset / Play controls drive
+ * both through their panel handles.  Panels whose handles report the same
+ * `inputShape` start from one input.  Call the returned `update()` after
+ * every picker selection; `getSelected()` returns the picked key, and
+ * `getCompared()` the key shown beside it.
+ */
+function initCompareView(entries, getSelected) {
+  const select = document.getElementById('comparePicker');
+  const controls = document.getElementById('compareControls');
+  const statusEl = document.getElementById('compareStatus');
+  const prevBtn = document.getElementById('comparePrev');
+  const nextBtn = document.getElementById('compareNext');
+  const resetBtn = document.getElementById('compareReset');
+  const shareBtn = document.getElementById('compareShare');
+  if (!select || !controls || !statusEl || !prevBtn || !nextBtn || !resetBtn || !shareBtn) {
+    return { update() {}, getCompared: () => '' };
+  }
+
+  const container = panelItems.values().next().value.parentElement;
+  const copies = new Map();
+  let pair = null;
+  let updateId = 0;
+
+  for (const [category, group] of groupByCategory(entries)) {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = category;
+    for (const entry of group) {
+      const option = document.createElement('option');
+      option.value = entry.key;
+      option.textContent = entry.title;
+      optgroup.append(option);
+    }
+    select.append(optgroup);
+  }
+
+  function canShareInput() {
+    return pair !== null && pair.a.inputShape !== null && pair.a.inputShape === pair.b.inputShape;
+  }
+
+  function showStatus(text) {
+    statusEl.textContent = text;
+    statusEl.hidden = !text;
+  }
+
+  function shareInput() {
+    if (!canShareInput()) return;
+    const shared = pair.b.setInput(structuredClone(pair.a.getInput()));
+    showStatus(shared
+      ? 'Both panels replay the same input.'
+      : 'The right panel could not take the left panel’s input.');
+  }
+
+  /** Run `method` on both handles, unless either is mid-transition. */
+  function stepBoth(method) {
+    if (!pair || pair.a.isBusy() || pair.b.isBusy()) return;
+    pair.a[method]();
+    pair.b[method]();
+  }
+
+  function resetBoth() {
+    if (!pair) return;
+    pair.a.reset();
+    pair.b.reset();
+  }
+
+  prevBtn.addEventListener('click', () => stepBoth('stepBackward'));
+  nextBtn.addEventListener('click', () => stepBoth('stepForward'));
+  resetBtn.addEventListener('click', resetBoth);
+  shareBtn.addEventListener('click', shareInput);
+
+  /* The panels ignore their keys while compared, so one press moves both in lock-step. */
+  document.addEventListener('keydown', (e) => {
+    if (!pair) return;
+    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      stepBoth('stepForward');
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      stepBoth('stepBackward');
+    } else if (e.key === 'r' || e.key === 'R') {
+      e.preventDefault();
+      resetBoth();
+    }
+  });
+
+  const autoplay = createVisualizationAutoplaySkill({
+    enabled: false,
+    stepInterval: 1000,
+    donePause: 1800,
+    controls,
+    isActive: () => pair !== null && document.visibilityState === 'visible',
+    isBusy: () => pair !== null && (pair.a.isBusy() || pair.b.isBusy()),
+    isDone: () => pair !== null && pair.a.isAtEnd() && pair.b.isAtEnd(),
+    onStep: () => stepBoth('stepForward'),
+    onReset: resetBoth,
+  });
+
+  /** Second instance of `key`, built from its template on first use. */
+  function getPanelCopy(key) {
+    if (!copies.has(key)) {
+      const item = clonePanelTemplate(templates.get(key));
+      item.dataset.compare = 'b';
+      container.append(item);
+      const created = importVisualization(key).then((init) => ({
+        item, handle: init({ idSuffix: COMPARE_ID_SUFFIX }) ?? null,
+      }));
+      created.catch(() => {
+        copies.delete(key);
+        item.remove();
+      });
+      copies.set(key, created);
+    }
+    return copies.get(key);
+  }
+
+  async function update() {
+    const id = ++updateId;
+    const aKey = getSelected();
+    const bKey = select.value;
+    autoplay.pause();
+    pair = null;
+    for (const [key, item] of panelItems) {
+      item.hidden = key !== aKey;
+      delete item.dataset.compare;
+    }
+    /* A self-comparison's copy lives only while it is shown. */
+    for (const [key, copy] of copies) {
+      if (key === aKey && key === bKey) continue;
+      copies.delete(key);
+      copy.then(({ item, handle }) => {
+        handle?.dispose();
+        item.remove();
+      }, () => {});
+    }
+
+    const aItem = panelItems.get(aKey);
+    if (!bKey || !aItem) {
+      container.classList.remove('is-comparing');
+      controls.hidden = true;
+      showStatus('');
+      return;
+    }
+
+    aItem.dataset.compare = 'a';
+    container.classList.add('is-comparing');
+    controls.hidden = false;
+    showStatus(`Loading ${titleOf(bKey)}…`);
+
+    let b = null;
+    try {
+      if (bKey === aKey) {
+        const copy = await getPanelCopy(bKey);
+        if (id !== updateId) return;
+        copy.item.dataset.compare = 'b';
+        copy.item.hidden = false;
+        b = copy.handle;
+      } else {
+        const bItem = panelItems.get(bKey);
+        bItem.dataset.compare = 'b';
+        bItem.hidden = false;
+        b = await ensureVisualization(bKey);
+      }
+    } catch (e) {
+      console.error('Failed to load visualization "' + bKey + '":', e);
+    }
+    const a = await ensureVisualization(aKey);
+    if (id !== updateId) return;
+
+    if (!a || !b) {
+      showStatus('These two panels cannot be stepped together.');
+      return;
+    }
+
+    a.pause();
+    b.pause();
+    pair = { a, b };
+    shareBtn.disabled = !canShareInput();
+    if (canShareInput()) {
+      shareInput();
+    } else {
+      showStatus(`${titleOf(aKey)} and ${titleOf(bKey)} take different inputs, so each keeps its own.`);
+    }
+    window.dispatchEvent(new Event('resize'));
+  }
+
+  select.addEventListener('change', async () => {
+    await update();
+    trimVisualizations(new Set([getSelected(), select.value]));
+  });
+  return { update, getCompared: () => select.value };
+}
+
+/* --- Catalog picker ----------------------------------------------- */
+
+const DIFFICULTY_LABELS = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+
+function isWordStart(text, at) {
+  return at === 0 || !/[a-z0-9]/.test(text[at - 1]);
+}
+
+/**
+ * How well `term` matches `text` (both lowercase): a substring beats any
+ * scattered in-order match, and runs and word starts score higher.
+ * -1 when the letters of `term` do not appear in `text` in order, or are
+ * so scattered that the match is mostly noise.
+ */
+function fuzzyScore(term, text) {
+  const exact = text.indexOf(term);
+  if (exact !== -1) return term.length * 4 + (isWordStart(text, exact) ? 4 : 0);
+
+  let score = 0;
+  let from = 0;
+  let last = -2;
+  for (const ch of term) {
+    const at = text.indexOf(ch, from);
+    if (at === -1) return -1;
+    if (at === last + 1) score += 2;
+    if (isWordStart(text, at)) score += 1;
+    last = at;
+    from = at + 1;
+  }
+  return score >= term.length ? score : -1;
+}
+
+/** Lowercase texts a search term may match: title, key, category, tags, … */
+function searchableTexts(entry) {
+  return [
+    entry.title, entry.key, entry.category, entry.difficulty,
+    ...entry.tags, entry.complexity?.time, entry.complexity?.space,
+  ].filter(Boolean).map((text) => text.toLowerCase());
+}
+
+/** Sum of each term's best score over `texts`; -1 if any term misses. */
+function matchScore(terms, texts) {
+  let total = 0;
+  for (const term of terms) {
+    const best = Math.max(...texts.map((text) => fuzzyScore(term, text)));
+    if (best < 0) return -1;
+    total += best;
+  }
+  return total;
+}
+
+function createCatalogOption(entry) {
+  const option = document.createElement('div');
+  option.id = `animationOption-${entry.key}`;
+  option.className = 'algo-catalog-option';
+  option.setAttribute('role', 'option');
+  option.setAttribute('aria-selected', 'false');
+  option.dataset.key = entry.key;
+
+  const title = document.createElement('span');
+  title.className = 'algo-catalog-title';
+  title.textContent = entry.title;
+
+  const done = document.createElement('span');
+  done.className = 'algo-catalog-done';
+  done.textContent = ' ✓ Finished';
+  done.hidden = true;
+  title.append(done);
+
+  const meta = document.createElement('span');
+  meta.className = 'algo-catalog-meta small muted';
+  meta.textContent = [
+    DIFFICULTY_LABELS[entry.difficulty],
+    entry.complexity?.time && `${entry.complexity.time} time`,
+    entry.complexity?.space && `${entry.complexity.space} space`,
+  ].filter(Boolean).join(' · ');
+
+  const tags = document.createElement('span');
+  tags.className = 'algo-catalog-tags small muted';
+  tags.textContent = entry.tags.map((tag) => `#${tag}`).join(' ');
+
+  option.append(title, meta, tags);
+  return option;
+}
+
+/**
+ * Build the searchable picker over `entries`: a combobox input that filters
+ * the listbox as you type (fuzzy, ranked), tag toggles that narrow it to
+ * entries carrying every pressed tag, and ↑ / ↓ / Enter / Escape in the
+ * input to move through matches, open one, or clear the search.  With no
+ * search text the matches stay grouped by category.  `onSelect(key)` runs
+ * when the user picks an entry; `setSelected(key)` marks one without it.
+ */
+function createCatalogPicker({ search, list, tagBar, countEl, entries, selected, onSelect }) {
+  const options = new Map(entries.map((entry) => [entry.key, createCatalogOption(entry)]));
+  const texts = new Map(entries.map((entry) => [entry.key, searchableTexts(entry)]));
+  const activeTags = new Set();
+  let selectedKey = selected;
+  let activeKey = null;
+  let visible = [];
+
+  function setActive(key, { scroll = false } = {}) {
+    options.get(activeKey)?.classList.remove('is-active');
+    activeKey = key;
+    const option = options.get(key);
+    if (!option) {
+      search.removeAttribute('aria-activedescendant');
+      return;
+    }
+    option.classList.add('is-active');
+    search.setAttribute('aria-activedescendant', option.id);
+    if (scroll) option.scrollIntoView({ block: 'nearest' });
+  }
+
+  function setSelected(key) {
+    selectedKey = key;
+    for (const [optionKey, option] of options) {
+      option.setAttribute('aria-selected', String(optionKey === key));
+    }
+  }
+
+  function render({ resetActive = false } = {}) {
+    const terms = search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    let shown = entries.filter((entry) => [...activeTags].every((tag) => entry.tags.includes(tag)));
+    if (terms.length > 0) {
+      shown = shown
+        .map((entry) => ({ entry, score: matchScore(terms, texts.get(entry.key)) }))
+        .filter(({ score }) => score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(({ entry }) => entry);
+    }
+    visible = shown.map((entry) => entry.key);
+
+    list.replaceChildren();
+    if (terms.length > 0) {
+      list.append(...visible.map((key) => options.get(key)));
+    } else {
+      for (const [category, group] of groupByCategory(shown)) {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'algo-catalog-group';
+        groupEl.setAttribute('role', 'group');
+        groupEl.setAttribute('aria-label', category);
+        const label = document.createElement('div');
+        label.className = 'algo-catalog-group-label small';
+        label.setAttribute('aria-hidden', 'true');
+        label.textContent = category;
+        groupEl.append(label, ...group.map((entry) => options.get(entry.key)));
+        list.append(groupEl);
+      }
+    }
+
+    if (resetActive || !visible.includes(activeKey)) {
+      const fallback = terms.length === 0 && visible.includes(selectedKey) ? selectedKey : visible[0];
+      setActive(fallback ?? null);
+    }
+
+    const filtered = terms.length > 0 || activeTags.size > 0;
+    if (visible.length === 0) {
+      countEl.textContent = 'No animation matches.';
+    } else {
+      countEl.textContent = filtered
+        ? `${visible.length} of ${entries.length} animations`
+        : `${entries.length} animations`;
+    }
+  }
+
+  function moveActive(delta) {
+    if (visible.length === 0) return;
+    const at = visible.indexOf(activeKey);
+    const next = at === -1
+      ? (delta > 0 ? 0 : visible.length - 1)
+      : Math.min(visible.length - 1, Math.max(0, at + delta));
+    setActive(visible[next], { scroll: true });
+  }
+
+  function pick(key) {
+    setActive(key);
+    if (key === selectedKey) return;
+    setSelected(key);
+    onSelect(key);
+  }
+
+  /** Mark finished entries, as recorded by viz-progress.js. */
+  function updateProgress() {
+    for (const [key, option] of options) {
+      const { completed, runs } = getProgress(key);
+      option.querySelector('.algo-catalog-done').hidden = !completed;
+      option.title = completed ? `Finished (${runs} run${runs === 1 ? '' : 's'})` : '';
+    }
+  }
+
+  const allTags = [...new Set(entries.flatMap((entry) => entry.tags))].sort();
+  for (const tag of allTags) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn algo-tag';
+    button.textContent = `#${tag}`;
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => {
+      if (activeTags.has(tag)) activeTags.delete(tag);
+      else activeTags.add(tag);
+      button.setAttribute('aria-pressed', String(activeTags.has(tag)));
+      render({ resetActive: true });
+    });
+    tagBar.append(button);
+  }
+
+  search.addEventListener('input', () => render({ resetActive: true }));
+  search.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveActive(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter' && activeKey) {
+      e.preventDefault();
+      pick(activeKey);
+    } else if (e.key === 'Escape' && search.value) {
+      e.preventDefault();
+      search.value = '';
+      render({ resetActive: true });
+    }
+  });
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) pick(option.dataset.key);
+  });
+  window.addEventListener(PROGRESS_CHANGE_EVENT, updateProgress);
+
+  setSelected(selectedKey);
+  updateProgress();
+  render({ resetActive: true });
+  return {
+    setSelected(key) {
+      setSelected(key);
+      if (!search.value) setActive(key);
+    },
+  };
+}
 
 function initAnimationPicker() {
-  const picker = document.getElementById('animationPicker');
+  const search = document.getElementById('animationSearch');
+  const list = document.getElementById('animationList');
+  const tagBar = document.getElementById('animationTags');
+  const countEl = document.getElementById('animationCount');
   const items = Array.from(document.querySelectorAll('.algo-item[data-animation]'));
-  if (!picker || items.length === 0) return;
+  if (!search || !list || !tagBar || !countEl || items.length === 0) return;
 
   const reduceMotion = getReducedMotion();
   const available = new Set(items.map((item) => item.dataset.animation).filter(Boolean));
+  const entries = Array.from(catalog.values()).filter((entry) => available.has(entry.key));
+  if (entries.length === 0) return;
 
-  if (!available.has(picker.value)) {
-    picker.value = items[0].dataset.animation || '';
-  }
+  const linkedKey = readVisualizationHash()?.key;
+  let selected = linkedKey && available.has(linkedKey) ? linkedKey : entries[0].key;
+  registerPanelItems(items);
+  const compareView = initCompareView(entries, () => selected);
+
+  const getVisibleKeys = () => new Set([selected, compareView.getCompared()]);
 
   async function applySelection({ scrollIntoView = false } = {}) {
-    const selected = picker.value;
-    let selectedItem = null;
+    for (const [key, item] of panelItems) item.hidden = key !== selected;
 
-    for (const item of items) {
-      const isMatch = item.dataset.animation === selected;
-      item.hidden = !isMatch;
-      if (isMatch) selectedItem = item;
-    }
+    /* Keep a deep link's step/input intact until the panel has read it. */
+    if (readVisualizationHash()?.key !== selected) writeVisualizationHash(selected);
 
-    await ensureVisualization(selected);
+    const handle = await ensureVisualization(selected);
+    handle?.resume();
+    window.dispatchEvent(new CustomEvent('visualizationshown', { detail: { key: selected } }));
+    await compareView.update();
+    trimVisualizations(getVisibleKeys());
 
+    const selectedItem = panelItems.get(selected);
     if (scrollIntoView && selectedItem) {
       selectedItem.scrollIntoView({
         behavior: reduceMotion ? 'auto' : 'smooth',
@@ -102,8 +690,35 @@ function initAnimationPicker() {
     window.dispatchEvent(new Event('resize'));
   }
 
-  picker.addEventListener('change', () => applySelection({ scrollIntoView: true }));
+  const picker = createCatalogPicker({
+    search, list, tagBar, countEl, entries, selected,
+    onSelect(key) {
+      selected = key;
+      applySelection({ scrollIntoView: true });
+    },
+  });
+
+  window.addEventListener('hashchange', () => {
+    const key = readVisualizationHash()?.key;
+    if (!key || key === selected || !available.has(key)) return;
+    selected = key;
+    picker.setSelected(key);
+    applySelection({ scrollIntoView: true });
+  });
+  /* A frozen page may be discarded next; keep only what is on screen. */
+  document.addEventListener('freeze', () => trimVisualizations(getVisibleKeys(), 0));
   applySelection();
 }
 
+/* --- Color-blind safe mode --------------------------------------- */
+
+function initColorSafeToggle() {
+  const toggle = document.getElementById('colorSafeToggle');
+  if (!toggle) return;
+  toggle.checked = isColorSafeMode();
+  toggle.addEventListener('change', () => setColorSafeMode(toggle.checked));
+}
+
+initColorSafeToggle();
+await initPlugins();
 initAnimationPicker();
@@ -3,6 +3,59 @@ function setCurrentYear() {
   if (yearEl) yearEl.textContent = String(new Date().getFullYear());
 }
 
+const THEME_STORAGE_KEY = 'theme';
+const THEMES = ['light', 'dark', 'contrast'];
+
+function getSystemTheme() {
+  if (window.matchMedia?.('(prefers-contrast: more)')?.matches) return 'contrast';
+  return window.matchMedia?.('(prefers-color-scheme: dark)')?.matches ? 'dark' : 'light';
+}
+
+/** Saved choice ('light' / 'dark' / 'contrast'), or 'auto' to follow the system. */
+function readThemePreference() {
+  try {
+    const saved = localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(saved) ? saved : 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+function saveThemePreference(preference) {
+  try {
+    if (preference === 'auto') localStorage.removeItem(THEME_STORAGE_KEY);
+    else localStorage.setItem(THEME_STORAGE_KEY, preference);
+  } catch {
+    // Storage blocked: the choice lasts for this page only.
+  }
+}
+
+function applyTheme(preference) {
+  const theme = preference === 'auto' ? getSystemTheme() : preference;
+  const root = document.documentElement;
+  if (root.dataset.theme !== theme) root.dataset.theme = theme;
+}
+
+function initTheme() {
+  let preference = readThemePreference();
+  applyTheme(preference);
+
+  for (const query of ['(prefers-color-scheme: dark)', '(prefers-contrast: more)']) {
+    window.matchMedia?.(query)?.addEventListener?.('change', () => {
+      if (preference === 'auto') applyTheme(preference);
+    });
+  }
+
+  const select = document.querySelector('[data-theme-select]');
+  if (!select) return;
+  select.value = preference;
+  select.addEventListener('change', () => {
+    preference = THEMES.includes(select.value) ? select.value : 'auto';
+    saveThemePreference(preference);
+    applyTheme(preference);
+  });
+}
+
 function initMenu() {
   const toggle = document.querySelector('[data-menu-toggle]');
   const overlay = document.querySelector('[data-menu-overlay]');
@@ -67,5 +120,6 @@ function initMenu() {
   });
 }
 
+initTheme();
 setCurrentYear();
 initMenu();
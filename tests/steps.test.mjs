@@ -0,0 +1,441 @@
+/**
+ * Checks the DOM-free step generators (visualizations/*.steps.js) against
+ * plain reference implementations.  Run from the repo root:
+ *
+ *   node --test tests/
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { issueCacheGet } from '../visualizations/cache-ops.js';
+import * as excel from '../visualizations/excel.steps.js';
+import * as fibonacci from '../visualizations/fibonacci.steps.js';
+import * as floyd from '../visualizations/floyd.steps.js';
+import * as hamming from '../visualizations/hamming.steps.js';
+import * as hashTable from '../visualizations/hash-table.steps.js';
+import * as lfuCache from '../visualizations/lfu-cache.steps.js';
+import * as lruCache from '../visualizations/lru-cache.steps.js';
+import * as majority from '../visualizations/majority.steps.js';
+import * as mergeArray from '../visualizations/merge-array.steps.js';
+import * as mergeLists from '../visualizations/merge-lists.steps.js';
+import * as movingAverage from '../visualizations/moving-average.steps.js';
+import * as recentCalls from '../visualizations/recent-calls.steps.js';
+import * as reverseBits from '../visualizations/reverse-bits.steps.js';
+import * as sqrt from '../visualizations/sqrt.steps.js';
+import * as tree from '../visualizations/tree.steps.js';
+
+/* ---- Helpers ---- */
+
+/** Small seeded PRNG (mulberry32), so generated cases are the same every run. */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomSortedList(random, maxLength) {
+  return Array.from({ length: randomInt(random, 0, maxLength) }, () => randomInt(random, -99, 99))
+    .sort((a, b) => a - b);
+}
+
+function randomCacheOps(random, count, keyRange) {
+  return Array.from({ length: count }, () => {
+    const key = randomInt(random, 1, keyRange);
+    return random() < 0.4 ? { type: 'get', key } : { type: 'put', key, value: randomInt(random, 1, 20) };
+  });
+}
+
+const last = (snapshots) => snapshots[snapshots.length - 1];
+
+/** Every snapshot has a status line and survives a JSON round trip (see viz-trace.js). */
+function assertWellFormed(snapshots) {
+  assert.ok(snapshots.length > 0);
+  for (const snapshot of snapshots) {
+    assert.equal(typeof snapshot.text, 'string');
+    assert.ok(snapshot.text.length > 0);
+  }
+  assert.deepEqual(JSON.parse(JSON.stringify(snapshots)), snapshots);
+}
+
+/* ---- Caches ---- */
+
+/** Brute-force LRU: an array of entries, least recently used first. */
+function referenceLru(capacity, ops) {
+  const entries = [];
+  return ops.map((op) => {
+    const index = entries.findIndex((e) => e.key === op.key);
+    const entry = index >= 0 ? entries.splice(index, 1)[0] : null;
+    if (op.type === 'get') {
+      if (entry) entries.push(entry);
+      return { result: entry ? entry.value : -1, evictedKey: null };
+    }
+    let evictedKey = null;
+    if (!entry && entries.length === capacity) evictedKey = entries.shift().key;
+    entries.push({ key: op.key, value: op.value });
+    return { result: null, evictedKey, order: entries.map((e) => e.key).reverse() };
+  });
+}
+
+/** Brute-force LFU: evict the lowest use count, then the least recently used. */
+function referenceLfu(capacity, ops) {
+  const entries = new Map();
+  let clock = 0;
+  return ops.map((op) => {
+    clock += 1;
+    const entry = entries.get(op.key);
+    if (op.type === 'get') {
+      if (!entry) return { result: -1, evictedKey: null };
+      entry.freq += 1;
+      entry.used = clock;
+      return { result: entry.value, evictedKey: null };
+    }
+    if (entry) {
+      entry.value = op.value;
+      entry.freq += 1;
+      entry.used = clock;
+      return { result: null, evictedKey: null };
+    }
+    let evictedKey = null;
+    if (entries.size === capacity) {
+      const victim = [...entries.values()].reduce((a, b) => (b.freq < a.freq || (b.freq === a.freq && b.used < a.used) ? b : a));
+      evictedKey = victim.key;
+      entries.delete(victim.key);
+    }
+    entries.set(op.key, { key: op.key, value: op.value, freq: 1, used: clock });
+    return { result: null, evictedKey };
+  });
+}
+
+/** Per-op snapshots: everything between the init snapshot and the closing one. */
+function opSnapshots(snapshots, ops) {
+  const steps = snapshots.slice(1, 1 + ops.length);
+  steps.forEach((snapshot, i) => assert.equal(snapshot.op, ops[i]));
+  return steps;
+}
+
+describe('lru-cache', () => {
+  it('returns the same get results and evictions as a brute-force LRU', () => {
+    const random = createRandom(1);
+    for (let run = 0; run < 200; run++) {
+      const capacity = randomInt(random, 1, 6);
+      const ops = randomCacheOps(random, randomInt(random, 1, 20), capacity + 4);
+      const snapshots = lruCache.buildSnapshots({ capacity, ops });
+      assertWellFormed(snapshots);
+      const expected = referenceLru(capacity, ops);
+      opSnapshots(snapshots, ops).forEach((snapshot, i) => {
+        const message = `capacity ${capacity}, op ${i} of ${JSON.stringify(ops)}`;
+        if (ops[i].type === 'get') assert.equal(snapshot.result, expected[i].result, message);
+        assert.equal(snapshot.evictedKey, expected[i].evictedKey, message);
+        if (expected[i].order) assert.deepEqual(snapshot.listOrder.map((e) => e.key), expected[i].order, message);
+      });
+    }
+  });
+
+  it('steps into a clicked get(key) right after the ops on screen', () => {
+    const ops = [{ type: 'put', key: 1, value: 5 }, { type: 'put', key: 2, value: 6 }, { type: 'get', key: 2 }];
+    const { input, step } = issueCacheGet({ capacity: 2, ops }, 2, 1);
+    assert.deepEqual(input.ops.map((op) => `${op.type} ${op.key}`), ['put 1', 'put 2', 'get 1', 'get 2']);
+    const snapshot = lruCache.buildSnapshots(input)[step];
+    assert.deepEqual([snapshot.op.key, snapshot.result], [1, 5]);
+
+    const full = Array.from({ length: 20 }, (_, i) => ({ type: 'put', key: i % 5, value: i }));
+    const atEnd = issueCacheGet({ capacity: 3, ops: full }, 21, 4);
+    assert.equal(atEnd.input.ops.length, 20);
+    assert.deepEqual(atEnd.input.ops.at(-1), { type: 'get', key: 4 });
+    assert.equal(atEnd.step, 20);
+  });
+});
+
+describe('lfu-cache', () => {
+  it('returns the same get results and evictions as a brute-force LFU', () => {
+    const random = createRandom(2);
+    for (let run = 0; run < 200; run++) {
+      const capacity = randomInt(random, 1, 6);
+      const ops = randomCacheOps(random, randomInt(random, 1, 20), capacity + 4);
+      const snapshots = lfuCache.buildSnapshots({ capacity, ops });
+      assertWellFormed(snapshots);
+      const expected = referenceLfu(capacity, ops);
+      opSnapshots(snapshots, ops).forEach((snapshot, i) => {
+        const message = `capacity ${capacity}, op ${i} of ${JSON.stringify(ops)}`;
+        if (ops[i].type === 'get') assert.equal(snapshot.result, expected[i].result, message);
+        assert.equal(snapshot.evictedKey, expected[i].evictedKey, message);
+      });
+    }
+  });
+});
+
+/* ---- Numbers and bits ---- */
+
+describe('sqrt', () => {
+  it('ends with Math.floor(Math.sqrt(x))', () => {
+    for (let x = 0; x <= 1000; x++) {
+      const snapshots = sqrt.buildSnapshots({ x });
+      assertWellFormed(snapshots);
+      assert.equal(last(snapshots).ans, Math.floor(Math.sqrt(x)), `x = ${x}`);
+    }
+  });
+});
+
+const BIT_CASES = [0, 1, 2, 3, 11, 43261596, 2 ** 31, 0x7fffffff, 0xffffffff, 4294967293];
+const randomBitCases = (seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: 200 }, () => Math.floor(random() * 2 ** 32));
+};
+
+describe('hamming', () => {
+  it('counts as many bits as popcount', () => {
+    for (const n of [...BIT_CASES, ...randomBitCases(3)]) {
+      const snapshots = hamming.buildSnapshots({ n });
+      assertWellFormed(snapshots);
+      const popcount = [...n.toString(2)].filter((bit) => bit === '1').length;
+      assert.equal(last(snapshots).hamm, popcount, `n = ${n}`);
+      assert.equal(snapshots.length, popcount + 2, `n = ${n}: one snapshot per set bit`);
+    }
+  });
+});
+
+describe('reverse-bits', () => {
+  it('matches reversing the 32-bit binary string', () => {
+    for (const n of [...BIT_CASES, ...randomBitCases(4)]) {
+      const snapshots = reverseBits.buildSnapshots({ n });
+      assertWellFormed(snapshots);
+      const reversed = parseInt([...n.toString(2).padStart(reverseBits.BITS, '0')].reverse().join(''), 2);
+      assert.equal(last(snapshots).res, reversed, `n = ${n}`);
+    }
+  });
+});
+
+describe('fibonacci', () => {
+  it('fills dp with the Fibonacci numbers', () => {
+    const reference = [0, 1];
+    while (reference.length <= 15) reference.push(reference.at(-1) + reference.at(-2));
+    for (let n = 2; n <= 15; n++) {
+      const snapshots = fibonacci.buildSnapshots({ n });
+      assertWellFormed(snapshots);
+      assert.deepEqual(last(snapshots).dp, reference.slice(0, n + 1));
+    }
+  });
+});
+
+describe('excel', () => {
+  it('converts column titles like the spreadsheet does', () => {
+    const cases = { A: 1, Z: 26, AA: 27, AB: 28, ZY: 701, AZZ: 1378, FXSHRXW: 2147483647 };
+    for (const [title, number] of Object.entries(cases)) {
+      const snapshots = excel.buildSnapshots({ title });
+      assertWellFormed(snapshots);
+      assert.equal(last(snapshots).result, number, title);
+    }
+  });
+
+  it('matches a base-26 reduce on random titles', () => {
+    const random = createRandom(5);
+    for (let run = 0; run < 100; run++) {
+      const title = Array.from({ length: randomInt(random, 1, 7) }, () => String.fromCharCode(65 + randomInt(random, 0, 25))).join('');
+      const number = [...title].reduce((sum, ch) => sum * 26 + (ch.charCodeAt(0) - 64), 0);
+      assert.equal(last(excel.buildSnapshots({ title })).result, number, title);
+    }
+  });
+});
+
+describe('majority', () => {
+  it('ends with the value that fills more than half of nums', () => {
+    const random = createRandom(6);
+    for (let run = 0; run < 200; run++) {
+      const length = randomInt(random, 1, 16);
+      const winner = randomInt(random, 0, 99);
+      const nums = Array.from({ length }, (_, i) => (i <= length / 2 ? winner : randomInt(random, 0, 99)))
+        .sort(() => random() - 0.5);
+      const snapshots = majority.buildSnapshots({ nums });
+      assertWellFormed(snapshots);
+      assert.equal(last(snapshots).candidate, winner, JSON.stringify(nums));
+    }
+  });
+});
+
+/* ---- Arrays and streams ---- */
+
+describe('merge-lists', () => {
+  it('merges into the sorted concatenation', () => {
+    const random = createRandom(7);
+    for (let run = 0; run < 200; run++) {
+      const list1 = randomSortedList(random, 6);
+      const list2 = randomSortedList(random, 6);
+      if (!list1.length && !list2.length) continue;
+      const snapshots = mergeLists.buildSnapshots({ list1, list2 });
+      assertWellFormed(snapshots);
+      assert.deepEqual(last(snapshots).merged, [...list1, ...list2].sort((a, b) => a - b));
+    }
+  });
+});
+
+describe('merge-array', () => {
+  it('leaves nums1 as the sorted concatenation', () => {
+    const random = createRandom(8);
+    for (let run = 0; run < 200; run++) {
+      const nums1 = randomSortedList(random, 6);
+      const nums2 = randomSortedList(random, 6);
+      if (!nums2.length) continue;
+      const snapshots = mergeArray.buildSnapshots({ nums1, nums2 });
+      assertWellFormed(snapshots);
+      assert.deepEqual(last(snapshots).arr, [...nums1, ...nums2].sort((a, b) => a - b));
+    }
+  });
+});
+
+describe('moving-average', () => {
+  it('averages the last windowSize values after each read', () => {
+    const random = createRandom(9);
+    for (let run = 0; run < 100; run++) {
+      const windowSize = randomInt(random, 1, 10);
+      const stream = Array.from({ length: randomInt(random, 1, 12) }, () => randomInt(random, -999, 999));
+      const snapshots = movingAverage.buildSnapshots({ windowSize, stream });
+      assertWellFormed(snapshots);
+      stream.forEach((_, i) => {
+        const window = stream.slice(Math.max(0, i - windowSize + 1), i + 1);
+        const snapshot = snapshots[i + 1];
+        assert.deepEqual(snapshot.queue, window);
+        assert.ok(Math.abs(snapshot.avg - window.reduce((a, b) => a + b, 0) / window.length) < 1e-9);
+      });
+    }
+  });
+
+  it('formats averages for the status line', () => {
+    assert.equal(movingAverage.formatAvg(null), '-');
+    assert.equal(movingAverage.formatAvg(4), '4.0');
+    assert.equal(movingAverage.formatAvg(14 / 3), '4.66667');
+    assert.equal(movingAverage.formatAvg(2.5), '2.5');
+  });
+});
+
+describe('recent-calls', () => {
+  it('counts the pings in [t - 3000, t]', () => {
+    const random = createRandom(10);
+    for (let run = 0; run < 100; run++) {
+      const pings = [];
+      let t = randomInt(random, 1, 200);
+      for (let i = randomInt(random, 1, 20); i > 0; i--) {
+        pings.push(t);
+        t += randomInt(random, 1, 1800);
+      }
+      const snapshots = recentCalls.buildSnapshots({ pings });
+      assertWellFormed(snapshots);
+      pings.forEach((ping, i) => {
+        const expected = pings.slice(0, i + 1).filter((p) => p >= ping - 3000).length;
+        assert.equal(snapshots[i + 1].count, expected, `ping(${ping}) in ${JSON.stringify(pings)}`);
+      });
+    }
+  });
+});
+
+/* ---- Standalone panels ---- */
+
+/** Reference BST as nested objects, and its traversals. */
+function referenceTraversals(values) {
+  let root = null;
+  for (const value of values) {
+    const node = { value, left: null, right: null };
+    if (!root) { root = node; continue; }
+    let parent = root;
+    for (;;) {
+      const side = value < parent.value ? 'left' : 'right';
+      if (!parent[side]) { parent[side] = node; break; }
+      parent = parent[side];
+    }
+  }
+  const walk = (node, order, out) => {
+    if (!node) return out;
+    if (order === 'preorder') out.push(node.value);
+    walk(node.left, order, out);
+    if (order === 'inorder') out.push(node.value);
+    walk(node.right, order, out);
+    if (order === 'postorder') out.push(node.value);
+    return out;
+  };
+  return Object.fromEntries(tree.TRAVERSAL_ORDERS.map((order) => [order, walk(root, order, [])]));
+}
+
+describe('tree', () => {
+  it('visits nodes in the reference traversal orders', () => {
+    const random = createRandom(11);
+    let checked = 0;
+    while (checked < 100) {
+      const pool = Array.from({ length: 100 }, (_, i) => i).sort(() => random() - 0.5);
+      const values = pool.slice(0, randomInt(random, 1, tree.MAX_NODES));
+      if (!tree.isValidTreeValues(values)) continue;
+      checked += 1;
+      const expected = referenceTraversals(values);
+      for (const order of tree.TRAVERSAL_ORDERS) {
+        const snapshots = tree.buildSnapshots({ values, order });
+        assertWellFormed(snapshots);
+        assert.deepEqual(last(snapshots).visited, expected[order], `${order} of ${values}`);
+        assert.equal(last(snapshots).current, null);
+        assert.ok(snapshots.every((s) => s.values === values));
+      }
+    }
+  });
+
+  it('traverses only the subtree below a chosen start node', () => {
+    const values = [4, 2, 6, 1, 3, 5, 7];
+    const snapshots = tree.buildSnapshots({ values, order: 'inorder', start: 6 });
+    assertWellFormed(snapshots);
+    assert.equal(snapshots[0].current, 6);
+    assert.deepEqual(last(snapshots).visited, [5, 6, 7]);
+    assert.deepEqual(last(tree.buildSnapshots({ values, order: 'postorder', start: 2 })).visited, [1, 3, 2]);
+  });
+
+  it('rejects insertion orders nested deeper than MAX_DEPTH', () => {
+    assert.equal(tree.isValidTreeValues([1, 2, 3, 4, 5]), true);
+    assert.equal(tree.isValidTreeValues([1, 2, 3, 4, 5, 6]), false);
+    assert.equal(tree.isValidTreeValues([2, 2]), false);
+  });
+});
+
+describe('hash-table', () => {
+  it('puts every value in bucket value mod BUCKETS, in insertion order', () => {
+    const random = createRandom(12);
+    for (let run = 0; run < 100; run++) {
+      const numbers = Array.from({ length: randomInt(random, 1, 12) }, () => randomInt(random, 0, 100));
+      const snapshots = hashTable.buildSnapshots({ numbers });
+      assertWellFormed(snapshots);
+      const expected = Array.from({ length: hashTable.BUCKETS }, (_, b) => numbers.filter((v) => v % hashTable.BUCKETS === b));
+      assert.deepEqual(last(snapshots).buckets, expected);
+    }
+  });
+
+  it('names the value just inserted, never the next one', () => {
+    const numbers = [42, 7, 12];
+    const snapshots = hashTable.buildSnapshots({ numbers });
+    snapshots.slice(1).forEach((s, i) => assert.match(s.text, new RegExp(`^Inserted ${numbers[i]} → bucket`)));
+    snapshots.forEach((s, i) => {
+      if (s.next === null || s.next === numbers[i - 1]) return;
+      assert.doesNotMatch(s.text, new RegExp(`\\b${s.next}\\b`), `step ${i} names the next value`);
+    });
+  });
+});
+
+describe('floyd', () => {
+  it('meets at the first multiple of the cycle length past the tail', () => {
+    for (let tailLen = 0; tailLen <= 10; tailLen++) {
+      for (let cycleLen = 1; cycleLen <= 16; cycleLen++) {
+        const snapshots = floyd.buildSnapshots(floyd.createList(tailLen, cycleLen));
+        assertWellFormed(snapshots);
+        const steps = Math.ceil(Math.max(tailLen, 1) / cycleLen) * cycleLen;
+        assert.equal(snapshots.length - 1, steps, `tail ${tailLen}, cycle ${cycleLen}`);
+        assert.ok(snapshots.slice(0, -1).every((s) => !s.done));
+        const end = last(snapshots);
+        assert.ok(end.done && end.tortoise === end.hare);
+        assert.ok(end.tortoise >= tailLen, 'they meet inside the cycle');
+      }
+    }
+  });
+});
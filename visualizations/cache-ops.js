@@ -0,0 +1,113 @@
+/**
+ * Shared input and description helpers for the cache visualizations (LRU / LFU).
+ *
+ * Both modules replay the same input shape: `{ capacity, ops }` where each op
+ * is `{ type: 'get', key }` or `{ type: 'put', key, value }`.
+ */
+
+/** Panel `inputShape`, so the compare view can replay one op list in both. */
+export const CACHE_INPUT_SHAPE = 'cache-ops';
+
+function isValidOp(op) {
+  if (!op || !Number.isInteger(op.key)) return false;
+  if (op.type === 'get') return true;
+  return op.type === 'put' && Number.isInteger(op.value);
+}
+
+export function isValidCacheInput(input) {
+  return Number.isInteger(input?.capacity)
+    && input.capacity > 0
+    && Array.isArray(input.ops)
+    && input.ops.length > 0
+    && input.ops.every(isValidOp);
+}
+
+const MAX_CAPACITY = 6;
+const MAX_OPS = 20;
+const OP_PATTERN = /(put|get)\s*\(([^)]*)\)/gi;
+
+function parseOpArgs(type, args) {
+  const parts = args.split(',').map((part) => part.trim());
+  const expected = type === 'put' ? 2 : 1;
+  if (parts.length !== expected || parts.some((part) => !/^\d{1,2}$/.test(part))) {
+    throw new Error(type === 'put'
+      ? `put needs a key and a value from 0 to 99, e.g. put(1, 1); got put(${args}).`
+      : `get needs one key from 0 to 99, e.g. get(2); got get(${args}).`);
+  }
+  const [key, value] = parts.map(Number);
+  return type === 'put' ? { type, key, value } : { type, key };
+}
+
+/**
+ * Parse "2: put(1,1) put(2,2) get(1)" — capacity, a colon, then the ops —
+ * into `{ capacity, ops }`.  Throws an Error with a user-facing message.
+ */
+export function parseCacheInput(text) {
+  const match = /^\s*(\d+)\s*:([\s\S]*)$/.exec(String(text));
+  if (!match) throw new Error('Start with the capacity and a colon, e.g. 2: put(1,1) get(1).');
+
+  const capacity = Number(match[1]);
+  if (capacity < 1 || capacity > MAX_CAPACITY) {
+    throw new Error(`Capacity must be between 1 and ${MAX_CAPACITY}.`);
+  }
+
+  const body = match[2];
+  const leftover = body.replace(OP_PATTERN, '').replace(/[\s,;]+/g, '');
+  if (leftover) throw new Error(`Unrecognized operation near "${leftover.slice(0, 12)}"; use put(k, v) or get(k).`);
+
+  const ops = [...body.matchAll(OP_PATTERN)].map(([, type, args]) => parseOpArgs(type.toLowerCase(), args));
+  if (ops.length === 0 || ops.length > MAX_OPS) throw new Error(`Enter between 1 and ${MAX_OPS} operations.`);
+  return { capacity, ops };
+}
+
+export function formatCacheInput({ capacity, ops }) {
+  const opsText = ops.map((op) => (op.type === 'put' ? `put(${op.key},${op.value})` : `get(${op.key})`));
+  return `${capacity}: ${opsText.join(' ')}`;
+}
+
+/**
+ * Accessibility-layer section for the snapshot's operation, or null before
+ * the first op.  Snapshots carry `op`, `result`, `evictedKey`, `activeAction`.
+ */
+export function describeCacheOperation({ op, result, evictedKey, activeAction }) {
+  if (!op) return null;
+  const call = op.type === 'put' ? `put(${op.key}, ${op.value})` : `get(${op.key})`;
+  let outcome = activeAction.toLowerCase();
+  if (op.type === 'get') outcome = `${outcome}, returned ${result}`;
+  else if (evictedKey != null) outcome = `${outcome}, evicted key ${evictedKey}`;
+  return { caption: 'Last operation', headers: ['Call', 'Outcome'], rows: [[call, outcome]] };
+}
+
+/**
+ * Quiz question for the op that turns the cache holding `rows`
+ * (`[{ key, value }]`) into `next`: what a get returns, or which key a put
+ * evicts.  Null for the closing snapshot.
+ */
+export function createCacheQuestion(rows, { capacity, op, result, evictedKey }) {
+  if (!op) return null;
+  if (op.type === 'get') {
+    return {
+      prompt: `What does get(${op.key}) return?`,
+      choices: [...new Set([...rows.map((row) => row.value), -1])],
+      answer: result,
+    };
+  }
+  return {
+    prompt: `put(${op.key}, ${op.value}) with ${rows.length}/${capacity} keys cached: which key is evicted?`,
+    choices: ['none', ...rows.map((row) => row.key)],
+    answer: evictedKey ?? 'none',
+  };
+}
+
+/**
+ * `onCanvasClick` result for clicking `key` at `stepIndex`: get(key) is
+ * issued right after the ops shown so far (snapshot k shows op k), so the
+ * panel can step into it.  Past MAX_OPS, ops not yet shown are dropped
+ * first, then the oldest.
+ */
+export function issueCacheGet({ capacity, ops }, stepIndex, key) {
+  const shown = ops.slice(0, Math.min(stepIndex, ops.length));
+  const kept = shown.slice(Math.max(0, shown.length - (MAX_OPS - 1)));
+  const next = [...kept, { type: 'get', key }, ...ops.slice(shown.length)].slice(0, MAX_OPS);
+  return { input: { capacity, ops: next }, step: kept.length + 1 };
+}
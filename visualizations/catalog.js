@@ -0,0 +1,156 @@
+/**
+ * Catalog of every visualization — the single list the page is built from.
+ *
+ * algorithm-visualizations.js derives the picker (search, tag filters,
+ * category groups) and the lazy-loading registry from these entries, so
+ * adding a visualization means adding its panel markup, its module, and
+ * one entry here.  Entries are listed in picker order; categories appear
+ * in the order of their first entry.
+ *
+ * Each entry:
+ *   key         value of the panel's data-animation and of #viz= links
+ *   title       label shown in the picker and the compare select
+ *   category    picker group
+ *   difficulty  'easy' | 'medium' | 'hard'
+ *   tags        lowercase, hyphenated topics offered as filters
+ *   complexity  { time, space } in big-O notation
+ *   load        () => import() of the module whose default export inits it
+ */
+
+export const VISUALIZATIONS = Object.freeze([
+  {
+    key: 'floyd',
+    title: 'Floyd’s cycle detection (Tortoise & Hare)',
+    category: 'Linked structures',
+    difficulty: 'medium',
+    tags: ['linked-list', 'two-pointers'],
+    complexity: { time: 'O(n)', space: 'O(1)' },
+    load: () => import('./floyd.js'),
+  },
+  {
+    key: 'tree',
+    title: 'Binary tree traversals',
+    category: 'Tree & hashing',
+    difficulty: 'easy',
+    tags: ['tree', 'recursion'],
+    complexity: { time: 'O(n)', space: 'O(h)' },
+    load: () => import('./tree.js'),
+  },
+  {
+    key: 'hash',
+    title: 'Hash table construction (10 buckets)',
+    category: 'Tree & hashing',
+    difficulty: 'easy',
+    tags: ['hashing', 'arrays'],
+    complexity: { time: 'O(n)', space: 'O(n)' },
+    load: () => import('./hash-table.js'),
+  },
+  {
+    key: 'fibonacci',
+    title: 'Fibonacci (dynamic programming)',
+    category: 'Dynamic programming',
+    difficulty: 'easy',
+    tags: ['dp', 'arrays'],
+    complexity: { time: 'O(n)', space: 'O(n)' },
+    load: () => import('./fibonacci.js'),
+  },
+  {
+    key: 'merge-lists',
+    title: 'Merge two sorted lists',
+    category: 'Two pointers & merge',
+    difficulty: 'easy',
+    tags: ['linked-list', 'two-pointers'],
+    complexity: { time: 'O(n + m)', space: 'O(1)' },
+    load: () => import('./merge-lists.js'),
+  },
+  {
+    key: 'merge-array',
+    title: 'Merge sorted array (from the back)',
+    category: 'Two pointers & merge',
+    difficulty: 'easy',
+    tags: ['arrays', 'two-pointers'],
+    complexity: { time: 'O(n + m)', space: 'O(1)' },
+    load: () => import('./merge-array.js'),
+  },
+  {
+    key: 'moving-average',
+    title: 'Moving average from data stream',
+    category: 'Sliding window',
+    difficulty: 'easy',
+    tags: ['queue', 'sliding-window', 'design'],
+    complexity: { time: 'O(1) per value', space: 'O(size)' },
+    load: () => import('./moving-average.js'),
+  },
+  {
+    key: 'recent-calls',
+    title: 'Number of recent calls (RecentCounter)',
+    category: 'Sliding window',
+    difficulty: 'easy',
+    tags: ['queue', 'sliding-window', 'design'],
+    complexity: { time: 'O(1) amortized', space: 'O(calls in window)' },
+    load: () => import('./recent-calls.js'),
+  },
+  {
+    key: 'lru-cache',
+    title: 'LRU Cache (DLL + HashMap)',
+    category: 'Cache design',
+    difficulty: 'medium',
+    tags: ['hashing', 'linked-list', 'design'],
+    complexity: { time: 'O(1) per op', space: 'O(capacity)' },
+    load: () => import('./lru-cache.js'),
+  },
+  {
+    key: 'lfu-cache',
+    title: 'LFU Cache (freq buckets + HashMap)',
+    category: 'Cache design',
+    difficulty: 'hard',
+    tags: ['hashing', 'linked-list', 'design'],
+    complexity: { time: 'O(1) per op', space: 'O(capacity)' },
+    load: () => import('./lfu-cache.js'),
+  },
+  {
+    key: 'sqrt',
+    title: 'Square root (binary search)',
+    category: 'Search',
+    difficulty: 'easy',
+    tags: ['binary-search', 'math'],
+    complexity: { time: 'O(log x)', space: 'O(1)' },
+    load: () => import('./sqrt.js'),
+  },
+  {
+    key: 'majority',
+    title: 'Majority element (Boyer-Moore voting)',
+    category: 'Voting & encoding',
+    difficulty: 'easy',
+    tags: ['arrays', 'counting'],
+    complexity: { time: 'O(n)', space: 'O(1)' },
+    load: () => import('./majority.js'),
+  },
+  {
+    key: 'excel',
+    title: 'Excel column title to number (base-26)',
+    category: 'Voting & encoding',
+    difficulty: 'easy',
+    tags: ['strings', 'math'],
+    complexity: { time: 'O(n)', space: 'O(1)' },
+    load: () => import('./excel.js'),
+  },
+  {
+    key: 'hamming',
+    title: 'Number of 1 bits (Hamming weight)',
+    category: 'Bit manipulation',
+    difficulty: 'easy',
+    tags: ['bits'],
+    complexity: { time: 'O(set bits)', space: 'O(1)' },
+    load: () => import('./hamming.js'),
+  },
+  {
+    key: 'reverse-bits',
+    title: 'Reverse bits (32-bit)',
+    category: 'Bit manipulation',
+    difficulty: 'easy',
+    tags: ['bits'],
+    complexity: { time: 'O(32)', space: 'O(1)' },
+    load: () => import('./reverse-bits.js'),
+  },
+]);
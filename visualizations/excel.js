@@ -7,8 +7,19 @@ import {
   getRandomIntInclusive, clamp01, easeInOutCubic, lerp,
   createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initExcelTitleNumberVisualization() {
+import { drawCircleNode, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots, charValue } from './excel.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'result ← 0' },
+    { ref: 'step', text: 'for ch in columnTitle:' },
+    { ref: 'step', text: "  result ← result × 26 + (ch − 'A' + 1)" },
+    { ref: 'done', text: 'return result' },
+  ],
+};
+
+export default function initExcelTitleNumberVisualization({ idSuffix = '' } = {}) {
   function randomTitle() {
     const len = getRandomIntInclusive(2, 5);
     let out = '';
@@ -18,69 +29,22 @@ export default function initExcelTitleNumberVisualization() {
     return out;
   }
 
-  function charValue(ch) {
-    return ch.charCodeAt(0) - 64;
+  function createInput() {
+    return { title: randomTitle() };
   }
 
-  function buildSnapshots() {
-    const title = randomTitle();
-    const chars = title.split('');
-    const snaps = [];
-    let result = 0;
-
-    snaps.push({
-      title,
-      chars,
-      idx: null,
-      result,
-      prevResult: null,
-      value: null,
-      text: `New run: columnTitle="${title}". Start with result = 0.`,
-    });
-
-    for (let i = 0; i < chars.length; i++) {
-      const value = charValue(chars[i]);
-      const prevResult = result;
-      result = prevResult * 26 + value;
-      snaps.push({
-        title,
-        chars,
-        idx: i,
-        result,
-        prevResult,
-        value,
-        text: `i=${i}, char='${chars[i]}' (${value}): result = ${prevResult} * 26 + ${value} = ${result}.`,
-      });
-    }
+  function isValidInput(input) {
+    return typeof input?.title === 'string' && /^[A-Z]{1,7}$/.test(input.title);
+  }
 
-    snaps.push({
-      title,
-      chars,
-      idx: null,
-      result,
-      prevResult: null,
-      value: null,
-      text: `Done. "${title}" → ${result}. Next reset/autoplay cycle randomizes a new title.`,
-    });
-
-    return snaps;
+  function parseInput(text) {
+    const title = String(text).trim().toUpperCase();
+    if (!/^[A-Z]{1,7}$/.test(title)) throw new Error('Column title must be 1–7 letters A–Z, e.g. ZY.');
+    return { title };
   }
 
   function drawValueBox(ctx, x, y, w, h, text, stroke, lineWidth = 2, alpha = 1) {
-    ctx.globalAlpha = alpha;
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 10);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = stroke;
-    ctx.lineWidth = lineWidth;
-    ctx.stroke();
-    ctx.fillStyle = CSS.label;
-    ctx.font = `700 16px ${FONT_MONO}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(String(text), x + w / 2, y + h / 2 + 1);
-    ctx.globalAlpha = 1;
+    drawRectCell(ctx, x, y, w, h, text, { stroke, lineWidth, alpha });
   }
 
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
@@ -145,13 +109,7 @@ export default function initExcelTitleNumberVisualization() {
         lw = 3;
       }
 
-      ctx.beginPath();
-      ctx.roundRect(x, sy, cw, ch, 10);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
+      drawRectCell(ctx, x, sy, cw, ch, null, { stroke, lineWidth: lw });
 
       ctx.fillStyle = CSS.label;
       ctx.font = `700 16px ${FONT_MONO}`;
@@ -208,30 +166,18 @@ export default function initExcelTitleNumberVisualization() {
       for (let si = 0; si < stripSlots; si++) {
         const x = stripX + si * (stripW + stripGap);
         const isRightmost = si === stripSlots - 1;
-        ctx.beginPath();
-        ctx.roundRect(x, stripY, stripW, stripH, 8);
-        ctx.fillStyle = '#ffffff';
-        ctx.fill();
-        ctx.strokeStyle = isRightmost && !highlightShift ? CSS.meet : CSS.node;
-        ctx.lineWidth = isRightmost && !highlightShift ? 2.5 : 1.8;
-        ctx.stroke();
+        const isTarget = isRightmost && !highlightShift;
+        drawRectCell(ctx, x, stripY, stripW, stripH, null, {
+          stroke: isTarget ? CSS.meet : CSS.node, lineWidth: isTarget ? 2.5 : 1.8, radius: 8,
+        });
       }
     }
 
     function drawStripChip(cx, value, stroke, alpha = 1) {
       ctx.globalAlpha = alpha;
-      ctx.beginPath();
-      ctx.arc(cx, stripY + stripH / 2, 11, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = 2.2;
-      ctx.stroke();
-      ctx.fillStyle = stroke;
-      ctx.font = `700 11px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(value), cx, stripY + stripH / 2 + 1);
+      drawCircleNode(ctx, cx, stripY + stripH / 2, 11, String(value), {
+        stroke, lineWidth: 2.2, font: `700 11px ${FONT_MONO}`, textColor: stroke,
+      });
       ctx.globalAlpha = 1;
     }
 
@@ -268,18 +214,9 @@ export default function initExcelTitleNumberVisualization() {
         const by = lerp(valStartY, valEndY, addT);
 
         ctx.globalAlpha = addT;
-        ctx.beginPath();
-        ctx.arc(bx, by, 13, 0, Math.PI * 2);
-        ctx.fillStyle = '#ffffff';
-        ctx.fill();
-        ctx.strokeStyle = CSS.hare;
-        ctx.lineWidth = 2.5;
-        ctx.stroke();
-        ctx.fillStyle = CSS.hare;
-        ctx.font = `700 12px ${FONT_MONO}`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(String(toSnapshot.value), bx, by + 1);
+        drawCircleNode(ctx, bx, by, 13, String(toSnapshot.value), {
+          stroke: CSS.hare, lineWidth: 2.5, font: `700 12px ${FONT_MONO}`, textColor: CSS.hare,
+        });
         ctx.globalAlpha = 1;
 
         const stripStartX = valStartX;
@@ -297,18 +234,9 @@ export default function initExcelTitleNumberVisualization() {
 
       const plusX = xShift + boxW + 46;
       const plusY = y + boxH / 2;
-      ctx.beginPath();
-      ctx.arc(plusX, plusY, 13, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = CSS.hare;
-      ctx.lineWidth = 2.5;
-      ctx.stroke();
-      ctx.fillStyle = CSS.hare;
-      ctx.font = `700 12px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(active.value), plusX, plusY + 1);
+      drawCircleNode(ctx, plusX, plusY, 13, String(active.value), {
+        stroke: CSS.hare, lineWidth: 2.5, font: `700 12px ${FONT_MONO}`, textColor: CSS.hare,
+      });
 
       drawStripFrame(false);
       const doneValues = active.chars.slice(0, active.idx + 1).map((ch) => charValue(ch));
@@ -322,12 +250,20 @@ export default function initExcelTitleNumberVisualization() {
     }
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'excelColCanvas', statusId: 'excelColStatus',
     prevId: 'excelColPrev', nextId: 'excelColNext', resetId: 'excelColReset',
+    createInput,
+    isValidInput,
+    parseInput,
+    formatInput: ({ title }) => title,
+    inputLabel: 'Column title',
+    inputPlaceholder: 'ZY',
     buildSnapshots,
     draw,
     animationMs: 980,
     rebuildSnapshotsOnReset: true,
+    code: CODE,
+    idSuffix,
   });
 }
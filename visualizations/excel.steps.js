@@ -0,0 +1,56 @@
+/**
+ * Excel column title to number (base-26) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; excel.js draws the snapshots.
+ */
+
+/** 'A' → 1 … 'Z' → 26. */
+export function charValue(ch) {
+  return ch.charCodeAt(0) - 64;
+}
+
+/** Convert `title` left to right, one snapshot per letter. */
+export function buildSnapshots({ title }) {
+  const chars = title.split('');
+  const snaps = [];
+  let result = 0;
+
+  snaps.push({
+    title,
+    chars,
+    idx: null,
+    result,
+    prevResult: null,
+    value: null,
+    line: 'init',
+    text: `New run: columnTitle="${title}". Start with result = 0.`,
+  });
+
+  for (let i = 0; i < chars.length; i++) {
+    const value = charValue(chars[i]);
+    const prevResult = result;
+    result = prevResult * 26 + value;
+    snaps.push({
+      title,
+      chars,
+      idx: i,
+      result,
+      prevResult,
+      value,
+      line: 'step',
+      text: `i=${i}, char='${chars[i]}' (${value}): result = ${prevResult} * 26 + ${value} = ${result}.`,
+    });
+  }
+
+  snaps.push({
+    title,
+    chars,
+    idx: null,
+    result,
+    prevResult: null,
+    value: null,
+    line: 'done',
+    text: `Done. "${title}" → ${result}. Next reset/autoplay cycle randomizes a new title.`,
+  });
+
+  return snaps;
+}
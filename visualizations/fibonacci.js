@@ -5,35 +5,26 @@
 import {
   FONT_SANS, FONT_MONO, CSS,
   easeOutCubic, lerp,
-  createSnapshotVisualization,
+  parseIntegerInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initFibonacciVisualization() {
-  const n = 10;
-
-  function buildSnapshots() {
-    const dp = Array(n + 1).fill(null);
-    dp[0] = 0;
-    dp[1] = 1;
-    const snaps = [{
-      dp: [...dp], current: null, calc: null,
-      text: 'Base cases: F(0)=0, F(1)=1. Ready to compute from i=2.',
-    }];
-
-    for (let i = 2; i <= n; i++) {
-      dp[i] = dp[i - 1] + dp[i - 2];
-      snaps.push({
-        dp: [...dp], current: i,
-        calc: { i, li: i - 1, ri: i - 2, lv: dp[i - 1], rv: dp[i - 2], res: dp[i] },
-        text: `i=${i}: F(${i}) = F(${i - 1}) + F(${i - 2}) = ${dp[i - 1]} + ${dp[i - 2]} = ${dp[i]}`,
-      });
-    }
-
-    snaps.push({ dp: [...dp], current: null, calc: null, text: `Done. F(${n}) = ${dp[n]}.` });
-    return snaps;
+import { drawCircleNode, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots } from './fibonacci.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'base', text: 'dp[0] ← 0, dp[1] ← 1' },
+    { ref: 'step', text: 'for i ← 2 to n:' },
+    { ref: 'step', text: '  dp[i] ← dp[i − 1] + dp[i − 2]' },
+    { ref: 'done', text: 'return dp[n]' },
+  ],
+};
+
+export default function initFibonacciVisualization({ idSuffix = '' } = {}) {
+  function parseInput(text) {
+    return { n: parseIntegerInput(text, { name: 'n', min: 2, max: 15 }) };
   }
 
-  function cellLayout(w, h) {
+  function cellLayout(w, h, n) {
     const gap = 8;
     const cw = Math.max(40, Math.floor((w - 32 - n * gap) / (n + 1)));
     const ch = Math.max(56, Math.min(76, Math.floor(h * 0.36)));
@@ -44,7 +35,8 @@ export default function initFibonacciVisualization() {
   }
 
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
-    const L = cellLayout(width, height);
+    const n = snapshot.dp.length - 1;
+    const L = cellLayout(width, height, n);
     const calc = isAnimating ? toSnapshot.calc : snapshot.calc;
     const active = isAnimating ? toSnapshot : snapshot;
 
@@ -72,13 +64,7 @@ export default function initFibonacciVisualization() {
       if (val != null) stroke = CSS.tortoise;
       if (active.current === i) { stroke = CSS.meet; lw = 3; }
 
-      ctx.beginPath();
-      ctx.roundRect(x, L.y, L.cw, L.ch, 10);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
+      drawRectCell(ctx, x, L.y, L.cw, L.ch, null, { stroke, lineWidth: lw });
 
       ctx.fillStyle = CSS.label;
       ctx.font = `600 11px ${FONT_SANS}`;
@@ -105,27 +91,25 @@ export default function initFibonacciVisualization() {
       for (const [src, val, offY] of [[lp, calc.lv, -18], [rp, calc.rv, 18]]) {
         const bx = lerp(src.x, tp.x, t);
         const by = lerp(src.y, tp.y + offY, t);
-        ctx.beginPath();
-        ctx.arc(bx, by, 14, 0, Math.PI * 2);
-        ctx.fillStyle = '#ffffff';
-        ctx.fill();
-        ctx.strokeStyle = CSS.meet;
-        ctx.lineWidth = 2.5;
-        ctx.stroke();
-        ctx.fillStyle = CSS.label;
-        ctx.font = `700 12px ${FONT_MONO}`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(String(val), bx, by + 1);
+        drawCircleNode(ctx, bx, by, 14, String(val), {
+          stroke: CSS.meet, lineWidth: 2.5, font: `700 12px ${FONT_MONO}`,
+        });
       }
 
       ctx.globalAlpha = 1;
     }
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'fibCanvas', statusId: 'fibStatus',
     prevId: 'fibPrev', nextId: 'fibNext', resetId: 'fibReset',
     buildSnapshots, draw, animationMs: 700,
+    initialInput: { n: 10 },
+    parseInput,
+    formatInput: ({ n }) => String(n),
+    inputLabel: 'n',
+    inputPlaceholder: '2–15',
+    code: CODE,
+    idSuffix,
   });
 }
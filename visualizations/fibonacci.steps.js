@@ -0,0 +1,28 @@
+/**
+ * Fibonacci DP table — step generator.  No DOM or canvas code, so it also
+ * runs in Node; fibonacci.js draws the snapshots.
+ */
+
+/** Fill dp[0..n] bottom-up; the last snapshot holds F(n). */
+export function buildSnapshots({ n }) {
+  const dp = Array(n + 1).fill(null);
+  dp[0] = 0;
+  dp[1] = 1;
+  const snaps = [{
+    dp: [...dp], current: null, calc: null, line: 'base',
+    text: 'Base cases: F(0)=0, F(1)=1. Ready to compute from i=2.',
+  }];
+
+  for (let i = 2; i <= n; i++) {
+    dp[i] = dp[i - 1] + dp[i - 2];
+    snaps.push({
+      dp: [...dp], current: i,
+      calc: { i, li: i - 1, ri: i - 2, lv: dp[i - 1], rv: dp[i - 2], res: dp[i] },
+      line: 'step',
+      text: `i=${i}: F(${i}) = F(${i - 1}) + F(${i - 2}) = ${dp[i - 1]} + ${dp[i - 2]} = ${dp[i]}`,
+    });
+  }
+
+  snaps.push({ dp: [...dp], current: null, calc: null, line: 'done', text: `Done. F(${n}) = ${dp[n]}.` });
+  return snaps;
+}
@@ -5,26 +5,32 @@
 import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
 import { getReducedMotion, supportsWebGL } from '../bg-utils.js';
 import {
-  FONT_MONO, COLOR_NODE, COLOR_EDGE, COLOR_TORTOISE, COLOR_HARE,
-  COLOR_MEET, COLOR_LABEL, createVisualizationAutoplaySkill,
+  FONT_MONO, CSS, getThemeColorNumber, onThemeChange, createVisualizationAutoplaySkill,
+  bindVisualizationHash, parseIntegerListInput, createInputControl, createCodePanel, createAccessibilityLayer,
+  getVisualizationKey, createPanelHandle,
 } from '../viz-core.js';
+import { createTrace, createTraceControl } from '../viz-trace.js';
+import { buildSnapshots, createList } from './floyd.steps.js';
 
 const TAIL_LEN = 5;
 const CYCLE_LEN = 8;
+const MAX_TAIL_LEN = 10;
+const MAX_CYCLE_LEN = 16;
 const STEP_INTERVAL = 800;
 const PAUSE_AFTER_DONE = 2400;
 const NODE_RADIUS = 8;
 const POINTER_RADIUS = 3.2;
 const POINTER_OFFSET = NODE_RADIUS + POINTER_RADIUS + 2;
 
-function createList(tailLen, cycleLen) {
-  const total = tailLen + cycleLen;
-  const entry = tailLen;
-  const next = new Array(total);
-  for (let i = 0; i < total - 1; i++) next[i] = i + 1;
-  next[total - 1] = entry;
-  return { total, entry, next };
-}
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'slow ← head, fast ← head' },
+    { ref: 'step', text: 'while fast and fast.next:' },
+    { ref: 'step', text: '  slow ← slow.next, fast ← fast.next.next' },
+    { ref: 'meet', text: '  if slow = fast: return true' },
+    'return false',
+  ],
+};
 
 function buildLayout(list, spread) {
   const { total, entry } = list;
@@ -125,10 +131,10 @@ function buildGraph(scene, list, positions) {
   const group = new THREE.Group();
 
   const nodeGeom = new THREE.IcosahedronGeometry(NODE_RADIUS, 1);
-  const nodeMat = new THREE.MeshBasicMaterial({ color: COLOR_NODE, wireframe: true });
-  const tortoiseNodeMat = new THREE.MeshBasicMaterial({ color: COLOR_TORTOISE, wireframe: true });
-  const hareNodeMat = new THREE.MeshBasicMaterial({ color: COLOR_HARE, wireframe: true });
-  const overlapNodeMat = new THREE.MeshBasicMaterial({ color: COLOR_MEET, wireframe: true });
+  const nodeMat = new THREE.MeshBasicMaterial({ color: getThemeColorNumber('node'), wireframe: true });
+  const tortoiseNodeMat = new THREE.MeshBasicMaterial({ color: getThemeColorNumber('tortoise'), wireframe: true });
+  const hareNodeMat = new THREE.MeshBasicMaterial({ color: getThemeColorNumber('hare'), wireframe: true });
+  const overlapNodeMat = new THREE.MeshBasicMaterial({ color: getThemeColorNumber('meet'), wireframe: true });
 
   const nodes = [];
 
@@ -139,7 +145,7 @@ function buildGraph(scene, list, positions) {
     group.add(mesh);
     nodes.push(mesh);
 
-    const label = makeTextSprite(String(i), COLOR_LABEL, 36);
+    const label = makeTextSprite(String(i), CSS.label, 36);
     label.position.set(p.x, p.y, NODE_RADIUS + 6);
     label.scale.set(10, 10, 1);
     group.add(label);
@@ -159,21 +165,21 @@ function buildGraph(scene, list, positions) {
   }
   const edgeGeom = new THREE.BufferGeometry();
   edgeGeom.setAttribute('position', new THREE.BufferAttribute(edgeVerts, 3));
-  const edgeMat = new THREE.LineBasicMaterial({ color: COLOR_EDGE, transparent: true, opacity: 0.35 });
+  const edgeMat = new THREE.LineBasicMaterial({ color: getThemeColorNumber('edge'), transparent: true, opacity: 0.35 });
   group.add(new THREE.LineSegments(edgeGeom, edgeMat));
 
   const ptrGeom = new THREE.IcosahedronGeometry(POINTER_RADIUS, 2);
-  const tortoiseMesh = new THREE.Mesh(ptrGeom, new THREE.MeshBasicMaterial({ color: COLOR_TORTOISE, wireframe: true }));
-  const hareMesh = new THREE.Mesh(ptrGeom, new THREE.MeshBasicMaterial({ color: COLOR_HARE, wireframe: true }));
+  const tortoiseMesh = new THREE.Mesh(ptrGeom, new THREE.MeshBasicMaterial({ color: getThemeColorNumber('tortoise'), wireframe: true }));
+  const hareMesh = new THREE.Mesh(ptrGeom, new THREE.MeshBasicMaterial({ color: getThemeColorNumber('hare'), wireframe: true }));
   tortoiseMesh.renderOrder = 5;
   hareMesh.renderOrder = 5;
   group.add(tortoiseMesh, hareMesh);
 
-  const tLabel = makeTextSprite('T', '#16a34a', 42);
+  const tLabel = makeTextSprite('T', CSS.tortoise, 42);
   tLabel.scale.set(11, 11, 1);
   group.add(tLabel);
 
-  const hLabel = makeTextSprite('H', '#dc2626', 42);
+  const hLabel = makeTextSprite('H', CSS.hare, 42);
   hLabel.scale.set(11, 11, 1);
   group.add(hLabel);
 
@@ -185,6 +191,31 @@ function buildGraph(scene, list, positions) {
   };
 }
 
+function disposeGraph(scene, graph) {
+  scene.remove(graph.group);
+  graph.group.traverse((obj) => {
+    obj.geometry?.dispose();
+    obj.material?.map?.dispose();
+    obj.material?.dispose();
+  });
+  for (const mat of Object.values(graph.materials)) mat.dispose();
+}
+
+function isValidListShape(input) {
+  return Number.isInteger(input?.tailLen) && input.tailLen >= 0 && input.tailLen <= MAX_TAIL_LEN
+    && Number.isInteger(input.cycleLen) && input.cycleLen >= 1 && input.cycleLen <= MAX_CYCLE_LEN;
+}
+
+/** "5 8" → tail length, cycle length. */
+function parseListShape(text) {
+  const [tailLen, cycleLen] = parseIntegerListInput(text, {
+    name: 'Tail and cycle length', minLength: 2, maxLength: 2, min: 0, max: MAX_CYCLE_LEN,
+  });
+  if (tailLen > MAX_TAIL_LEN) throw new Error(`Tail length must be at most ${MAX_TAIL_LEN}.`);
+  if (cycleLen < 1) throw new Error('Cycle length must be at least 1.');
+  return { tailLen, cycleLen };
+}
+
 function colorActiveNodes(graph, tIdx, hIdx) {
   const { nodes, materials } = graph;
   for (const node of nodes) node.material = materials.nodeMat;
@@ -206,9 +237,10 @@ function positionPointers(graph, positions, tIdx, hIdx) {
   graph.hLabel.position.set(hPos.x, hPos.y + POINTER_OFFSET + 8, hPos.z + 4);
 }
 
-export default function initFloydVisualization() {
-  const canvas = document.getElementById('vizCanvas');
-  const statusEl = document.getElementById('status');
+export default function initFloydVisualization({ idSuffix = '' } = {}) {
+  const canvas = document.getElementById(`vizCanvas${idSuffix}`);
+  const statusEl = document.getElementById(`status${idSuffix}`);
+  const actionsEl = document.getElementById(`floydActions${idSuffix}`);
   if (!canvas || !statusEl) return;
 
   if (!supportsWebGL()) {
@@ -218,66 +250,206 @@ export default function initFloydVisualization() {
   }
 
   const three = initScene(canvas);
-  const list = createList(TAIL_LEN, CYCLE_LEN);
-  const positions = buildLayout(list, 28);
-
-  const centerBox = new THREE.Box3();
-  for (const p of positions) centerBox.expandByPoint(p);
-  const center = new THREE.Vector3();
-  centerBox.getCenter(center);
-  for (const p of positions) p.sub(center);
-
-  const graphBounds = getGraphBounds(positions);
   resizeWebGL(three, canvas);
-  fitCameraToBox(three.camera, graphBounds);
 
-  const graph = buildGraph(three.scene, list, positions);
+  let shape = { tailLen: TAIL_LEN, cycleLen: CYCLE_LEN };
+  let list;
+  let run;
+  let positions;
+  let graphBounds;
+  let graph = null;
+
+  /** (Re)build the list, its layout and scene graph for `nextShape`. */
+  function setShape(nextShape) {
+    shape = nextShape;
+    list = createList(shape.tailLen, shape.cycleLen);
+    run = buildSnapshots(list);
+    positions = buildLayout(list, 28);
+
+    const centerBox = new THREE.Box3();
+    for (const p of positions) centerBox.expandByPoint(p);
+    const center = new THREE.Vector3();
+    centerBox.getCenter(center);
+    for (const p of positions) p.sub(center);
+
+    graphBounds = getGraphBounds(positions);
+    fitCameraToBox(three.camera, graphBounds);
+
+    if (graph) disposeGraph(three.scene, graph);
+    graph = buildGraph(three.scene, list, positions);
+    inputControl?.setValue(`${shape.tailLen} ${shape.cycleLen}`);
+  }
 
-  let state = { tortoise: 0, hare: 0, done: false };
+  let state = null;
+  let stepCount = 0;
+  const a11y = createAccessibilityLayer(canvas, { controls: actionsEl });
+  const codePanel = createCodePanel(statusEl, CODE);
+
+  function describeList() {
+    const { total, entry, next } = list;
+    return [
+      {
+        caption: `Pointers after ${stepCount} step${stepCount === 1 ? '' : 's'}`,
+        headers: ['Pointer', 'Node'],
+        rows: [['Tortoise', state.tortoise], ['Hare', state.hare]],
+      },
+      {
+        caption: `Linked list: ${entry} tail node${entry === 1 ? '' : 's'}, cycle of ${total - entry} entered at node ${entry}`,
+        headers: ['Node', 'Next', 'Part'],
+        rows: next.map((to, i) => [i, to, i < entry ? 'tail' : 'cycle']),
+      },
+    ];
+  }
 
   function renderFloyd(text) {
     positionPointers(graph, positions, state.tortoise, state.hare);
     colorActiveNodes(graph, state.tortoise, state.hare);
-    if (text) statusEl.textContent = text;
+    codePanel.highlight(stepCount === 0 ? 'init' : state.done ? ['step', 'meet'] : 'step');
+    a11y.describe(describeList());
+    if (text) {
+      statusEl.textContent = text;
+      statusEl.classList.remove('is-error');
+      a11y.announce(text);
+    }
     three.renderer.render(three.scene, three.camera);
   }
 
-  renderFloyd('Start: Tortoise at node 0, Hare at node 0.');
+  /** Parse the list shape typed by the user; returns an error message or null. */
+  function applyInput(text) {
+    try {
+      setShape(parseListShape(text));
+    } catch (e) {
+      statusEl.textContent = `Invalid input: ${e.message}`;
+      statusEl.classList.add('is-error');
+      a11y.announce(statusEl.textContent);
+      autoplay.pause();
+      return e.message;
+    }
+    goToStep(0);
+    link.sync();
+    return null;
+  }
+
+  const inputControl = actionsEl
+    ? createInputControl(actionsEl, {
+      label: 'Tail, cycle length', placeholder: '5 8', describedBy: statusEl.id, onApply: applyInput,
+    })
+    : null;
+  setShape(shape);
+  goToStep(0);
 
-  new ResizeObserver(() => {
+  const resizeObserver = new ResizeObserver(() => {
     resizeWebGL(three, canvas);
     fitCameraToBox(three.camera, graphBounds);
     three.renderer.render(three.scene, three.camera);
-  }).observe(canvas);
+  });
+  resizeObserver.observe(canvas);
 
-  if (getReducedMotion()) {
-    statusEl.textContent = 'Reduced motion enabled — animation paused.';
-    return;
+  /* Materials and label sprites bake their colors in, so rebuild the graph. */
+  const stopThemeUpdates = onThemeChange(() => {
+    disposeGraph(three.scene, graph);
+    graph = buildGraph(three.scene, list, positions);
+    renderFloyd();
+  });
+
+  const reduceMotion = getReducedMotion();
+  if (reduceMotion) {
+    statusEl.textContent = 'Reduced motion enabled — press Play to step through the animation.';
+    a11y.announce(statusEl.textContent);
   }
 
-  let stepCount = 0;
-  createVisualizationAutoplaySkill({
-    enabled: true,
+  /* The run is deterministic, so a deep link only needs the shape and step count. */
+  function goToStep(step) {
+    stepCount = Math.min(step, run.length - 1);
+    state = run[stepCount];
+    renderFloyd(state.text);
+  }
+
+  /* Export only: the scene is built from the list shape, so a trace cannot be loaded. */
+  createTraceControl(statusEl, {
+    fileName: getVisualizationKey(canvas) ?? 'floyd',
+    getTrace: () => createTrace({
+      visualization: getVisualizationKey(canvas) ?? 'floyd',
+      title: 'Floyd’s cycle detection',
+      input: shape,
+      snapshots: run,
+    }),
+  });
+
+  const link = bindVisualizationHash(canvas, {
+    getState: () => ({ step: stepCount, input: shape, atEnd: state.done }),
+    onRestore: (linked) => {
+      const linkedShape = linked.input;
+      if (isValidListShape(linkedShape)
+        && (linkedShape.tailLen !== shape.tailLen || linkedShape.cycleLen !== shape.cycleLen)) {
+        setShape({ tailLen: linkedShape.tailLen, cycleLen: linkedShape.cycleLen });
+      }
+      goToStep(linked.step ?? 0);
+      link.sync();
+    },
+  });
+  if (isValidListShape(link.initial?.input)) {
+    setShape({ tailLen: link.initial.input.tailLen, cycleLen: link.initial.input.cycleLen });
+    goToStep(link.initial.step ?? 0);
+  } else if (link.initial?.step) {
+    goToStep(link.initial.step);
+  }
+
+  function stepForward() {
+    if (state.done) return;
+    goToStep(stepCount + 1);
+    link.sync();
+  }
+
+  const autoplay = createVisualizationAutoplaySkill({
+    enabled: !reduceMotion && stepCount === 0,
     stepInterval: STEP_INTERVAL,
     donePause: PAUSE_AFTER_DONE,
+    controls: actionsEl,
     isActive: () => document.visibilityState === 'visible' && !canvas.closest('.algo-item')?.hidden,
     isDone: () => state.done,
-    onStep: () => {
-      const { next } = list;
-      state.tortoise = next[state.tortoise];
-      state.hare = next[next[state.hare]];
-      stepCount += 1;
-      if (state.tortoise === state.hare) {
-        state.done = true;
-        renderFloyd(`Step ${stepCount}: Cycle detected! Tortoise and Hare both met at node ${state.tortoise}.`);
-      } else {
-        renderFloyd(`Step ${stepCount}: Tortoise → node ${state.tortoise} (+1), Hare → node ${state.hare} (+2).`);
-      }
-    },
+    onStep: stepForward,
     onReset: () => {
-      state = { tortoise: 0, hare: 0, done: false };
+      state = run[0];
       stepCount = 0;
       renderFloyd('Restarting… Tortoise at node 0, Hare at node 0.');
+      link.sync();
+    },
+  });
+
+  /* Stepping back shows the previous entry of the precomputed run. */
+  return createPanelHandle({
+    stepForward,
+    stepBackward: () => {
+      if (stepCount === 0) return;
+      goToStep(stepCount - 1);
+      link.sync();
+    },
+    reset: () => {
+      goToStep(0);
+      link.sync();
+    },
+    isAtEnd: () => state.done,
+    pause: () => autoplay.suspend(),
+    resume: () => autoplay.resume(),
+    /* Browsers cap live WebGL contexts, so give this one back right away. */
+    dispose() {
+      autoplay.stop();
+      resizeObserver.disconnect();
+      stopThemeUpdates();
+      link.dispose();
+      disposeGraph(three.scene, graph);
+      three.renderer.dispose();
+      three.renderer.forceContextLoss();
+    },
+    inputShape: 'list-shape',
+    getInput: () => shape,
+    setInput(nextShape) {
+      if (!isValidListShape(nextShape)) return false;
+      setShape({ tailLen: nextShape.tailLen, cycleLen: nextShape.cycleLen });
+      goToStep(0);
+      link.sync();
+      return true;
     },
   });
 }
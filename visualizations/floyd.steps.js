@@ -0,0 +1,39 @@
+/**
+ * Floyd’s cycle detection — step generator.  No DOM or WebGL code, so it
+ * also runs in Node; floyd.js draws the snapshots.
+ */
+
+/** A list of `tailLen` tail nodes then a cycle of `cycleLen`: `next[i]` is the node after i. */
+export function createList(tailLen, cycleLen) {
+  const total = tailLen + cycleLen;
+  const entry = tailLen;
+  const next = new Array(total);
+  for (let i = 0; i < total - 1; i++) next[i] = i + 1;
+  next[total - 1] = entry;
+  return { total, entry, next };
+}
+
+/**
+ * Move the tortoise one node and the hare two per step, from node 0 until
+ * they meet.  Each snapshot is `{ tortoise, hare, done, text }`.
+ */
+export function buildSnapshots({ next }) {
+  let tortoise = 0;
+  let hare = 0;
+  const snaps = [{ tortoise, hare, done: false, text: 'Start: Tortoise at node 0, Hare at node 0.' }];
+  do {
+    tortoise = next[tortoise];
+    hare = next[next[hare]];
+    const done = tortoise === hare;
+    const step = snaps.length;
+    snaps.push({
+      tortoise,
+      hare,
+      done,
+      text: done
+        ? `Step ${step}: Cycle detected! Tortoise and Hare both met at node ${tortoise}.`
+        : `Step ${step}: Tortoise → node ${tortoise} (+1), Hare → node ${hare} (+2).`,
+    });
+  } while (tortoise !== hare);
+  return snaps;
+}
@@ -0,0 +1,44 @@
+/**
+ * Number of 1 bits (Hamming weight) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; hamming.js draws the snapshots.
+ */
+
+export const BITS = 32;
+
+/** `v` as a zero-padded 32-bit binary string. */
+function toBin(v) {
+  return (v >>> 0).toString(2).padStart(BITS, '0');
+}
+
+/** Clear the lowest set bit of `n` until it is 0, one snapshot per bit. */
+export function buildSnapshots(input) {
+  let n = input.n;
+  const original = n;
+  const snaps = [];
+  let hamm = 0;
+
+  snaps.push({
+    n, original, hamm, cleared: null, binary: toBin(n), line: 'init',
+    text: `n = ${original} (binary: ${toBin(original).replace(/^0+/, '') || '0'}). Count = 0.`,
+  });
+
+  while (n !== 0) {
+    const prev = n;
+    /* `>>> 0` keeps values with bit 31 set unsigned. */
+    const cleared = BITS - 1 - Math.log2((prev & -prev) >>> 0);
+    n = (n & (n - 1)) >>> 0;
+    hamm += 1;
+
+    snaps.push({
+      n, original, hamm, prevN: prev, cleared,
+      binary: toBin(n), prevBinary: toBin(prev), line: 'clear',
+      text: `n &= (n-1): ${prev} → ${n}. Cleared bit ${cleared}. Count = ${hamm}.`,
+    });
+  }
+
+  snaps.push({
+    n: 0, original, hamm, cleared: null, binary: toBin(0), line: 'done',
+    text: `Done. Hamming weight of ${original} is ${hamm}.`,
+  });
+  return snaps;
+}
@@ -1,79 +1,92 @@
 /**
- * Hash table construction (10 buckets) — Canvas 2D visualization.
+ * Hash table construction (10 buckets) — snapshot-based visualization.
  */
 
-import { getReducedMotion } from '../bg-utils.js';
 import {
-  FONT_SANS, CSS, getRandomIntInclusive, lerp, easeOutCubic,
-  resize2dCanvas, clearCanvas, createVisualizationAutoplaySkill,
+  FONT_SANS, CSS, getRandomIntInclusive, lerp, parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-import { drawCircleNode, drawSectionLabel } from '../viz-draw.js';
-
-export default function initHashTableVisualization() {
-  const canvas = document.getElementById('hashCanvas');
-  const statusEl = document.getElementById('hashStatus');
-  const generateBtn = document.getElementById('hashGenerate');
-  const nextBtn = document.getElementById('hashNext');
-  const resetBtn = document.getElementById('hashReset');
-
-  if (!canvas || !statusEl || !generateBtn || !nextBtn || !resetBtn) return;
-
-  const ctx = canvas.getContext('2d');
-  if (!ctx) {
-    statusEl.textContent = 'Canvas 2D is not available.';
-    statusEl.classList.add('is-error');
-    return;
+import { drawCircleNode, drawRectCell, drawSectionLabel } from '../viz-draw.js';
+import { BUCKETS, buildSnapshots } from './hash-table.steps.js';
+
+const SAMPLE = 12;
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'buckets ← 10 empty lists' },
+    'for num in numbers:',
+    { ref: 'insert', text: '  b ← num mod 10' },
+    { ref: 'insert', text: '  buckets[b].append(num)' },
+    { ref: 'done', text: 'return buckets' },
+  ],
+};
+
+export default function initHashTableVisualization({ idSuffix = '' } = {}) {
+  function createInput() {
+    return { numbers: Array.from({ length: SAMPLE }, () => getRandomIntInclusive(0, 100)) };
   }
 
-  const BUCKETS = 10;
-  const SAMPLE = 12;
-  const ANIM_MS = 650;
-  const reduceMotion = getReducedMotion();
+  function isValidInput(input) {
+    const numbers = input?.numbers;
+    return Array.isArray(numbers)
+      && numbers.length > 0
+      && numbers.length <= SAMPLE
+      && numbers.every((v) => Number.isInteger(v) && v >= 0 && v <= 100);
+  }
 
-  const state = { numbers: [], stepIndex: 0, width: 0, height: 0, animation: null };
+  function parseInput(text) {
+    return { numbers: parseIntegerListInput(text, { name: 'Numbers', maxLength: SAMPLE, min: 0, max: 100 }) };
+  }
 
-  function createNumbers() {
-    return Array.from({ length: SAMPLE }, () => getRandomIntInclusive(0, 100));
+  /** The run's numbers: each snapshot's `next`, in insertion order. */
+  function getNumbers(snapshots) {
+    return snapshots.filter((s) => s.next !== null).map((s) => s.next);
   }
 
-  function getBuckets() {
-    const b = Array.from({ length: BUCKETS }, () => []);
-    for (let i = 0; i < state.stepIndex; i++) {
-      const v = state.numbers[i];
-      b[v % BUCKETS].push(v);
-    }
-    return b;
+  /** In quiz mode, ask for the next value's bucket before dropping it in. */
+  function quiz(snapshot) {
+    const value = snapshot.next;
+    if (value === null) return null;
+    return {
+      prompt: `Which bucket does ${value} land in?`,
+      choices: Array.from({ length: BUCKETS }, (_, b) => b),
+      answer: value % BUCKETS,
+      explain: `${value} % ${BUCKETS} = ${value % BUCKETS}.`,
+    };
   }
 
-  function setStatus() {
-    if (!state.numbers.length) { statusEl.textContent = 'Generate numbers to start.'; return; }
-    if (state.animation) {
-      const v = state.animation.value;
-      statusEl.textContent = `Dropping ${v} into bucket ${v % BUCKETS} (hash: ${v} % ${BUCKETS}).`;
-      return;
-    }
-    if (state.stepIndex >= state.numbers.length) {
-      statusEl.textContent = `Done. Inserted ${state.numbers.length}/${state.numbers.length} values into ${BUCKETS} buckets.`;
-      return;
-    }
-    const c = state.numbers[state.stepIndex];
-    statusEl.textContent = `Step ${state.stepIndex}/${state.numbers.length}: next ${c} → bucket ${c % BUCKETS} (hash: ${c} % ${BUCKETS}).`;
+  function describe(snapshot, snapshots) {
+    const numberState = (value, i) => {
+      if (i < snapshot.step) return `in bucket ${value % BUCKETS}`;
+      return i === snapshot.step ? 'next' : 'waiting';
+    };
+    return [
+      {
+        caption: 'Input numbers',
+        headers: ['Position', 'Value', 'State'],
+        rows: getNumbers(snapshots).map((v, i) => [i, v, numberState(v, i)]),
+      },
+      {
+        caption: `Buckets (value mod ${BUCKETS})`,
+        headers: ['Bucket', 'Values'],
+        rows: snapshot.buckets.map((values, i) => [i, values.join(', ') || 'empty']),
+      },
+    ];
   }
 
   /* Layout helpers */
 
-  function getInputLayout(width) {
+  function getInputLayout(width, count) {
     const left = 18;
     const right = width - 18;
     const gap = 8;
-    const slotW = Math.max(38, Math.floor((right - left - gap * (SAMPLE - 1)) / SAMPLE));
+    const slots = Math.max(SAMPLE, count);
+    const slotW = Math.max(38, Math.floor((right - left - gap * (slots - 1)) / slots));
     const radius = Math.max(14, Math.min(20, Math.floor(slotW * 0.38)));
     return { top: 18, left, gap, slotW, radius, rowCenterY: 52 };
   }
 
-  function getInputBallCenter(idx, width) {
-    const l = getInputLayout(width);
-    return { x: l.left + idx * (l.slotW + l.gap) + l.slotW / 2, y: l.rowCenterY, radius: l.radius };
+  function getInputBallCenter(layout, idx) {
+    return { x: layout.left + idx * (layout.slotW + layout.gap) + layout.slotW / 2, y: layout.rowCenterY };
   }
 
   function getBucketLayout(startY, width, height) {
@@ -105,42 +118,36 @@ export default function initHashTableVisualization() {
 
   /* Draw */
 
-  function drawNumberStrip(width) {
-    const l = getInputLayout(width);
-
-    drawSectionLabel(ctx, 'Input numbers (0-100)', l.left, l.top, {
+  /** The input strip; values at `inFlight` positions are drawn by the drop instead. */
+  function drawNumberStrip(ctx, layout, numbers, step, inFlight) {
+    drawSectionLabel(ctx, 'Input numbers (0-100)', layout.left, layout.top, {
       font: `600 13px ${FONT_SANS}`,
     });
 
-    for (let i = 0; i < state.numbers.length; i++) {
-      if (state.animation && i === state.stepIndex) continue;
-      const { x, y, radius } = getInputBallCenter(i, width);
+    numbers.forEach((value, i) => {
+      if (inFlight.has(i)) return;
+      const { x, y } = getInputBallCenter(layout, i);
       let stroke = CSS.node;
       let lw = 2;
-      if (i < state.stepIndex) { stroke = CSS.tortoise; lw = 2.5; }
-      if (i === state.stepIndex && state.stepIndex < state.numbers.length) { stroke = CSS.meet; lw = 3; }
-      drawCircleNode(ctx, x, y, radius, state.numbers[i], {
+      if (i < step) { stroke = CSS.tortoise; lw = 2.5; }
+      if (i === step) { stroke = CSS.meet; lw = 3; }
+      drawCircleNode(ctx, x, y, layout.radius, value, {
         stroke, lineWidth: lw, font: `700 12px ${FONT_SANS}`,
+        /* Waiting values keep their bucket to themselves: it is the quiz's answer. */
+        hit: {
+          tip: i < step
+            ? `Position ${i}: ${value}\n${value} % ${BUCKETS} = ${value % BUCKETS} → bucket ${value % BUCKETS}`
+            : `Position ${i}: ${value} (${i === step ? 'next' : 'waiting'})`,
+        },
       });
-    }
-
-    return l.rowCenterY + l.radius + 20;
+    });
   }
 
-  function drawBuckets(startY, width, height) {
-    const buckets = getBuckets();
-    const layout = getBucketLayout(startY, width, height);
-
+  function drawBuckets(ctx, layout, buckets) {
     for (let i = 0; i < BUCKETS; i++) {
       const box = layout.boxes[i];
 
-      ctx.beginPath();
-      ctx.roundRect(box.x, box.y, box.w, box.h, 10);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = CSS.edge;
-      ctx.lineWidth = 1.8;
-      ctx.stroke();
+      drawRectCell(ctx, box.x, box.y, box.w, box.h, null, { stroke: CSS.edge, lineWidth: 1.8 });
 
       ctx.fillStyle = CSS.label;
       ctx.font = `700 13px ${FONT_SANS}`;
@@ -153,115 +160,56 @@ export default function initHashTableVisualization() {
         if (pos.y + pos.radius > box.y + box.h - 10) break;
         drawCircleNode(ctx, pos.x, pos.y, pos.radius, buckets[i][j], {
           stroke: CSS.tortoise, font: `700 12px ${FONT_SANS}`,
+          hit: { tip: `${buckets[i][j]} in bucket ${i} (${buckets[i][j]} % ${BUCKETS} = ${i})` },
         });
       }
     }
-
-    return layout;
   }
 
-  function draw() {
-    const { width, height } = state;
+  /** Mid-step, every value inserted between the two snapshots drops from the strip into its bucket. */
+  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating, snapshots }) {
     if (width <= 0 || height <= 0) return;
-    clearCanvas(ctx, width, height);
-
-    const bsy = drawNumberStrip(width);
-    const bl = drawBuckets(bsy, width, height);
 
-    if (state.animation) {
-      const e = easeOutCubic(Math.min(1, state.animation.progress));
-      const x = lerp(state.animation.fromX, state.animation.toX, e);
-      const y = lerp(state.animation.fromY, state.animation.toY, e);
-      const slot = getBucketBallSlot(bl, state.animation.bucket, state.animation.slotIndex);
-      drawCircleNode(ctx, x, y, slot.radius, state.animation.value, {
-        stroke: CSS.meet, lineWidth: 3, font: `700 12px ${FONT_SANS}`,
-      });
+    const numbers = getNumbers(snapshots);
+    const inputLayout = getInputLayout(width, numbers.length);
+    const bucketLayout = getBucketLayout(inputLayout.rowCenterY + inputLayout.radius + 20, width, height);
+    const inFlight = new Set();
+    if (isAnimating) {
+      for (let i = snapshot.step; i < toSnapshot.step; i++) inFlight.add(i);
     }
-  }
-
-  function render() {
-    const { width, height } = resize2dCanvas(canvas);
-    state.width = width;
-    state.height = height;
-    draw();
-    setStatus();
-    nextBtn.disabled = state.stepIndex >= state.numbers.length || state.animation !== null;
-    generateBtn.disabled = state.animation !== null;
-    resetBtn.disabled = state.stepIndex <= 0;
-  }
-
-  function regenerate() {
-    state.numbers = createNumbers();
-    state.stepIndex = 0;
-    state.animation = null;
-    render();
-  }
 
-  function startInsertAnimation() {
-    if (state.animation || state.stepIndex >= state.numbers.length) return;
+    drawNumberStrip(ctx, inputLayout, numbers, snapshot.step, inFlight);
+    drawBuckets(ctx, bucketLayout, snapshot.buckets);
 
-    const { width, height } = resize2dCanvas(canvas);
-    state.width = width;
-    state.height = height;
-
-    const value = state.numbers[state.stepIndex];
-    const bucket = value % BUCKETS;
-    const slotIndex = getBuckets()[bucket].length;
-    const from = getInputBallCenter(state.stepIndex, width);
-    const bl = getBucketLayout(from.y + from.radius + 20, width, height);
-    const target = getBucketBallSlot(bl, bucket, slotIndex);
-
-    state.animation = {
-      value, bucket, slotIndex,
-      fromX: from.x, fromY: from.y,
-      toX: target.x, toY: target.y,
-      startTs: performance.now(), progress: 0,
-    };
-
-    function tick(ts) {
-      if (!state.animation) return;
-      state.animation.progress = (ts - state.animation.startTs) / ANIM_MS;
-      if (state.animation.progress >= 1) {
-        state.animation = null;
-        state.stepIndex += 1;
-        render();
-        return;
-      }
-      render();
-      requestAnimationFrame(tick);
+    for (const i of inFlight) {
+      const value = numbers[i];
+      const bucket = value % BUCKETS;
+      const slotIndex = numbers.slice(0, i).filter((v) => v % BUCKETS === bucket).length;
+      const from = getInputBallCenter(inputLayout, i);
+      const slot = getBucketBallSlot(bucketLayout, bucket, slotIndex);
+      drawCircleNode(ctx, lerp(from.x, slot.x, progress), lerp(from.y, slot.y, progress), slot.radius, value, {
+        stroke: CSS.meet, lineWidth: 3, font: `700 12px ${FONT_SANS}`,
+      });
     }
-
-    requestAnimationFrame(tick);
   }
 
-  generateBtn.addEventListener('click', regenerate);
-
-  nextBtn.addEventListener('click', () => {
-    if (state.stepIndex >= state.numbers.length || state.animation) return;
-    if (reduceMotion) { state.stepIndex += 1; render(); return; }
-    startInsertAnimation();
-  });
-
-  resetBtn.addEventListener('click', () => {
-    state.animation = null;
-    state.stepIndex = 0;
-    render();
-  });
-
-  new ResizeObserver(() => render()).observe(canvas);
-  regenerate();
-
-  createVisualizationAutoplaySkill({
-    enabled: !reduceMotion,
-    stepInterval: 900,
-    donePause: 1800,
-    isActive: () => document.visibilityState === 'visible' && !canvas.closest('.algo-item')?.hidden,
-    isBusy: () => state.animation !== null,
-    isDone: () => state.stepIndex >= state.numbers.length,
-    onStep: () => {
-      if (state.stepIndex >= state.numbers.length || state.animation) return;
-      startInsertAnimation();
-    },
-    onReset: regenerate,
+  return createSnapshotVisualization({
+    canvasId: 'hashCanvas', statusId: 'hashStatus',
+    prevId: 'hashPrev', nextId: 'hashNext', resetId: 'hashReset',
+    createInput,
+    isValidInput,
+    parseInput,
+    formatInput: ({ numbers }) => numbers.join(' '),
+    inputLabel: 'Numbers',
+    inputPlaceholder: '0–100, up to 12 values',
+    controls: [{ id: 'hashGenerate', label: 'Generate numbers' }],
+    buildSnapshots,
+    draw,
+    describe,
+    animationMs: 650,
+    code: CODE,
+    quiz,
+    idSuffix,
+    inputShape: 'hash-numbers',
   });
 }
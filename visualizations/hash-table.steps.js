@@ -0,0 +1,36 @@
+/**
+ * Hash table construction — step generator.  No DOM or canvas code, so it
+ * also runs in Node; hash-table.js animates the insertions.
+ */
+
+export const BUCKETS = 10;
+
+/** The first `count` of `numbers` dropped into their buckets (value mod BUCKETS). */
+export function fillBuckets(numbers, count = numbers.length) {
+  const buckets = Array.from({ length: BUCKETS }, () => []);
+  for (const value of numbers.slice(0, count)) buckets[value % BUCKETS].push(value);
+  return buckets;
+}
+
+/**
+ * Status line once `step` of `numbers` are in the table.  It names the
+ * value just inserted, never the next one, so quiz mode can ask for it.
+ */
+export function describeStep(numbers, step) {
+  const n = numbers.length;
+  if (step === 0) return `Insert ${n} numbers into ${BUCKETS} buckets (hash: n % ${BUCKETS}).`;
+  const c = numbers[step - 1];
+  const inserted = `Inserted ${c} → bucket ${c % BUCKETS} (hash: ${c} % ${BUCKETS})`;
+  return step >= n ? `${inserted}. Done: ${n}/${n} values in ${BUCKETS} buckets.` : `${inserted}.`;
+}
+
+/** One snapshot per insertion: `next` is the value about to drop, null once done. */
+export function buildSnapshots({ numbers }) {
+  return Array.from({ length: numbers.length + 1 }, (_, step) => ({
+    step,
+    next: step < numbers.length ? numbers[step] : null,
+    buckets: fillBuckets(numbers, step),
+    line: step === 0 ? 'init' : step < numbers.length ? 'insert' : 'done',
+    text: describeStep(numbers, step),
+  }));
+}
@@ -4,12 +4,35 @@
 
 import {
   FONT_SANS, FONT_MONO, CSS,
-  getRandomIntInclusive,
+  getRandomIntInclusive, random,
   easeOutCubic,
   createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initLFUCacheVisualization() {
+import { drawHashmapTable, drawHighlightFrame, drawRectCell } from '../viz-draw.js';
+import {
+  CACHE_INPUT_SHAPE, isValidCacheInput, parseCacheInput, formatCacheInput, describeCacheOperation,
+  createCacheQuestion, issueCacheGet,
+} from './cache-ops.js';
+import { buildSnapshots } from './lfu-cache.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'init(capacity): map ← {}, buckets ← {}, minFreq ← 0' },
+    'touch(node):',
+    { ref: 'touch', text: '  move key from buckets[freq] to buckets[freq + 1]' },
+    { ref: 'touch', text: '  if buckets[minFreq] is empty: minFreq ← minFreq + 1' },
+    'get(key):',
+    { ref: 'miss', text: '  if key ∉ map: return −1' },
+    { ref: 'hit', text: '  touch(map[key]); return map[key].value' },
+    'put(key, value):',
+    { ref: 'update', text: '  if key ∈ map: set value, touch(map[key])' },
+    { ref: 'evict', text: '  else if map is full: evict oldest key in buckets[minFreq]' },
+    { ref: 'insert', text: '  if new: map[key] ← (value, freq 1), append to buckets[1]' },
+    { ref: 'insert', text: '          minFreq ← 1' },
+  ],
+};
+
+export default function initLFUCacheVisualization({ idSuffix = '' } = {}) {
   function generateOps(capacity) {
     const ops = [];
     const keyRange = capacity + 5;
@@ -27,7 +50,7 @@ export default function initLFUCacheVisualization() {
     const totalOps = getRandomIntInclusive(18, 22);
     while (ops.length < totalOps) {
       const k = getRandomIntInclusive(1, keyRange);
-      if (Math.random() < 0.35) {
+      if (random() < 0.35) {
         ops.push({ type: 'get', key: k });
       } else {
         ops.push({ type: 'put', key: k, value: getRandomIntInclusive(1, 20) });
@@ -36,154 +59,33 @@ export default function initLFUCacheVisualization() {
     return ops;
   }
 
-  function buildSnapshots() {
+  function createInput() {
     const capacity = getRandomIntInclusive(2, 6);
-    const ops = generateOps(capacity);
-
-    const keyNode = new Map();
-    const freqKeys = new Map();
-    let minFreq = 0;
-
-    function addToFreq(freq, key) {
-      if (!freqKeys.has(freq)) freqKeys.set(freq, []);
-      freqKeys.get(freq).push(key);
-    }
-    function removeFromFreq(freq, key) {
-      const list = freqKeys.get(freq);
-      if (!list) return;
-      const idx = list.indexOf(key);
-      if (idx >= 0) list.splice(idx, 1);
-      if (list.length === 0) freqKeys.delete(freq);
-    }
-
-    function snapshotBuckets() {
-      const buckets = [];
-      const freqs = [...freqKeys.keys()].sort((a, b) => a - b);
-      for (const f of freqs) {
-        buckets.push({ freq: f, keys: [...freqKeys.get(f)] });
-      }
-      return buckets;
-    }
-    function snapshotMap() {
-      const rows = [];
-      for (const [k, node] of keyNode) {
-        rows.push({ key: k, value: node.value, freq: node.freq });
-      }
-      return rows;
-    }
-
-    const snaps = [];
-    snaps.push({
-      capacity,
-      op: null,
-      result: null,
-      evictedKey: null,
-      minFreq: 0,
-      buckets: [],
-      mapRows: [],
-      activeKey: null,
-      text: `LFU Cache created with capacity = ${capacity}.`,
-    });
-
-    for (let oi = 0; oi < ops.length; oi++) {
-      const op = ops[oi];
-      let result = null;
-      let evictedKey = null;
-      let activeAction = null;
-
-      if (op.type === 'get') {
-        if (keyNode.has(op.key)) {
-          activeAction = 'Hit';
-          const node = keyNode.get(op.key);
-          result = node.value;
-          const oldFreq = node.freq;
-          removeFromFreq(oldFreq, op.key);
-          node.freq += 1;
-          addToFreq(node.freq, op.key);
-          if (minFreq === oldFreq && !freqKeys.has(oldFreq)) {
-            minFreq = oldFreq + 1;
-          }
-        } else {
-          activeAction = 'Miss';
-          result = -1;
-        }
-      } else {
-        if (capacity <= 0) continue;
-        if (keyNode.has(op.key)) {
-          activeAction = 'Updated';
-          const node = keyNode.get(op.key);
-          node.value = op.value;
-          const oldFreq = node.freq;
-          removeFromFreq(oldFreq, op.key);
-          node.freq += 1;
-          addToFreq(node.freq, op.key);
-          if (minFreq === oldFreq && !freqKeys.has(oldFreq)) {
-            minFreq = oldFreq + 1;
-          }
-        } else {
-          activeAction = 'Inserted';
-          if (keyNode.size >= capacity) {
-            const minList = freqKeys.get(minFreq);
-            const victimKey = minList.shift();
-            if (minList.length === 0) freqKeys.delete(minFreq);
-            keyNode.delete(victimKey);
-            evictedKey = victimKey;
-          }
-          keyNode.set(op.key, { key: op.key, value: op.value, freq: 1 });
-          addToFreq(1, op.key);
-          minFreq = 1;
-        }
-      }
-
-      const getDesc = result === -1
-        ? `get(${op.key}): miss → -1.`
-        : `get(${op.key}): hit → ${result}, freq++.`;
-      const putDesc = evictedKey != null
-        ? `put(${op.key}, ${op.value}): full → evict key ${evictedKey} (minFreq bucket), insert.`
-        : `put(${op.key}, ${op.value}): ${activeAction.toLowerCase()}, freq${activeAction === 'Updated' ? '++' : '=1'}.`;
-
-      snaps.push({
-        capacity,
-        op,
-        result,
-        evictedKey,
-        minFreq,
-        activeAction,
-        buckets: snapshotBuckets(),
-        mapRows: snapshotMap(),
-        activeKey: op.key,
-        text: op.type === 'get' ? getDesc : putDesc,
-      });
-    }
-
-    const last = snaps[snaps.length - 1];
-    snaps.push({
-      ...last,
-      op: null,
-      evictedKey: null,
-      activeKey: null,
-      text: `Done. ${ops.length} operations complete. Reset for a new random sequence.`,
-    });
+    return { capacity, ops: generateOps(capacity) };
+  }
 
-    return snaps;
+  function describe(snapshot) {
+    return [
+      describeCacheOperation(snapshot),
+      {
+        caption: `Frequency buckets (minFreq ${snapshot.minFreq}, capacity ${snapshot.capacity})`,
+        headers: ['Frequency', 'Keys, least recent first'],
+        rows: snapshot.buckets.map((bucket) => [bucket.freq, bucket.keys.join(', ')]),
+      },
+      {
+        caption: 'HashMap',
+        headers: ['Key', 'Value', 'Frequency'],
+        rows: snapshot.mapRows.map((row) => [row.key, row.value, row.freq]),
+      },
+    ].filter(Boolean);
   }
 
   /* Drawing helpers */
 
-  function drawChip(ctx, x, y, w, h, label, { stroke = CSS.node, lw = 2, badge = null, badgeColor = CSS.meet } = {}) {
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 8);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = stroke;
-    ctx.lineWidth = lw;
-    ctx.stroke();
-
-    ctx.fillStyle = CSS.label;
-    ctx.font = `700 12px ${FONT_MONO}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(String(label), x + w / 2, y + h / 2 + 1);
+  function drawChip(ctx, x, y, w, h, label, {
+    stroke = CSS.node, lw = 2, badge = null, badgeColor = CSS.meet, hit = null,
+  } = {}) {
+    drawRectCell(ctx, x, y, w, h, label, { stroke, lineWidth: lw, radius: 8, font: `700 12px ${FONT_MONO}`, hit });
 
     if (badge) {
       ctx.font = `bold 9px ${FONT_SANS}`;
@@ -195,7 +97,7 @@ export default function initLFUCacheVisualization() {
       ctx.roundRect(bx, by, bw, bh, 4);
       ctx.fillStyle = badgeColor;
       ctx.fill();
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = CSS.fill;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       ctx.fillText(badge, x + w / 2, by + bh / 2 + 1);
@@ -235,6 +137,14 @@ export default function initLFUCacheVisualization() {
     drawHorizontalArrow(ctx, rightX, leftX, y + lane, color);
   }
 
+  /**
+   * Cached keys are hit regions; clicking one issues get(key) at this step.
+   * The tip leaves out the value, which a quiz question may be asking for.
+   */
+  function keyHit(key, freq) {
+    return { tip: `Key ${key} · freq ${freq}\nClick to get(${key}).`, target: { key } };
+  }
+
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
     if (width < 10 || height < 10) return;
     const active = isAnimating ? toSnapshot : snapshot;
@@ -295,21 +205,17 @@ export default function initLFUCacheVisualization() {
       const isMin = bucket.freq === active.minFreq;
 
       const frameW = bucketsW - 10;
-      ctx.save();
       if (isMin) {
-        ctx.globalAlpha = 0.08;
-        ctx.fillStyle = CSS.meet;
+        drawHighlightFrame(ctx, bucketsX, by, frameW, bucketRowH, CSS.meet, {
+          radius: 8, fillAlpha: 0.08, strokeWidth: 2.5,
+        });
+      } else {
+        ctx.strokeStyle = CSS.edge;
+        ctx.lineWidth = 1.5;
         ctx.beginPath();
         ctx.roundRect(bucketsX, by, frameW, bucketRowH, 8);
-        ctx.fill();
+        ctx.stroke();
       }
-      ctx.restore();
-
-      ctx.strokeStyle = isMin ? CSS.meet : CSS.edge;
-      ctx.lineWidth = isMin ? 2.5 : 1.5;
-      ctx.beginPath();
-      ctx.roundRect(bucketsX, by, frameW, bucketRowH, 8);
-      ctx.stroke();
 
       ctx.fillStyle = isMin ? CSS.meet : CSS.label;
       ctx.font = `700 11px ${FONT_SANS}`;
@@ -344,7 +250,8 @@ export default function initLFUCacheVisualization() {
             stroke: isActiveChip ? CSS.meet : CSS.tortoise,
             lw: isActiveChip ? 3 : 2,
             badge: isActiveChip ? active.activeAction : null,
-            badgeColor: CSS.meet
+            badgeColor: CSS.meet,
+            hit: keyHit(bucket.keys[ki], bucket.freq),
           });
         ctx.restore();
       }
@@ -408,57 +315,45 @@ export default function initLFUCacheVisualization() {
     ctx.textAlign = 'left';
     ctx.fillText('HashMap', tableX, tableTopY - 8);
 
-    ctx.fillStyle = CSS.edge;
-    ctx.font = `700 11px ${FONT_SANS}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('Key', tableX + colW / 2, tableTopY + rowH / 2);
-    ctx.fillText('Val', tableX + colW + colW / 2, tableTopY + rowH / 2);
-    ctx.fillText('Freq', tableX + colW * 2 + colW / 2, tableTopY + rowH / 2);
-
-    ctx.strokeStyle = CSS.edge;
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(tableX, tableTopY + rowH);
-    ctx.lineTo(tableX + colW * 3, tableTopY + rowH);
-    ctx.stroke();
-
     const mapRows = active.mapRows;
-    for (let i = 0; i < mapRows.length; i++) {
-      const ry = tableTopY + rowH + i * rowH;
-      const isAct = active.activeKey != null && mapRows[i].key === active.activeKey;
-
-      if (isAct) {
-        ctx.save();
-        ctx.globalAlpha = 0.10;
-        ctx.fillStyle = CSS.meet;
-        ctx.fillRect(tableX, ry, colW * 3, rowH);
-        ctx.restore();
-        ctx.fillStyle = CSS.meet;
-      } else {
-        ctx.fillStyle = CSS.label;
-      }
-
-      ctx.font = `600 12px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(mapRows[i].key), tableX + colW / 2, ry + rowH / 2);
-      ctx.fillText(String(mapRows[i].value), tableX + colW + colW / 2, ry + rowH / 2);
-      ctx.fillText(String(mapRows[i].freq), tableX + colW * 2 + colW / 2, ry + rowH / 2);
-    }
+    drawHashmapTable(ctx, tableX, tableTopY, {
+      headers: ['Key', 'Val', 'Freq'],
+      rows: mapRows,
+      activeKey: active.activeKey,
+      colW,
+      rowH,
+      rowHit: (row) => keyHit(row.key, row.freq),
+    });
 
-    if (mapRows.length === 0) {
-      ctx.fillStyle = CSS.edge;
-      ctx.font = `600 12px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.fillText('(empty)', tableX + colW * 1.5, tableTopY + rowH + 14);
-    }
+    /* Bounds for the camera's Fit: with capacity 6 the buckets stack below the canvas. */
+    const longest = Math.max(0, ...buckets.map((bucket) => bucket.keys.length));
+    const chainRight = listStartX + sentinelW * 2 + chipGap + longest * (chipW + chipGap);
+    const bucketsBottom = bucketsTopY + Math.max(1, buckets.length) * (bucketRowH + bucketGap);
+    const tableBottom = tableTopY + rowH * (Math.max(1, mapRows.length) + 1);
+    return {
+      x: 0,
+      y: 0,
+      width: Math.max(width, chainRight + 16, tableX + colW * 3 + 16),
+      height: Math.max(height, bucketsBottom + 6, tableBottom + 16),
+    };
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'lfuCanvas', statusId: 'lfuStatus',
     prevId: 'lfuPrev', nextId: 'lfuNext', resetId: 'lfuReset',
-    buildSnapshots, draw, animationMs: 1200,
+    createInput, buildSnapshots, draw, animationMs: 1200,
+    isValidInput: isValidCacheInput,
+    parseInput: parseCacheInput,
+    formatInput: formatCacheInput,
+    inputLabel: 'capacity: ops',
+    inputPlaceholder: '2: put(1,1) put(2,2) get(1)',
     rebuildSnapshotsOnReset: true,
+    code: CODE,
+    describe,
+    quiz: (snapshot, next) => createCacheQuestion(snapshot.mapRows, next),
+    idSuffix,
+    inputShape: CACHE_INPUT_SHAPE,
+    camera: true,
+    onCanvasClick: ({ key }, { input, stepIndex }) => issueCacheGet(input, stepIndex, key),
   });
 }
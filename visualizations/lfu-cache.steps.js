@@ -0,0 +1,144 @@
+/**
+ * LFU Cache (freq buckets + HashMap) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; lfu-cache.js draws the snapshots.
+ */
+
+/**
+ * Replay `ops` on an LFU cache of `capacity`: one recency-ordered bucket
+ * per use count, plus `minFreq`, ties evicting the least recently used.
+ * One snapshot per op; a `get` snapshot's `result` is what the cache
+ * returned.
+ */
+export function buildSnapshots({ capacity, ops }) {
+
+  const keyNode = new Map();
+  const freqKeys = new Map();
+  let minFreq = 0;
+
+  function addToFreq(freq, key) {
+    if (!freqKeys.has(freq)) freqKeys.set(freq, []);
+    freqKeys.get(freq).push(key);
+  }
+  function removeFromFreq(freq, key) {
+    const list = freqKeys.get(freq);
+    if (!list) return;
+    const idx = list.indexOf(key);
+    if (idx >= 0) list.splice(idx, 1);
+    if (list.length === 0) freqKeys.delete(freq);
+  }
+
+  function snapshotBuckets() {
+    const buckets = [];
+    const freqs = [...freqKeys.keys()].sort((a, b) => a - b);
+    for (const f of freqs) {
+      buckets.push({ freq: f, keys: [...freqKeys.get(f)] });
+    }
+    return buckets;
+  }
+  function snapshotMap() {
+    const rows = [];
+    for (const [k, node] of keyNode) {
+      rows.push({ key: k, value: node.value, freq: node.freq });
+    }
+    return rows;
+  }
+
+  const snaps = [];
+  snaps.push({
+    capacity,
+    op: null,
+    result: null,
+    evictedKey: null,
+    minFreq: 0,
+    buckets: [],
+    mapRows: [],
+    activeKey: null,
+    line: 'init',
+    text: `LFU Cache created with capacity = ${capacity}.`,
+  });
+
+  for (let oi = 0; oi < ops.length; oi++) {
+    const op = ops[oi];
+    let result = null;
+    let evictedKey = null;
+    let activeAction = null;
+
+    if (op.type === 'get') {
+      if (keyNode.has(op.key)) {
+        activeAction = 'Hit';
+        const node = keyNode.get(op.key);
+        result = node.value;
+        const oldFreq = node.freq;
+        removeFromFreq(oldFreq, op.key);
+        node.freq += 1;
+        addToFreq(node.freq, op.key);
+        if (minFreq === oldFreq && !freqKeys.has(oldFreq)) {
+          minFreq = oldFreq + 1;
+        }
+      } else {
+        activeAction = 'Miss';
+        result = -1;
+      }
+    } else {
+      if (capacity <= 0) continue;
+      if (keyNode.has(op.key)) {
+        activeAction = 'Updated';
+        const node = keyNode.get(op.key);
+        node.value = op.value;
+        const oldFreq = node.freq;
+        removeFromFreq(oldFreq, op.key);
+        node.freq += 1;
+        addToFreq(node.freq, op.key);
+        if (minFreq === oldFreq && !freqKeys.has(oldFreq)) {
+          minFreq = oldFreq + 1;
+        }
+      } else {
+        activeAction = 'Inserted';
+        if (keyNode.size >= capacity) {
+          const minList = freqKeys.get(minFreq);
+          const victimKey = minList.shift();
+          if (minList.length === 0) freqKeys.delete(minFreq);
+          keyNode.delete(victimKey);
+          evictedKey = victimKey;
+        }
+        keyNode.set(op.key, { key: op.key, value: op.value, freq: 1 });
+        addToFreq(1, op.key);
+        minFreq = 1;
+      }
+    }
+
+    const getDesc = result === -1
+      ? `get(${op.key}): miss → -1.`
+      : `get(${op.key}): hit → ${result}, freq++.`;
+    const putDesc = evictedKey != null
+      ? `put(${op.key}, ${op.value}): full → evict key ${evictedKey} (minFreq bucket), insert.`
+      : `put(${op.key}, ${op.value}): ${activeAction.toLowerCase()}, freq${activeAction === 'Updated' ? '++' : '=1'}.`;
+
+    snaps.push({
+      capacity,
+      op,
+      result,
+      evictedKey,
+      minFreq,
+      activeAction,
+      buckets: snapshotBuckets(),
+      mapRows: snapshotMap(),
+      activeKey: op.key,
+      line: { Hit: ['hit', 'touch'], Miss: 'miss', Updated: ['update', 'touch'] }[activeAction]
+        ?? (evictedKey != null ? ['evict', 'insert'] : 'insert'),
+      text: op.type === 'get' ? getDesc : putDesc,
+    });
+  }
+
+  const last = snaps[snaps.length - 1];
+  snaps.push({
+    ...last,
+    op: null,
+    evictedKey: null,
+    activeKey: null,
+    line: null,
+    text: `Done. ${ops.length} operations complete. Reset for a new random sequence.`,
+  });
+
+  return snaps;
+}
@@ -4,12 +4,76 @@
 
 import {
   FONT_SANS, FONT_MONO, CSS,
-  getRandomIntInclusive,
+  getRandomIntInclusive, random,
   easeOutCubic,
   createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initLRUCacheVisualization() {
+import { drawHashmapTable, drawRectCell } from '../viz-draw.js';
+import {
+  CACHE_INPUT_SHAPE, isValidCacheInput, parseCacheInput, formatCacheInput, describeCacheOperation,
+  createCacheQuestion, issueCacheGet,
+} from './cache-ops.js';
+import { buildSnapshots } from './lru-cache.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'init(capacity): head ⇄ tail, map ← {}' },
+    'get(key):',
+    { ref: 'miss', text: '  if key ∉ map: return −1' },
+    { ref: 'hit', text: '  node ← map[key]; move node to front' },
+    { ref: 'hit', text: '  return node.value' },
+    'put(key, value):',
+    { ref: 'update', text: '  if key ∈ map: set value, move node to front' },
+    { ref: 'evict', text: '  else if map is full: remove tail.prev from list and map' },
+    { ref: 'insert', text: '  if new: add node at front, map[key] ← node' },
+  ],
+  js: [
+    'class LRUCache {',
+    { ref: 'init', text: '  constructor(capacity) { this.capacity = capacity; this.map = new Map(); /* head ⇄ tail */ }' },
+    '  get(key) {',
+    { ref: 'miss', text: '    if (!this.map.has(key)) return -1;' },
+    { ref: 'hit', text: '    const node = this.map.get(key);' },
+    { ref: 'hit', text: '    this.remove(node); this.addFront(node);' },
+    { ref: 'hit', text: '    return node.value;' },
+    '  }',
+    '  put(key, value) {',
+    '    if (this.map.has(key)) {',
+    { ref: 'update', text: '      const node = this.map.get(key); node.value = value;' },
+    { ref: 'update', text: '      this.remove(node); this.addFront(node);' },
+    '      return;',
+    '    }',
+    '    if (this.map.size === this.capacity) {',
+    { ref: 'evict', text: '      const lru = this.tail.prev;' },
+    { ref: 'evict', text: '      this.remove(lru); this.map.delete(lru.key);' },
+    '    }',
+    { ref: 'insert', text: '    const node = { key, value };' },
+    { ref: 'insert', text: '    this.addFront(node); this.map.set(key, node);' },
+    '  }',
+    '}',
+  ],
+  python: [
+    'class LRUCache:',
+    '    def __init__(self, capacity):',
+    { ref: 'init', text: '        self.capacity, self.map = capacity, {}  # head ⇄ tail' },
+    '    def get(self, key):',
+    { ref: 'miss', text: '        if key not in self.map: return -1' },
+    { ref: 'hit', text: '        node = self.map[key]' },
+    { ref: 'hit', text: '        self.remove(node); self.add_front(node)' },
+    { ref: 'hit', text: '        return node.value' },
+    '    def put(self, key, value):',
+    '        if key in self.map:',
+    { ref: 'update', text: '            node = self.map[key]; node.value = value' },
+    { ref: 'update', text: '            self.remove(node); self.add_front(node)' },
+    '            return',
+    '        if len(self.map) == self.capacity:',
+    { ref: 'evict', text: '            lru = self.tail.prev' },
+    { ref: 'evict', text: '            self.remove(lru); del self.map[lru.key]' },
+    { ref: 'insert', text: '        node = Node(key, value)' },
+    { ref: 'insert', text: '        self.add_front(node); self.map[key] = node' },
+  ],
+};
+
+export default function initLRUCacheVisualization({ idSuffix = '' } = {}) {
   function generateOps(capacity) {
     const ops = [];
     const keyRange = capacity + 4;
@@ -23,7 +87,7 @@ export default function initLRUCacheVisualization() {
     const totalOps = getRandomIntInclusive(12, 16);
     while (ops.length < totalOps) {
       const k = getRandomIntInclusive(1, keyRange);
-      if (Math.random() < 0.4) {
+      if (random() < 0.4) {
         ops.push({ type: 'get', key: k });
       } else {
         ops.push({ type: 'put', key: k, value: getRandomIntInclusive(1, 20) });
@@ -32,139 +96,35 @@ export default function initLRUCacheVisualization() {
     return ops;
   }
 
-  function buildSnapshots() {
+  function createInput() {
     const capacity = 5;
-    const ops = generateOps(capacity);
-
-    let idCounter = 0;
-    function makeNode(key, value) {
-      return { id: ++idCounter, key, value, prev: null, next: null };
-    }
-    const head = makeNode('H', '');
-    const tail = makeNode('T', '');
-    head.next = tail;
-    tail.prev = head;
-    const map = new Map();
-
-    function remove(node) {
-      node.prev.next = node.next;
-      node.next.prev = node.prev;
-    }
-    function insertAfterHead(node) {
-      node.next = head.next;
-      node.prev = head;
-      head.next.prev = node;
-      head.next = node;
-    }
-    function listOrder() {
-      const order = [];
-      let cur = head.next;
-      while (cur !== tail) {
-        order.push({ key: cur.key, value: cur.value });
-        cur = cur.next;
-      }
-      return order;
-    }
-    function mapView() {
-      const rows = [];
-      for (const [k, n] of map) rows.push({ key: k, value: n.value });
-      return rows;
-    }
-
-    const snaps = [];
-    snaps.push({
-      capacity,
-      op: null,
-      result: null,
-      evictedKey: null,
-      listOrder: [],
-      mapView: [],
-      activeKey: null,
-      text: `LRU Cache created with capacity = ${capacity}. Dummy head ↔ tail.`,
-    });
-
-    for (let oi = 0; oi < ops.length; oi++) {
-      const op = ops[oi];
-      let result = null;
-      let evictedKey = null;
-      let activeAction = null;
-
-      if (op.type === 'get') {
-        if (map.has(op.key)) {
-          activeAction = 'Hit';
-          const node = map.get(op.key);
-          result = node.value;
-          remove(node);
-          insertAfterHead(node);
-        } else {
-          activeAction = 'Miss';
-          result = -1;
-        }
-      } else {
-        if (map.has(op.key)) {
-          activeAction = 'Updated';
-          const node = map.get(op.key);
-          node.value = op.value;
-          remove(node);
-          insertAfterHead(node);
-        } else {
-          activeAction = 'Inserted';
-          if (map.size >= capacity) {
-            const victim = tail.prev;
-            evictedKey = victim.key;
-            remove(victim);
-            map.delete(victim.key);
-          }
-          const node = makeNode(op.key, op.value);
-          insertAfterHead(node);
-          map.set(op.key, node);
-        }
-      }
-
-      const getDesc = result === -1
-        ? `get(${op.key}): miss → -1.`
-        : `get(${op.key}): hit → ${result}, move to front.`;
-      const putDesc = evictedKey != null
-        ? `put(${op.key}, ${op.value}): full → evict key ${evictedKey}, insert at front.`
-        : `put(${op.key}, ${op.value}): ${activeAction.toLowerCase()} at front.`;
-
-      snaps.push({
-        capacity,
-        op,
-        result,
-        evictedKey,
-        activeAction,
-        listOrder: listOrder(),
-        mapView: mapView(),
-        activeKey: op.key,
-        text: op.type === 'get' ? getDesc : putDesc,
-      });
-    }
-
-    const last = snaps[snaps.length - 1];
-    snaps.push({
-      ...last,
-      op: null,
-      evictedKey: null,
-      activeKey: null,
-      text: `Done. ${ops.length} operations complete. Reset for a new random sequence.`,
-    });
+    return { capacity, ops: generateOps(capacity) };
+  }
 
-    return snaps;
+  function describe(snapshot) {
+    return [
+      describeCacheOperation(snapshot),
+      {
+        caption: `Doubly linked list, most recent first (capacity ${snapshot.capacity})`,
+        headers: ['Position', 'Key', 'Value'],
+        rows: snapshot.listOrder.map((node, i) => [i + 1, node.key, node.value]),
+      },
+      {
+        caption: 'HashMap',
+        headers: ['Key', 'Value'],
+        rows: snapshot.mapView.map((row) => [row.key, row.value]),
+      },
+    ].filter(Boolean);
   }
 
   /* Drawing helpers */
 
-  function drawDLLNode(ctx, x, y, w, h, label, sublabel, { stroke = CSS.node, lw = 2, dimmed = false, badge = null, badgeColor = CSS.meet } = {}) {
+  function drawDLLNode(ctx, x, y, w, h, label, sublabel, {
+    stroke = CSS.node, lw = 2, dimmed = false, badge = null, badgeColor = CSS.meet, hit = null,
+  } = {}) {
     ctx.save();
     if (dimmed) ctx.globalAlpha = 0.35;
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 10);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = stroke;
-    ctx.lineWidth = lw;
-    ctx.stroke();
+    drawRectCell(ctx, x, y, w, h, null, { stroke, lineWidth: lw, hit });
 
     ctx.fillStyle = CSS.label;
     ctx.font = `700 14px ${FONT_MONO}`;
@@ -188,7 +148,7 @@ export default function initLRUCacheVisualization() {
       ctx.roundRect(bx, by, bw, bh, 4);
       ctx.fillStyle = badgeColor;
       ctx.fill();
-      ctx.fillStyle = '#ffffff';
+      ctx.fillStyle = CSS.fill;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       ctx.fillText(badge, x + w / 2, by + bh / 2 + 1);
@@ -222,6 +182,14 @@ export default function initLRUCacheVisualization() {
     }
   }
 
+  /**
+   * Cached keys are hit regions; clicking one issues get(key) at this step.
+   * The tip leaves out the value, which a quiz question may be asking for.
+   */
+  function keyHit(key) {
+    return { tip: `Key ${key}\nClick to get(${key}).`, target: { key } };
+  }
+
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
     if (width < 10 || height < 10) return;
     const active = isAnimating ? toSnapshot : snapshot;
@@ -288,7 +256,8 @@ export default function initLRUCacheVisualization() {
           stroke: isEvicted ? CSS.hare : (isActive ? CSS.meet : CSS.tortoise),
           lw: isActive || isEvicted ? 3 : 2,
           badge: isActive ? active.activeAction : null,
-          badgeColor: CSS.meet
+          badgeColor: CSS.meet,
+          hit: keyHit(listNodes[dataIdx].key),
         });
       ctx.restore();
     }
@@ -345,55 +314,40 @@ export default function initLRUCacheVisualization() {
     const tableX = 16;
     const colW = Math.min(100, Math.floor((width - 40) / 3));
     const rowH = 28;
-
-    ctx.fillStyle = CSS.edge;
-    ctx.font = `700 12px ${FONT_SANS}`;
-    ctx.textAlign = 'center';
-    ctx.fillText('Key', tableX + colW / 2, mapY + rowH / 2);
-    ctx.fillText('Value', tableX + colW + colW / 2, mapY + rowH / 2);
-
-    ctx.strokeStyle = CSS.edge;
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(tableX, mapY + rowH);
-    ctx.lineTo(tableX + colW * 2, mapY + rowH);
-    ctx.stroke();
-
     const mapRows = active.mapView;
-    for (let i = 0; i < mapRows.length; i++) {
-      const ry = mapY + rowH + i * rowH;
-      const isAct = active.activeKey != null && mapRows[i].key === active.activeKey;
-
-      if (isAct) {
-        ctx.save();
-        ctx.globalAlpha = 0.10;
-        ctx.fillStyle = CSS.meet;
-        ctx.fillRect(tableX, ry, colW * 2, rowH);
-        ctx.restore();
-        ctx.fillStyle = CSS.meet;
-      } else {
-        ctx.fillStyle = CSS.label;
-      }
 
-      ctx.font = `600 13px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(mapRows[i].key), tableX + colW / 2, ry + rowH / 2);
-      ctx.fillText(String(mapRows[i].value), tableX + colW + colW / 2, ry + rowH / 2);
-    }
+    drawHashmapTable(ctx, tableX, mapY, {
+      headers: ['Key', 'Value'],
+      rows: mapRows,
+      activeKey: active.activeKey,
+      colW,
+      rowH,
+      headerFont: `700 12px ${FONT_SANS}`,
+      cellFont: `600 13px ${FONT_MONO}`,
+      rowHit: (row) => keyHit(row.key),
+    });
 
-    if (mapRows.length === 0) {
-      ctx.fillStyle = CSS.edge;
-      ctx.font = `600 12px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.fillText('(empty)', tableX + colW, mapY + rowH + 14);
-    }
+    /* Bounds for the camera's Fit: a full list runs past narrow canvases. */
+    const tableBottom = mapY + rowH * (Math.max(1, mapRows.length) + 1);
+    return { x: 0, y: 0, width: Math.max(width, listSx + totalW + 10), height: Math.max(height, tableBottom + 10) };
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'lruCanvas', statusId: 'lruStatus',
     prevId: 'lruPrev', nextId: 'lruNext', resetId: 'lruReset',
-    buildSnapshots, draw, animationMs: 1200,
+    createInput, buildSnapshots, draw, animationMs: 1200,
+    isValidInput: isValidCacheInput,
+    parseInput: parseCacheInput,
+    formatInput: formatCacheInput,
+    inputLabel: 'capacity: ops',
+    inputPlaceholder: '2: put(1,1) put(2,2) get(1)',
     rebuildSnapshotsOnReset: true,
+    code: CODE,
+    describe,
+    quiz: (snapshot, next) => createCacheQuestion(snapshot.mapView, next),
+    idSuffix,
+    inputShape: CACHE_INPUT_SHAPE,
+    camera: true,
+    onCanvasClick: ({ key }, { input, stepIndex }) => issueCacheGet(input, stepIndex, key),
   });
 }
@@ -0,0 +1,132 @@
+/**
+ * LRU Cache (DLL + HashMap) — step generator.  No DOM or canvas code, so it
+ * also runs in Node; lru-cache.js draws the snapshots.
+ */
+
+/**
+ * Replay `ops` on an LRU cache of `capacity`: a doubly linked list between
+ * dummy head and tail, most recent first, plus a key → node map.  One
+ * snapshot per op; a `get` snapshot's `result` is what the cache returned.
+ */
+export function buildSnapshots({ capacity, ops }) {
+
+  let idCounter = 0;
+  function makeNode(key, value) {
+    return { id: ++idCounter, key, value, prev: null, next: null };
+  }
+  const head = makeNode('H', '');
+  const tail = makeNode('T', '');
+  head.next = tail;
+  tail.prev = head;
+  const map = new Map();
+
+  function remove(node) {
+    node.prev.next = node.next;
+    node.next.prev = node.prev;
+  }
+  function insertAfterHead(node) {
+    node.next = head.next;
+    node.prev = head;
+    head.next.prev = node;
+    head.next = node;
+  }
+  function listOrder() {
+    const order = [];
+    let cur = head.next;
+    while (cur !== tail) {
+      order.push({ key: cur.key, value: cur.value });
+      cur = cur.next;
+    }
+    return order;
+  }
+  function mapView() {
+    const rows = [];
+    for (const [k, n] of map) rows.push({ key: k, value: n.value });
+    return rows;
+  }
+
+  const snaps = [];
+  snaps.push({
+    capacity,
+    op: null,
+    result: null,
+    evictedKey: null,
+    listOrder: [],
+    mapView: [],
+    activeKey: null,
+    line: 'init',
+    text: `LRU Cache created with capacity = ${capacity}. Dummy head ↔ tail.`,
+  });
+
+  for (let oi = 0; oi < ops.length; oi++) {
+    const op = ops[oi];
+    let result = null;
+    let evictedKey = null;
+    let activeAction = null;
+
+    if (op.type === 'get') {
+      if (map.has(op.key)) {
+        activeAction = 'Hit';
+        const node = map.get(op.key);
+        result = node.value;
+        remove(node);
+        insertAfterHead(node);
+      } else {
+        activeAction = 'Miss';
+        result = -1;
+      }
+    } else {
+      if (map.has(op.key)) {
+        activeAction = 'Updated';
+        const node = map.get(op.key);
+        node.value = op.value;
+        remove(node);
+        insertAfterHead(node);
+      } else {
+        activeAction = 'Inserted';
+        if (map.size >= capacity) {
+          const victim = tail.prev;
+          evictedKey = victim.key;
+          remove(victim);
+          map.delete(victim.key);
+        }
+        const node = makeNode(op.key, op.value);
+        insertAfterHead(node);
+        map.set(op.key, node);
+      }
+    }
+
+    const getDesc = result === -1
+      ? `get(${op.key}): miss → -1.`
+      : `get(${op.key}): hit → ${result}, move to front.`;
+    const putDesc = evictedKey != null
+      ? `put(${op.key}, ${op.value}): full → evict key ${evictedKey}, insert at front.`
+      : `put(${op.key}, ${op.value}): ${activeAction.toLowerCase()} at front.`;
+
+    snaps.push({
+      capacity,
+      op,
+      result,
+      evictedKey,
+      activeAction,
+      listOrder: listOrder(),
+      mapView: mapView(),
+      activeKey: op.key,
+      line: { Hit: 'hit', Miss: 'miss', Updated: 'update' }[activeAction]
+        ?? (evictedKey != null ? ['evict', 'insert'] : 'insert'),
+      text: op.type === 'get' ? getDesc : putDesc,
+    });
+  }
+
+  const last = snaps[snaps.length - 1];
+  snaps.push({
+    ...last,
+    op: null,
+    evictedKey: null,
+    activeKey: null,
+    line: null,
+    text: `Done. ${ops.length} operations complete. Reset for a new random sequence.`,
+  });
+
+  return snaps;
+}
@@ -5,10 +5,43 @@
 import {
   FONT_SANS, FONT_MONO, CSS,
   getRandomIntInclusive, easeOutCubic, lerp,
-  createSnapshotVisualization,
+  parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initMajorityElementVisualization() {
+import { drawCircleNode, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots } from './majority.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'candidate ← none, count ← 0' },
+    'for num in nums:',
+    { ref: 'pick', text: '  if count = 0: candidate ← num' },
+    { ref: 'match', text: '  if num = candidate: count ← count + 1' },
+    { ref: 'mismatch', text: '  else: count ← count − 1' },
+    { ref: 'done', text: 'return candidate' },
+  ],
+  js: [
+    'function majorityElement(nums) {',
+    { ref: 'init', text: '  let candidate = null, count = 0;' },
+    '  for (const num of nums) {',
+    { ref: 'pick', text: '    if (count === 0) candidate = num;' },
+    { ref: 'match', text: '    if (num === candidate) count++;' },
+    { ref: 'mismatch', text: '    else count--;' },
+    '  }',
+    { ref: 'done', text: '  return candidate;' },
+    '}',
+  ],
+  python: [
+    'def majority_element(nums):',
+    { ref: 'init', text: '    candidate, count = None, 0' },
+    '    for num in nums:',
+    { ref: 'pick', text: '        if count == 0: candidate = num' },
+    { ref: 'match', text: '        if num == candidate: count += 1' },
+    { ref: 'mismatch', text: '        else: count -= 1' },
+    { ref: 'done', text: '    return candidate' },
+  ],
+};
+
+export default function initMajorityElementVisualization({ idSuffix = '' } = {}) {
   function shuffle(values) {
     const arr = [...values];
     for (let i = arr.length - 1; i > 0; i--) {
@@ -37,51 +70,44 @@ export default function initMajorityElementVisualization() {
     return shuffle(arr);
   }
 
-  function buildSnapshots() {
-    const nums = createRandomMajorityInput();
-    const snapshots = [];
-    let candidate = null;
-    let count = 0;
-
-    snapshots.push({
-      nums,
-      idx: null,
-      processed: 0,
-      candidate,
-      count,
-      text: `New run: nums = [${nums.join(', ')}]. Start with candidate = -, count = 0.`,
-    });
-
-    for (let i = 0; i < nums.length; i++) {
-      const num = nums[i];
-      const previousCount = count;
-      if (count === 0) candidate = num;
-      count += num === candidate ? 1 : -1;
-
-      snapshots.push({
-        nums,
-        idx: i,
-        processed: i + 1,
-        candidate,
-        count,
-        current: num,
-        picked: previousCount === 0,
-        text: previousCount === 0
-          ? `i=${i}, num=${num}: count was 0, pick candidate=${candidate}, then count -> ${count}.`
-          : `i=${i}, num=${num}: ${num === candidate ? 'match' : 'mismatch'} with candidate=${candidate}, count -> ${count}.`,
-      });
-    }
+  function createInput() {
+    return { nums: createRandomMajorityInput() };
+  }
 
-    snapshots.push({
-      nums,
-      idx: null,
-      processed: nums.length,
-      candidate,
-      count,
-      text: `Done. Majority element is ${candidate}. Next reset/autoplay cycle randomizes a new list.`,
-    });
+  function isValidInput(input) {
+    return Array.isArray(input?.nums)
+      && input.nums.length > 0
+      && input.nums.every((v) => Number.isInteger(v));
+  }
 
-    return snapshots;
+  function parseInput(text) {
+    const nums = parseIntegerListInput(text, { name: 'nums', maxLength: 16, min: 0, max: 99 });
+    const counts = new Map();
+    for (const v of nums) counts.set(v, (counts.get(v) ?? 0) + 1);
+    if (Math.max(...counts.values()) <= nums.length / 2) {
+      throw new Error('Boyer-Moore needs a majority: one value must fill more than half of nums.');
+    }
+    return { nums };
+  }
+
+  /** Quiz: candidate and count after the next number is processed. */
+  function quiz(snapshot, next) {
+    if (next.idx == null) return null;
+    const num = next.current;
+    const held = snapshot.candidate ?? num;
+    const format = ([candidate, count]) => `candidate = ${candidate}, count = ${count}`;
+    const options = [
+      [next.candidate, next.count],
+      [num, 1],
+      [held, snapshot.count + 1],
+      [held, snapshot.count - 1],
+    ].filter(([, count]) => count >= 0)
+      .sort(([a, x], [b, y]) => a - b || x - y);
+    return {
+      prompt: `nums[${next.idx}] = ${num}, with candidate = ${snapshot.candidate ?? '-'} and count = ${snapshot.count}. What comes next?`,
+      choices: [...new Set(options.map(format))],
+      answer: format([next.candidate, next.count]),
+    };
   }
 
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
@@ -116,13 +142,7 @@ export default function initMajorityElementVisualization() {
         lw = 3;
       }
 
-      ctx.beginPath();
-      ctx.roundRect(x, y, cw, ch, 10);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
+      drawRectCell(ctx, x, y, cw, ch, null, { stroke, lineWidth: lw });
 
       ctx.fillStyle = CSS.label;
       ctx.font = `700 16px ${FONT_MONO}`;
@@ -141,27 +161,27 @@ export default function initMajorityElementVisualization() {
     if (markerIndex != null) {
       const cx = sx + markerIndex * (cw + gap) + cw / 2;
       const cy = y - 18;
-      ctx.beginPath();
-      ctx.arc(cx, cy, 11, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = CSS.meet;
-      ctx.lineWidth = 2.5;
-      ctx.stroke();
-      ctx.fillStyle = CSS.meet;
-      ctx.font = `700 11px ${FONT_SANS}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText('i', cx, cy + 1);
+      drawCircleNode(ctx, cx, cy, 11, 'i', {
+        stroke: CSS.meet, lineWidth: 2.5, font: `700 11px ${FONT_SANS}`, textColor: CSS.meet,
+      });
     }
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'majorityCanvas', statusId: 'majorityStatus',
     prevId: 'majorityPrev', nextId: 'majorityNext', resetId: 'majorityReset',
+    createInput,
+    isValidInput,
+    parseInput,
+    formatInput: ({ nums }) => nums.join(' '),
+    inputLabel: 'nums',
+    inputPlaceholder: '2 2 1 1 1 2 2',
     buildSnapshots,
     draw,
     animationMs: 560,
     rebuildSnapshotsOnReset: true,
+    code: CODE,
+    quiz,
+    idSuffix,
   });
 }
@@ -0,0 +1,54 @@
+/**
+ * Majority element (Boyer-Moore voting) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; majority.js draws the snapshots.
+ */
+
+/** Boyer-Moore voting over `nums`, one snapshot per number. */
+export function buildSnapshots({ nums }) {
+  const snapshots = [];
+  let candidate = null;
+  let count = 0;
+
+  snapshots.push({
+    nums,
+    idx: null,
+    processed: 0,
+    candidate,
+    count,
+    line: 'init',
+    text: `New run: nums = [${nums.join(', ')}]. Start with candidate = -, count = 0.`,
+  });
+
+  for (let i = 0; i < nums.length; i++) {
+    const num = nums[i];
+    const previousCount = count;
+    if (count === 0) candidate = num;
+    count += num === candidate ? 1 : -1;
+
+    snapshots.push({
+      nums,
+      idx: i,
+      processed: i + 1,
+      candidate,
+      count,
+      current: num,
+      picked: previousCount === 0,
+      line: previousCount === 0 ? ['pick', 'match'] : num === candidate ? 'match' : 'mismatch',
+      text: previousCount === 0
+        ? `i=${i}, num=${num}: count was 0, pick candidate=${candidate}, then count -> ${count}.`
+        : `i=${i}, num=${num}: ${num === candidate ? 'match' : 'mismatch'} with candidate=${candidate}, count -> ${count}.`,
+    });
+  }
+
+  snapshots.push({
+    nums,
+    idx: null,
+    processed: nums.length,
+    candidate,
+    count,
+    line: 'done',
+    text: `Done. Majority element is ${candidate}. Next reset/autoplay cycle randomizes a new list.`,
+  });
+
+  return snapshots;
+}
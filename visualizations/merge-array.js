@@ -3,56 +3,44 @@
  */
 
 import {
-  FONT_SANS, FONT_MONO, CSS,
-  createSnapshotVisualization,
+  FONT_SANS, CSS,
+  parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initMergeArrayVisualization() {
-  const nums1Init = [1, 2, 3, 0, 0, 0];
-  const m = 3;
-  const nums2 = [2, 5, 6];
-  const arrN = 3;
-
-  function buildSnapshots() {
-    const snaps = [];
-    const arr = [...nums1Init];
-    let i = m - 1;
-    let j = arrN - 1;
-    let k = m + arrN - 1;
-
-    snaps.push({
-      arr: [...arr], i, j, k, wi: null,
-      text: 'Start from the back. Compare nums1[i] and nums2[j], write larger into nums1[k].',
-    });
-
-    while (i >= 0 && j >= 0) {
-      const takeI = arr[i] > nums2[j];
-      const v = takeI ? arr[i] : nums2[j];
-      arr[k] = v;
-      const src = takeI ? `nums1[${i}]` : `nums2[${j}]`;
-      snaps.push({
-        arr: [...arr], i: i - (takeI ? 1 : 0), j: j - (takeI ? 0 : 1), k: k - 1, wi: k,
-        text: `Write ${v} from ${src} into nums1[${k}].`,
+import { drawRectCell } from '../viz-draw.js';
+import { buildSnapshots } from './merge-array.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'i ← m − 1, j ← n − 1, k ← m + n − 1' },
+    { ref: 'compare', text: 'while i ≥ 0 and j ≥ 0:' },
+    { ref: 'take-i', text: '  if nums1[i] > nums2[j]: nums1[k] ← nums1[i], i ← i − 1' },
+    { ref: 'take-j', text: '  else: nums1[k] ← nums2[j], j ← j − 1' },
+    { ref: 'compare', text: '  k ← k − 1' },
+    { ref: 'copy', text: 'while j ≥ 0: nums1[k] ← nums2[j], j ← j − 1, k ← k − 1' },
+    { ref: 'done', text: 'return nums1' },
+  ],
+};
+
+export default function initMergeArrayVisualization({ idSuffix = '' } = {}) {
+  const MAX_LENGTH = 6;
+
+  /** "1 2 3 | 2 5 6" → the m real values of nums1 and all of nums2, both sorted. */
+  function parseInput(text) {
+    const halves = String(text).split('|');
+    if (halves.length !== 2) throw new Error('Separate nums1 and nums2 with "|", e.g. 1 2 3 | 2 5 6.');
+    const [nums1, nums2] = ['nums1', 'nums2'].map((name, idx) => {
+      const values = parseIntegerListInput(halves[idx], {
+        name, minLength: 0, maxLength: MAX_LENGTH, min: -99, max: 99,
       });
-      if (takeI) i--; else j--;
-      k--;
-    }
-
-    while (j >= 0) {
-      arr[k] = nums2[j];
-      snaps.push({
-        arr: [...arr], i, j: j - 1, k: k - 1, wi: k,
-        text: `Copy ${nums2[j]} from nums2[${j}] into nums1[${k}].`,
-      });
-      j--;
-      k--;
-    }
-
-    snaps.push({
-      arr: [...arr], i, j, k, wi: null,
-      text: `Done. nums1 = [${arr.join(', ')}].`,
+      if (values.some((v, k) => k > 0 && v < values[k - 1])) throw new Error(`${name} must be sorted.`);
+      return values;
     });
-    return snaps;
+    if (!nums2.length) throw new Error('nums2 needs at least one value to merge.');
+    return { nums1, nums2 };
+  }
+
+  function formatInput({ nums1, nums2 }) {
+    return `${nums1.join(' ')} | ${nums2.join(' ')}`;
   }
 
   function drawArrayRow(ctx, width, label, values, y, opts) {
@@ -77,19 +65,7 @@ export default function initMergeArrayVisualization() {
       if (highlight != null && idx === highlight) { stroke = CSS.meet; lw = 3; }
       if (pointer != null && idx === pointer) { stroke = CSS.meet; lw = 3; }
 
-      ctx.beginPath();
-      ctx.roundRect(x, y, cw, ch, 10);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
-
-      ctx.fillStyle = CSS.label;
-      ctx.font = `700 16px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(values[idx]), x + cw / 2, y + ch / 2 + 1);
+      drawRectCell(ctx, x, y, cw, ch, values[idx], { stroke, lineWidth: lw });
 
       if (pointer != null && idx === pointer) {
         ctx.fillStyle = CSS.meet;
@@ -99,7 +75,8 @@ export default function initMergeArrayVisualization() {
     }
   }
 
-  function draw(ctx, { width, height, snapshot }) {
+  function draw(ctx, { width, height, snapshot, snapshots }) {
+    const { nums2 } = snapshots[0];
     const y1 = 38;
     const y2 = y1 + 90;
 
@@ -123,9 +100,16 @@ export default function initMergeArrayVisualization() {
     );
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'mergeArrayCanvas', statusId: 'mergeArrayStatus',
     prevId: 'mergeArrayPrev', nextId: 'mergeArrayNext', resetId: 'mergeArrayReset',
     buildSnapshots, draw, animationMs: 600,
+    initialInput: { nums1: [1, 2, 3], nums2: [2, 5, 6] },
+    parseInput,
+    formatInput,
+    inputLabel: 'nums1 | nums2',
+    inputPlaceholder: '1 2 3 | 2 5 6',
+    code: CODE,
+    idSuffix,
   });
 }
@@ -0,0 +1,51 @@
+/**
+ * Merge sorted array (from the back) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; merge-array.js draws the snapshots.
+ */
+
+/** Merge `nums2` into `nums1` in place, filling from the back. */
+export function buildSnapshots({ nums1, nums2 }) {
+  const snaps = [];
+  const m = nums1.length;
+  const arrN = nums2.length;
+  const arr = [...nums1, ...Array(arrN).fill(0)];
+  let i = m - 1;
+  let j = arrN - 1;
+  let k = m + arrN - 1;
+
+  /* The first snapshot also carries nums2, which never changes. */
+  snaps.push({
+    nums2, arr: [...arr], i, j, k, wi: null, line: 'init',
+    text: 'Start from the back. Compare nums1[i] and nums2[j], write larger into nums1[k].',
+  });
+
+  while (i >= 0 && j >= 0) {
+    const takeI = arr[i] > nums2[j];
+    const v = takeI ? arr[i] : nums2[j];
+    arr[k] = v;
+    const src = takeI ? `nums1[${i}]` : `nums2[${j}]`;
+    snaps.push({
+      arr: [...arr], i: i - (takeI ? 1 : 0), j: j - (takeI ? 0 : 1), k: k - 1, wi: k,
+      line: ['compare', takeI ? 'take-i' : 'take-j'],
+      text: `Write ${v} from ${src} into nums1[${k}].`,
+    });
+    if (takeI) i--; else j--;
+    k--;
+  }
+
+  while (j >= 0) {
+    arr[k] = nums2[j];
+    snaps.push({
+      arr: [...arr], i, j: j - 1, k: k - 1, wi: k, line: 'copy',
+      text: `Copy ${nums2[j]} from nums2[${j}] into nums1[${k}].`,
+    });
+    j--;
+    k--;
+  }
+
+  snaps.push({
+    arr: [...arr], i, j, k, wi: null, line: 'done',
+    text: `Done. nums1 = [${arr.join(', ')}].`,
+  });
+  return snaps;
+}
@@ -3,66 +3,45 @@
  */
 
 import {
-  FONT_SANS, FONT_MONO, CSS,
+  FONT_SANS, CSS,
   easeInOutCubic, lerp,
-  createSnapshotVisualization,
+  parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initMergeListsVisualization() {
-  const list1 = [1, 2, 4];
-  const list2 = [1, 3, 4];
-  const totalLen = list1.length + list2.length;
-
-  function buildSnapshots() {
-    const snaps = [];
-    let p1 = 0;
-    let p2 = 0;
-    const merged = [];
-
-    snaps.push({
-      p1, p2, merged: [], pick: null,
-      text: 'Start merge. Compare list1[p1] and list2[p2], take the smaller value.',
-    });
-
-    while (p1 < list1.length && p2 < list2.length) {
-      const takeLeft = list1[p1] <= list2[p2];
-      const value = takeLeft ? list1[p1] : list2[p2];
-      const si = takeLeft ? p1 : p2;
-      merged.push(value);
-      if (takeLeft) p1 += 1; else p2 += 1;
-
-      snaps.push({
-        p1, p2, merged: [...merged],
-        pick: { from: takeLeft ? 'list1' : 'list2', si, mi: merged.length - 1, value },
-        text: takeLeft ? `Take ${value} from list1 (stable on ties).` : `Take ${value} from list2.`,
-      });
-    }
-
-    while (p1 < list1.length) {
-      merged.push(list1[p1]);
-      snaps.push({
-        p1: p1 + 1, p2, merged: [...merged],
-        pick: { from: 'list1', si: p1, mi: merged.length - 1, value: list1[p1] },
-        text: `List2 exhausted. Append ${list1[p1]} from list1.`,
-      });
-      p1 += 1;
-    }
-
-    while (p2 < list2.length) {
-      merged.push(list2[p2]);
-      snaps.push({
-        p1, p2: p2 + 1, merged: [...merged],
-        pick: { from: 'list2', si: p2, mi: merged.length - 1, value: list2[p2] },
-        text: `List1 exhausted. Append ${list2[p2]} from list2.`,
+import { drawCircleNode } from '../viz-draw.js';
+import { buildSnapshots } from './merge-lists.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'tail ← dummy, p1 ← list1, p2 ← list2' },
+    { ref: 'compare', text: 'while p1 and p2:' },
+    { ref: 'take-1', text: '  if p1.val ≤ p2.val: tail.next ← p1, p1 ← p1.next' },
+    { ref: 'take-2', text: '  else: tail.next ← p2, p2 ← p2.next' },
+    { ref: 'compare', text: '  tail ← tail.next' },
+    { ref: 'rest', text: 'tail.next ← p1 or p2' },
+    { ref: 'done', text: 'return dummy.next' },
+  ],
+};
+
+export default function initMergeListsVisualization({ idSuffix = '' } = {}) {
+  const MAX_LENGTH = 6;
+
+  /** "1 2 4 | 1 3 4" → two sorted lists; either may be empty, but not both. */
+  function parseInput(text) {
+    const halves = String(text).split('|');
+    if (halves.length !== 2) throw new Error('Separate list1 and list2 with "|", e.g. 1 2 4 | 1 3 4.');
+    const [list1, list2] = ['list1', 'list2'].map((name, idx) => {
+      const values = parseIntegerListInput(halves[idx], {
+        name, minLength: 0, maxLength: MAX_LENGTH, min: -99, max: 99,
       });
-      p2 += 1;
-    }
-
-    snaps.push({
-      p1, p2, merged: [...merged], pick: null,
-      text: `Done. Merged list: ${merged.join(' → ')}.`,
+      if (values.some((v, k) => k > 0 && v < values[k - 1])) throw new Error(`${name} must be sorted.`);
+      return values;
     });
-    return snaps;
+    if (!list1.length && !list2.length) throw new Error('At least one list needs values.');
+    return { list1, list2 };
+  }
+
+  function formatInput({ list1, list2 }) {
+    return `${list1.join(' ')} | ${list2.join(' ')}`;
   }
 
   /* Row layout helpers */
@@ -117,21 +96,9 @@ export default function initMergeListsVisualization() {
       if (i < consumed || (label === 'merged' && i < mergedLen)) stroke = CSS.tortoise;
       if (pointerIndex != null && i === pointerIndex) { stroke = CSS.meet; lw = 3; }
 
-      ctx.beginPath();
-      ctx.arc(c.x, c.y, c.r, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
-
-      if (hasVal) {
-        ctx.fillStyle = CSS.label;
-        ctx.font = `700 16px ${FONT_MONO}`;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(String(values[i]), c.x, c.y + 1);
-      }
+      drawCircleNode(ctx, c.x, c.y, c.r, hasVal ? values[i] : null, {
+        stroke, lineWidth: lw, hit: hasVal ? { tip: `${label}[${i}] = ${values[i]}` } : null,
+      });
 
       if (pointerIndex != null && i === pointerIndex) {
         ctx.fillStyle = CSS.meet;
@@ -143,7 +110,9 @@ export default function initMergeListsVisualization() {
     }
   }
 
-  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
+  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating, snapshots }) {
+    const { list1, list2 } = snapshots[0];
+    const totalLen = list1.length + list2.length;
     const rowGap = Math.max(24, Math.floor((height - 3 * 52 - 32) / 3));
     const y1 = 22;
     const y2 = y1 + 52 + rowGap;
@@ -174,25 +143,31 @@ export default function initMergeListsVisualization() {
       const bx = lerp(src.x, tgt.x, p);
       const by = lerp(src.y, tgt.y, p) + Math.sin(p * Math.PI) * 34;
 
-      ctx.beginPath();
-      ctx.arc(bx, by, src.r, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = CSS.meet;
-      ctx.lineWidth = 3;
-      ctx.stroke();
-
-      ctx.fillStyle = CSS.label;
-      ctx.font = `700 16px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(pk.value), bx, by + 1);
+      drawCircleNode(ctx, bx, by, src.r, pk.value, { stroke: CSS.meet, lineWidth: 3 });
     }
+
+    /* Bounds for the camera's Fit: twelve merged nodes outgrow a phone-width canvas. */
+    const merged = rowLayout(width, totalLen);
+    const mergedWidth = totalLen * merged.r * 2 + (totalLen - 1) * merged.gap;
+    return {
+      x: 0,
+      y: 0,
+      width: Math.max(width, merged.sx + mergedWidth + 24),
+      height: Math.max(height, y3 + merged.r * 2 + 12),
+    };
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'mergeListsCanvas', statusId: 'mergeListsStatus',
     prevId: 'mergeListsPrev', nextId: 'mergeListsNext', resetId: 'mergeListsReset',
     buildSnapshots, draw, animationMs: 700,
+    initialInput: { list1: [1, 2, 4], list2: [1, 3, 4] },
+    parseInput,
+    formatInput,
+    inputLabel: 'list1 | list2',
+    inputPlaceholder: '1 2 4 | 1 3 4',
+    code: CODE,
+    idSuffix,
+    camera: true,
   });
 }
@@ -0,0 +1,61 @@
+/**
+ * Merge two sorted lists — step generator.  No DOM or canvas code, so it
+ * also runs in Node; merge-lists.js draws the snapshots.
+ */
+
+/** Merge `list1` and `list2`, one snapshot per value taken. */
+export function buildSnapshots({ list1, list2 }) {
+  const snaps = [];
+  let p1 = 0;
+  let p2 = 0;
+  const merged = [];
+
+  /* The first snapshot also carries both input lists, which never change. */
+  snaps.push({
+    list1, list2, p1, p2, merged: [], pick: null, line: 'init',
+    text: 'Start merge. Compare list1[p1] and list2[p2], take the smaller value.',
+  });
+
+  while (p1 < list1.length && p2 < list2.length) {
+    const takeLeft = list1[p1] <= list2[p2];
+    const value = takeLeft ? list1[p1] : list2[p2];
+    const si = takeLeft ? p1 : p2;
+    merged.push(value);
+    if (takeLeft) p1 += 1; else p2 += 1;
+
+    snaps.push({
+      p1, p2, merged: [...merged],
+      pick: { from: takeLeft ? 'list1' : 'list2', si, mi: merged.length - 1, value },
+      line: ['compare', takeLeft ? 'take-1' : 'take-2'],
+      text: takeLeft ? `Take ${value} from list1 (stable on ties).` : `Take ${value} from list2.`,
+    });
+  }
+
+  while (p1 < list1.length) {
+    merged.push(list1[p1]);
+    snaps.push({
+      p1: p1 + 1, p2, merged: [...merged],
+      pick: { from: 'list1', si: p1, mi: merged.length - 1, value: list1[p1] },
+      line: 'rest',
+      text: `List2 exhausted. Append ${list1[p1]} from list1.`,
+    });
+    p1 += 1;
+  }
+
+  while (p2 < list2.length) {
+    merged.push(list2[p2]);
+    snaps.push({
+      p1, p2: p2 + 1, merged: [...merged],
+      pick: { from: 'list2', si: p2, mi: merged.length - 1, value: list2[p2] },
+      line: 'rest',
+      text: `List1 exhausted. Append ${list2[p2]} from list2.`,
+    });
+    p2 += 1;
+  }
+
+  snaps.push({
+    p1, p2, merged: [...merged], pick: null, line: 'done',
+    text: `Done. Merged list: ${merged.join(' → ')}.`,
+  });
+  return snaps;
+}
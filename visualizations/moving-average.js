@@ -5,93 +5,38 @@
 import {
   FONT_SANS, FONT_MONO, CSS,
   easeOutCubic, easeInOutCubic, lerp,
-  createSnapshotVisualization,
+  parseIntegerInput, parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initMovingAverageVisualization() {
-  const windowSize = 3;
-  const stream = [1, 10, 3, 5, 8, 2, 6, 4, 7];
-
-  function formatAvg(value) {
-    if (value == null) return '-';
-    if (Number.isInteger(value)) return `${value.toFixed(1)}`;
-    return value.toFixed(5).replace(/0+$/, '').replace(/\.$/, '');
+import { drawCircleNode, drawHighlightFrame, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots, formatAvg } from './moving-average.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'init(size): queue ← [], sum ← 0' },
+    'next(val):',
+    { ref: 'evict', text: '  if |queue| = size: sum ← sum − queue.popFront()' },
+    { ref: 'push', text: '  queue.push(val), sum ← sum + val' },
+    { ref: 'push', text: '  return sum / |queue|' },
+  ],
+};
+
+export default function initMovingAverageVisualization({ idSuffix = '' } = {}) {
+  /** "3 | 1 10 3 5" → window size, then the stream values. */
+  function parseInput(text) {
+    const halves = String(text).split('|');
+    if (halves.length !== 2) throw new Error('Write the window size, "|", then the stream, e.g. 3 | 1 10 3 5.');
+    return {
+      windowSize: parseIntegerInput(halves[0], { name: 'Window size', min: 1, max: 10 }),
+      stream: parseIntegerListInput(halves[1], { name: 'stream', maxLength: 12, min: -999, max: 999 }),
+    };
   }
 
-  function buildSnapshots() {
-    const snaps = [];
-    const queue = [];
-    let sum = 0;
-
-    snaps.push({
-      streamIndex: -1,
-      incoming: null,
-      removed: null,
-      queue: [],
-      windowStart: null,
-      windowEnd: null,
-      windowLength: 0,
-      sum: 0,
-      avg: null,
-      text: `Start. Window size is ${windowSize}; values will stream in left to right.`,
-    });
-
-    for (let i = 0; i < stream.length; i++) {
-      const incoming = stream[i];
-      let removed = null;
-
-      if (queue.length === windowSize) {
-        removed = queue.shift();
-        sum -= removed;
-      }
-
-      queue.push(incoming);
-      sum += incoming;
-      const avg = sum / queue.length;
-
-      const queueText = `[${queue.join(', ')}]`;
-      const removeText = removed == null ? '' : ` remove ${removed},`;
-      const windowStart = Math.max(0, i - windowSize + 1);
-      const windowEnd = i;
-      snaps.push({
-        streamIndex: i,
-        incoming,
-        removed,
-        queue: [...queue],
-        windowStart,
-        windowEnd,
-        windowLength: queue.length,
-        sum,
-        avg,
-        text: `Read ${incoming}:${removeText} sum=${sum}, window=${queueText}, avg=${formatAvg(avg)}.`,
-      });
-    }
-
-    const last = snaps[snaps.length - 1];
-    snaps.push({
-      ...last,
-      incoming: null,
-      removed: null,
-      text: `Done. Final window [${last.queue.join(', ')}], average=${formatAvg(last.avg)}.`,
-    });
-
-    return snaps;
+  function formatInput({ windowSize, stream }) {
+    return `${windowSize} | ${stream.join(' ')}`;
   }
 
   function drawCell(ctx, x, y, w, h, value, { stroke, lineWidth = 2, label = null } = {}) {
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 10);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = stroke || CSS.node;
-    ctx.lineWidth = lineWidth;
-    ctx.stroke();
-
-    ctx.fillStyle = CSS.label;
-    ctx.font = `700 16px ${FONT_MONO}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(value == null ? '-' : String(value), x + w / 2, y + h / 2 + 1);
+    drawRectCell(ctx, x, y, w, h, value ?? '-', { stroke: stroke || CSS.node, lineWidth });
 
     if (label) {
       ctx.fillStyle = CSS.label;
@@ -124,22 +69,11 @@ export default function initMovingAverageVisualization() {
     const width = length * row.cw + Math.max(0, length - 1) * row.gap + 16;
     const height = row.ch + 20;
 
-    ctx.save();
-    ctx.globalAlpha = 0.12;
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.roundRect(x, y, width, height, 12);
-    ctx.fill();
-    ctx.restore();
-
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2.5;
-    ctx.beginPath();
-    ctx.roundRect(x, y, width, height, 12);
-    ctx.stroke();
+    drawHighlightFrame(ctx, x, y, width, height, color);
   }
 
-  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
+  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating, snapshots }) {
+    const { stream } = snapshots[0];
     const active = isAnimating ? toSnapshot : snapshot;
     const streamRow = layoutRow(width, stream.length, Math.max(72, Math.floor(height * 0.3)));
 
@@ -191,19 +125,7 @@ export default function initMovingAverageVisualization() {
       const x = from.x;
       const y = streamRow.y - 34 - Math.sin(easeOutCubic(progress) * Math.PI) * 10;
 
-      ctx.beginPath();
-      ctx.arc(x, y, 12, 0, Math.PI * 2);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = CSS.meet;
-      ctx.lineWidth = 2;
-      ctx.stroke();
-
-      ctx.fillStyle = CSS.label;
-      ctx.font = `700 11px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(toSnapshot.incoming), x, y + 1);
+      drawCircleNode(ctx, x, y, 12, toSnapshot.incoming, { stroke: CSS.meet, font: `700 11px ${FONT_MONO}` });
 
       ctx.fillStyle = CSS.meet;
       ctx.font = `700 12px ${FONT_SANS}`;
@@ -226,9 +148,16 @@ export default function initMovingAverageVisualization() {
     ctx.fillText(avgFormula, 16, bottomY + 20);
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'movingAvgCanvas', statusId: 'movingAvgStatus',
     prevId: 'movingAvgPrev', nextId: 'movingAvgNext', resetId: 'movingAvgReset',
     buildSnapshots, draw, animationMs: 650,
+    initialInput: { windowSize: 3, stream: [1, 10, 3, 5, 8, 2, 6, 4, 7] },
+    parseInput,
+    formatInput,
+    inputLabel: 'window | stream',
+    inputPlaceholder: '3 | 1 10 3 5 8',
+    code: CODE,
+    idSuffix,
   });
 }
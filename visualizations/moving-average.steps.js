@@ -0,0 +1,77 @@
+/**
+ * Moving average from data stream — step generator.  No DOM or canvas code,
+ * so it also runs in Node; moving-average.js draws the snapshots.
+ */
+
+/** An average for display: one decimal for whole numbers, else up to five. */
+export function formatAvg(value) {
+  if (value == null) return '-';
+  if (Number.isInteger(value)) return `${value.toFixed(1)}`;
+  return value.toFixed(5).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+/** Feed `stream` through a window of `windowSize`, one snapshot per value. */
+export function buildSnapshots({ windowSize, stream }) {
+  const snaps = [];
+  const queue = [];
+  let sum = 0;
+
+  /* The first snapshot also carries the stream, which never changes. */
+  snaps.push({
+    stream,
+    streamIndex: -1,
+    incoming: null,
+    removed: null,
+    queue: [],
+    windowStart: null,
+    windowEnd: null,
+    windowLength: 0,
+    sum: 0,
+    avg: null,
+    line: 'init',
+    text: `Start. Window size is ${windowSize}; values will stream in left to right.`,
+  });
+
+  for (let i = 0; i < stream.length; i++) {
+    const incoming = stream[i];
+    let removed = null;
+
+    if (queue.length === windowSize) {
+      removed = queue.shift();
+      sum -= removed;
+    }
+
+    queue.push(incoming);
+    sum += incoming;
+    const avg = sum / queue.length;
+
+    const queueText = `[${queue.join(', ')}]`;
+    const removeText = removed == null ? '' : ` remove ${removed},`;
+    const windowStart = Math.max(0, i - windowSize + 1);
+    const windowEnd = i;
+    snaps.push({
+      streamIndex: i,
+      incoming,
+      removed,
+      queue: [...queue],
+      windowStart,
+      windowEnd,
+      windowLength: queue.length,
+      sum,
+      avg,
+      line: removed == null ? 'push' : ['evict', 'push'],
+      text: `Read ${incoming}:${removeText} sum=${sum}, window=${queueText}, avg=${formatAvg(avg)}.`,
+    });
+  }
+
+  const last = snaps[snaps.length - 1];
+  snaps.push({
+    ...last,
+    incoming: null,
+    removed: null,
+    line: null,
+    text: `Done. Final window [${last.queue.join(', ')}], average=${formatAvg(last.avg)}.`,
+  });
+
+  return snaps;
+}
@@ -5,10 +5,22 @@
 import {
   FONT_SANS, FONT_MONO, CSS,
   getRandomIntInclusive,
-  createSnapshotVisualization,
+  parseIntegerListInput, createSnapshotVisualization,
 } from '../viz-core.js';
-
-export default function initRecentCounterVisualization() {
+import { drawHighlightFrame, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots } from './recent-calls.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'init(): queue ← []' },
+    'ping(t):',
+    { ref: 'push', text: '  queue.push(t)' },
+    { ref: 'drop', text: '  while queue.front < t − 3000: queue.popFront()' },
+    { ref: 'count', text: '  return |queue|' },
+  ],
+};
+
+export default function initRecentCounterVisualization({ idSuffix = '' } = {}) {
   function generatePings() {
     const count = getRandomIntInclusive(16, 20);
     const pings = [];
@@ -20,73 +32,28 @@ export default function initRecentCounterVisualization() {
     return pings;
   }
 
-  function buildSnapshots() {
-    const pings = generatePings();
-    const snaps = [];
-    const queue = [];
-
-    snaps.push({
-      pings,
-      pingIdx: -1,
-      incoming: null,
-      removed: [],
-      queue: [],
-      windowStart: null,
-      windowEnd: null,
-      count: 0,
-      text: `Start. Each ping(t) returns the number of pings in [t - 3000, t].`,
-    });
+  function createInput() {
+    return { pings: generatePings() };
+  }
 
-    for (let i = 0; i < pings.length; i++) {
-      const t = pings[i];
-      const removed = [];
-      queue.push(t);
-      while (queue.length > 0 && queue[0] < t - 3000) {
-        removed.push(queue.shift());
-      }
+  function isValidInput(input) {
+    return Array.isArray(input?.pings)
+      && input.pings.length > 0
+      && input.pings.every((t, i) => Number.isInteger(t) && t >= 0 && (i === 0 || t > input.pings[i - 1]));
+  }
 
-      const removeText = removed.length > 0
-        ? ` Removed ${removed.length} old ping${removed.length > 1 ? 's' : ''}.`
-        : '';
-
-      snaps.push({
-        pings,
-        pingIdx: i,
-        incoming: t,
-        removed,
-        queue: [...queue],
-        windowStart: t - 3000,
-        windowEnd: t,
-        count: queue.length,
-        text: `ping(${t}): window [${t - 3000}, ${t}], count = ${queue.length}.${removeText}`,
-      });
+  function parseInput(text) {
+    const pings = parseIntegerListInput(text, { name: 'Ping times', maxLength: 20, min: 0, max: 99999 });
+    if (pings.some((t, i) => i > 0 && t <= pings[i - 1])) {
+      throw new Error('Ping times must be strictly increasing.');
     }
-
-    const last = snaps[snaps.length - 1];
-    snaps.push({
-      ...last,
-      incoming: null,
-      removed: [],
-      text: `Done. Last count = ${last.count}. Reset for a new random sequence.`,
-    });
-
-    return snaps;
+    return { pings };
   }
 
   function drawCell(ctx, x, y, w, h, value, { stroke, lineWidth = 2 } = {}) {
-    ctx.beginPath();
-    ctx.roundRect(x, y, w, h, 8);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = stroke || CSS.node;
-    ctx.lineWidth = lineWidth;
-    ctx.stroke();
-
-    ctx.fillStyle = CSS.label;
-    ctx.font = `700 11px ${FONT_MONO}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(String(value), x + w / 2, y + h / 2 + 1);
+    drawRectCell(ctx, x, y, w, h, value, {
+      stroke: stroke || CSS.node, lineWidth, radius: 8, font: `700 11px ${FONT_MONO}`,
+    });
   }
 
   function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
@@ -125,18 +92,9 @@ export default function initRecentCounterVisualization() {
         const fx = sx + firstInWindow * (cw + gap) - 4;
         const fw = (lastInWindow - firstInWindow + 1) * cw +
           Math.max(0, lastInWindow - firstInWindow) * gap + 8;
-        ctx.save();
-        ctx.globalAlpha = 0.10;
-        ctx.fillStyle = CSS.hare;
-        ctx.beginPath();
-        ctx.roundRect(fx, rowY - 6, fw, ch + 12, 10);
-        ctx.fill();
-        ctx.restore();
-        ctx.strokeStyle = CSS.hare;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.roundRect(fx, rowY - 6, fw, ch + 12, 10);
-        ctx.stroke();
+        drawHighlightFrame(ctx, fx, rowY - 6, fw, ch + 12, CSS.hare, {
+          radius: 10, fillAlpha: 0.10, strokeWidth: 2,
+        });
 
         ctx.fillStyle = CSS.hare;
         ctx.font = `700 10px ${FONT_SANS}`;
@@ -201,10 +159,16 @@ export default function initRecentCounterVisualization() {
     }
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'recentCallsCanvas', statusId: 'recentCallsStatus',
     prevId: 'recentCallsPrev', nextId: 'recentCallsNext', resetId: 'recentCallsReset',
-    buildSnapshots, draw, animationMs: 620,
+    createInput, isValidInput, buildSnapshots, draw, animationMs: 620,
     rebuildSnapshotsOnReset: true,
+    parseInput,
+    formatInput: ({ pings }) => pings.join(' '),
+    inputLabel: 'Ping times (ms)',
+    inputPlaceholder: '1 100 3001 3002',
+    code: CODE,
+    idSuffix,
   });
 }
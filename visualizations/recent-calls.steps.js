@@ -0,0 +1,60 @@
+/**
+ * Number of recent calls (RecentCounter) — step generator.  No DOM or canvas
+ * code, so it also runs in Node; recent-calls.js draws the snapshots.
+ */
+
+/** Replay `pings` through a 3000 ms window, one snapshot per ping. */
+export function buildSnapshots({ pings }) {
+  const snaps = [];
+  const queue = [];
+
+  snaps.push({
+    pings,
+    pingIdx: -1,
+    incoming: null,
+    removed: [],
+    queue: [],
+    windowStart: null,
+    windowEnd: null,
+    count: 0,
+    line: 'init',
+    text: `Start. Each ping(t) returns the number of pings in [t - 3000, t].`,
+  });
+
+  for (let i = 0; i < pings.length; i++) {
+    const t = pings[i];
+    const removed = [];
+    queue.push(t);
+    while (queue.length > 0 && queue[0] < t - 3000) {
+      removed.push(queue.shift());
+    }
+
+    const removeText = removed.length > 0
+      ? ` Removed ${removed.length} old ping${removed.length > 1 ? 's' : ''}.`
+      : '';
+
+    snaps.push({
+      pings,
+      pingIdx: i,
+      incoming: t,
+      removed,
+      queue: [...queue],
+      windowStart: t - 3000,
+      windowEnd: t,
+      count: queue.length,
+      line: removed.length > 0 ? ['push', 'drop', 'count'] : ['push', 'count'],
+      text: `ping(${t}): window [${t - 3000}, ${t}], count = ${queue.length}.${removeText}`,
+    });
+  }
+
+  const last = snaps[snaps.length - 1];
+  snaps.push({
+    ...last,
+    incoming: null,
+    removed: [],
+    line: null,
+    text: `Done. Last count = ${last.count}. Reset for a new random sequence.`,
+  });
+
+  return snaps;
+}
@@ -0,0 +1,55 @@
+/**
+ * Reverse bits (32-bit) — step generator.  No DOM or canvas code, so it also
+ * runs in Node; reverse-bits.js draws the snapshots.
+ */
+
+export const BITS = 32;
+
+/** `v` as a zero-padded 32-bit binary string. */
+function toBin(v) {
+  return (v >>> 0).toString(2).padStart(BITS, '0');
+}
+
+/**
+ * Shift the bits of `n` into the result one at a time; iterations that
+ * only move zeros out of an exhausted `n` are skipped.
+ */
+export function buildSnapshots(input) {
+  const original = input.n;
+  let n = original;
+  let res = 0;
+  const snaps = [];
+
+  snaps.push({
+    iteration: 0, n, res, original,
+    nBin: toBin(n), resBin: toBin(res),
+    extractedBit: null, bitIndex: null, line: 'init',
+    text: `n = ${original}. Result = 0. Will process all 32 bits.`,
+  });
+
+  const totalIter = BITS;
+  for (let i = 0; i < totalIter; i++) {
+    const bit = n & 1;
+    res = (res << 1) | bit;
+    const resUnsigned = res >>> 0;
+    n = n >>> 1;
+
+    if (i > 0 && bit === 0 && n === 0 && i < totalIter - 1) continue;
+
+    snaps.push({
+      iteration: i + 1, n, res: resUnsigned, original,
+      nBin: toBin(n), resBin: toBin(resUnsigned),
+      extractedBit: bit, bitIndex: i, line: 'step',
+      text: `Iter ${i + 1}: extract bit ${bit} → result = (result << 1) | ${bit}. n >>= 1.`,
+    });
+  }
+
+  const finalRes = snaps[snaps.length - 1].res;
+  snaps.push({
+    iteration: totalIter, n: 0, res: finalRes, original,
+    nBin: toBin(0), resBin: toBin(finalRes),
+    extractedBit: null, bitIndex: null, line: 'done',
+    text: `Done. reverseBits(${original}) = ${finalRes}.`,
+  });
+  return snaps;
+}
@@ -5,51 +5,75 @@
 import {
   FONT_SANS, FONT_MONO, CSS,
   lerp,
-  createSnapshotVisualization,
+  parseIntegerInput, createSnapshotVisualization,
 } from '../viz-core.js';
+import { drawCircleNode, drawRectCell } from '../viz-draw.js';
+import { buildSnapshots } from './sqrt.steps.js';
+
+const CODE = {
+  pseudocode: [
+    { ref: 'init', text: 'lo ← 0, hi ← ⌊x / 2⌋ + 1, ans ← 0' },
+    'while lo ≤ hi:',
+    { ref: 'mid', text: '  mid ← ⌊(lo + hi) / 2⌋' },
+    { ref: 'exact', text: '  if mid² = x: return mid' },
+    { ref: 'lo', text: '  if mid² < x: ans ← mid, lo ← mid + 1' },
+    { ref: 'hi', text: '  else: hi ← mid − 1' },
+    { ref: 'done', text: 'return ans' },
+  ],
+  js: [
+    'function mySqrt(x) {',
+    { ref: 'init', text: '  let lo = 0, hi = Math.floor(x / 2) + 1, ans = 0;' },
+    '  while (lo <= hi) {',
+    { ref: 'mid', text: '    const mid = Math.floor((lo + hi) / 2);' },
+    { ref: 'exact', text: '    if (mid * mid === x) return mid;' },
+    { ref: 'lo', text: '    if (mid * mid < x) { ans = mid; lo = mid + 1; }' },
+    { ref: 'hi', text: '    else hi = mid - 1;' },
+    '  }',
+    { ref: 'done', text: '  return ans;' },
+    '}',
+  ],
+  python: [
+    'def my_sqrt(x):',
+    { ref: 'init', text: '    lo, hi, ans = 0, x // 2 + 1, 0' },
+    '    while lo <= hi:',
+    { ref: 'mid', text: '        mid = (lo + hi) // 2' },
+    { ref: 'exact', text: '        if mid * mid == x: return mid' },
+    { ref: 'lo', text: '        if mid * mid < x: ans, lo = mid, mid + 1' },
+    { ref: 'hi', text: '        else: hi = mid - 1' },
+    { ref: 'done', text: '    return ans' },
+  ],
+};
+
+export default function initSqrtBinarySearchVisualization({ idSuffix = '' } = {}) {
+  function parseInput(text) {
+    return { x: parseIntegerInput(text, { name: 'x', min: 0, max: 40 }) };
+  }
 
-export default function initSqrtBinarySearchVisualization() {
-  const x = 26;
-  const hiInit = Math.floor(x / 2) + 1;
-
-  function buildSnapshots() {
-    const snaps = [];
-    let lo = 0;
-    let hi = hiInit;
-    let ans = 0;
-
-    snaps.push({ lo, hi, mid: null, ans, text: `Search in [${lo}, ${hi}] for floor sqrt of ${x}.` });
-
-    while (lo <= hi) {
-      const mid = Math.floor((lo + hi) / 2);
-      const sq = mid * mid;
-
-      snaps.push({ lo, hi, mid, ans, text: `Check mid=${mid}: ${mid}² = ${sq}.` });
-
-      if (sq === x) {
-        ans = mid;
-        snaps.push({ lo, hi, mid, ans, text: `Exact match at mid=${mid}. Answer is ${mid}.` });
-        break;
-      }
-
-      if (sq < x) {
-        ans = mid;
-        lo = mid + 1;
-        snaps.push({ lo, hi, mid, ans, text: `${sq} < ${x}. Move lo to ${lo}; best so far is ${ans}.` });
-      } else {
-        hi = mid - 1;
-        snaps.push({ lo, hi, mid, ans, text: `${sq} > ${x}. Move hi to ${hi}.` });
-      }
+  /** Quiz: the next mid, or what comparing mid² with x does to the bounds. */
+  function quiz(snapshot, next, snapshots) {
+    const { x } = snapshots[0];
+    if (next.line === 'mid') {
+      const { lo, hi } = next;
+      return {
+        prompt: `lo = ${lo}, hi = ${hi}. Which mid is checked next?`,
+        choices: [...new Set([lo, Math.floor((lo + hi) / 2), Math.ceil((lo + hi) / 2), hi])].sort((a, b) => a - b),
+        answer: next.mid,
+        explain: `mid = ⌊(${lo} + ${hi}) / 2⌋.`,
+      };
     }
-
-    const last = snaps[snaps.length - 1];
-    if (!last.text.includes('Exact match')) {
-      snaps.push({ lo, hi, mid: null, ans, text: `Done. ⌊√${x}⌋ = ${ans}.` });
+    if (next.line === 'lo' || next.line === 'hi' || next.line === 'exact') {
+      const { mid } = next;
+      const outcomes = { exact: 'Answer found', lo: `lo → ${mid + 1}`, hi: `hi → ${mid - 1}` };
+      return {
+        prompt: `mid = ${mid}, so mid² = ${mid * mid} and x = ${x}. What happens next?`,
+        choices: Object.values(outcomes),
+        answer: outcomes[next.line],
+      };
     }
-    return snaps;
+    return null;
   }
 
-  function drawMarker(ctx, label, color, value, sx, cw, gap, y, ch, offY, alpha) {
+  function drawMarker(ctx, label, color, value, hiInit, sx, cw, gap, y, ch, offY, alpha) {
     if (value == null || value < 0 || value > hiInit) return;
     const cx = sx + value * (cw + gap) + cw / 2;
     const cy = y + ch / 2;
@@ -62,23 +86,14 @@ export default function initSqrtBinarySearchVisualization() {
     ctx.lineTo(cx, cy + offY + 8);
     ctx.stroke();
 
-    ctx.beginPath();
-    ctx.arc(cx, cy + offY, 12, 0, Math.PI * 2);
-    ctx.fillStyle = '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 2.5;
-    ctx.stroke();
-
-    ctx.fillStyle = color;
-    ctx.font = `700 11px ${FONT_SANS}`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(label, cx, cy + offY + 1);
+    drawCircleNode(ctx, cx, cy + offY, 12, label, {
+      stroke: color, lineWidth: 2.5, font: `700 11px ${FONT_SANS}`, textColor: color,
+    });
     ctx.globalAlpha = 1;
   }
 
-  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
+  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating, snapshots }) {
+    const { x, hi: hiInit } = snapshots[0];
     const vLo = isAnimating ? lerp(snapshot.lo, toSnapshot.lo, progress) : snapshot.lo;
     const vHi = isAnimating ? lerp(snapshot.hi, toSnapshot.hi, progress) : snapshot.hi;
 
@@ -118,29 +133,25 @@ export default function initSqrtBinarySearchVisualization() {
       if (Math.abs(v - vHi) < 0.5) { stroke = CSS.hare; lw = 3; }
       if (vMid != null && Math.abs(v - vMid) < 0.5) { stroke = CSS.meet; lw = 4; }
 
-      ctx.beginPath();
-      ctx.roundRect(xp, y, cw, ch, 8);
-      ctx.fillStyle = '#ffffff';
-      ctx.fill();
-      ctx.strokeStyle = stroke;
-      ctx.lineWidth = lw;
-      ctx.stroke();
-
-      ctx.fillStyle = CSS.label;
-      ctx.font = `700 13px ${FONT_MONO}`;
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText(String(v), xp + cw / 2, y + ch / 2 + 1);
+      drawRectCell(ctx, xp, y, cw, ch, v, { stroke, lineWidth: lw, radius: 8, font: `700 13px ${FONT_MONO}` });
     }
 
-    drawMarker(ctx, 'lo', CSS.tortoise, vLo, sx, cw, gap, y, ch, -28, 1);
-    drawMarker(ctx, 'hi', CSS.hare, vHi, sx, cw, gap, y, ch, -52, 1);
-    drawMarker(ctx, 'mid', CSS.meet, vMid, sx, cw, gap, y, ch, 56, midAlpha);
+    drawMarker(ctx, 'lo', CSS.tortoise, vLo, hiInit, sx, cw, gap, y, ch, -28, 1);
+    drawMarker(ctx, 'hi', CSS.hare, vHi, hiInit, sx, cw, gap, y, ch, -52, 1);
+    drawMarker(ctx, 'mid', CSS.meet, vMid, hiInit, sx, cw, gap, y, ch, 56, midAlpha);
   }
 
-  createSnapshotVisualization({
+  return createSnapshotVisualization({
     canvasId: 'sqrtCanvas', statusId: 'sqrtStatus',
     prevId: 'sqrtPrev', nextId: 'sqrtNext', resetId: 'sqrtReset',
     buildSnapshots, draw, animationMs: 620,
+    initialInput: { x: 26 },
+    parseInput,
+    formatInput: ({ x }) => String(x),
+    inputLabel: 'x',
+    inputPlaceholder: '0–40',
+    code: CODE,
+    quiz,
+    idSuffix,
   });
 }
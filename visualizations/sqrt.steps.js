@@ -0,0 +1,43 @@
+/**
+ * Square root (binary search) — step generator.  No DOM or canvas code, so
+ * it also runs in Node; sqrt.js draws the snapshots.
+ */
+
+/** Binary-search ⌊√x⌋ over [0, ⌊x / 2⌋ + 1]. */
+export function buildSnapshots({ x }) {
+  const snaps = [];
+  let lo = 0;
+  let hi = Math.floor(x / 2) + 1;
+  let ans = 0;
+
+  /* The first snapshot also carries x; its `hi` is the width of the search row. */
+  snaps.push({ x, lo, hi, mid: null, ans, line: 'init', text: `Search in [${lo}, ${hi}] for floor sqrt of ${x}.` });
+
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const sq = mid * mid;
+
+    snaps.push({ lo, hi, mid, ans, line: 'mid', text: `Check mid=${mid}: ${mid}² = ${sq}.` });
+
+    if (sq === x) {
+      ans = mid;
+      snaps.push({ lo, hi, mid, ans, line: 'exact', text: `Exact match at mid=${mid}. Answer is ${mid}.` });
+      break;
+    }
+
+    if (sq < x) {
+      ans = mid;
+      lo = mid + 1;
+      snaps.push({ lo, hi, mid, ans, line: 'lo', text: `${sq} < ${x}. Move lo to ${lo}; best so far is ${ans}.` });
+    } else {
+      hi = mid - 1;
+      snaps.push({ lo, hi, mid, ans, line: 'hi', text: `${sq} > ${x}. Move hi to ${hi}.` });
+    }
+  }
+
+  const last = snaps[snaps.length - 1];
+  if (!last.text.includes('Exact match')) {
+    snaps.push({ lo, hi, mid: null, ans, line: 'done', text: `Done. ⌊√${x}⌋ = ${ans}.` });
+  }
+  return snaps;
+}
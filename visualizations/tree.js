@@ -1,95 +1,98 @@
 /**
- * Binary tree traversals — Canvas 2D visualization.
+ * Binary tree traversals — snapshot-based visualization.
  */
 
-import { getReducedMotion } from '../bg-utils.js';
 import {
-  FONT_SANS, FONT_MONO, CSS, capitalize,
-  resize2dCanvas, clearCanvas, createVisualizationAutoplaySkill,
+  FONT_SANS, CSS, capitalize, lerp, parseIntegerListInput, createSnapshotVisualization, createPanelHandle,
 } from '../viz-core.js';
 import { drawCircleNode } from '../viz-draw.js';
-
-const TREE_NODES = [
-  { value: 4, left: 2, right: 6, x: 0.5, y: 0.16 },
-  { value: 2, left: 1, right: 3, x: 0.3, y: 0.42 },
-  { value: 6, left: 5, right: 7, x: 0.7, y: 0.42 },
-  { value: 1, left: null, right: null, x: 0.18, y: 0.72 },
-  { value: 3, left: null, right: null, x: 0.42, y: 0.72 },
-  { value: 5, left: null, right: null, x: 0.58, y: 0.72 },
-  { value: 7, left: null, right: null, x: 0.82, y: 0.72 },
-];
-
-function computeTraversalOrder(nodeMap, nodeValue, order, result) {
-  if (nodeValue == null) return;
-  const node = nodeMap.get(nodeValue);
-  if (!node) return;
-  if (order === 'preorder') result.push(node.value);
-  computeTraversalOrder(nodeMap, node.left, order, result);
-  if (order === 'inorder') result.push(node.value);
-  computeTraversalOrder(nodeMap, node.right, order, result);
-  if (order === 'postorder') result.push(node.value);
-}
-
-function getTraversalOrders(treeNodes, rootValue) {
-  const nodeMap = new Map(treeNodes.map((n) => [n.value, n]));
-  const orders = { inorder: [], preorder: [], postorder: [] };
-  for (const key of Object.keys(orders)) {
-    computeTraversalOrder(nodeMap, rootValue, key, orders[key]);
+import {
+  MAX_NODES, MAX_DEPTH, TRAVERSAL_ORDERS, buildBinarySearchTree, isValidTreeValues, buildSnapshots,
+} from './tree.steps.js';
+
+const DEFAULT_VALUES = [4, 2, 6, 1, 3, 5, 7];
+
+const CODE = {
+  pseudocode: [
+    'traverse(node):',
+    '  if node = null: return',
+    { ref: 'preorder', text: '  visit(node)            // preorder' },
+    '  traverse(node.left)',
+    { ref: 'inorder', text: '  visit(node)            // inorder' },
+    '  traverse(node.right)',
+    { ref: 'postorder', text: '  visit(node)            // postorder' },
+    { ref: 'start', text: 'traverse(root)' },
+  ],
+};
+
+export default function initTreeTraversalVisualization({ idSuffix = '' } = {}) {
+  /* Every snapshot of a run shares one `values` array; traces repeat it per snapshot. */
+  let laidOut = { key: null, nodes: [] };
+
+  /** The BST layout for a snapshot's insertion order, cached across frames. */
+  function getTreeNodes(values) {
+    const key = values.join(' ');
+    if (laidOut.key !== key) {
+      const nodes = buildBinarySearchTree(values);
+      if (!nodes) throw new Error(`the insertion order nests deeper than ${MAX_DEPTH} levels`);
+      laidOut = { key, nodes };
+    }
+    return laidOut.nodes;
   }
-  return orders;
-}
 
-export default function initTreeTraversalVisualization() {
-  const canvas = document.getElementById('treeCanvas');
-  const statusEl = document.getElementById('treeStatus');
-  const orderSelect = document.getElementById('treeOrder');
-  const prevBtn = document.getElementById('treePrev');
-  const nextBtn = document.getElementById('treeNext');
-  const resetBtn = document.getElementById('treeReset');
-
-  if (!canvas || !statusEl || !orderSelect || !prevBtn || !nextBtn || !resetBtn) return;
-
-  const ctx = canvas.getContext('2d');
-  if (!ctx) {
-    statusEl.textContent = 'Canvas 2D is not available.';
-    statusEl.classList.add('is-error');
-    return;
+  function isValidInput(input) {
+    return TRAVERSAL_ORDERS.includes(input?.order) && isValidTreeValues(input.values)
+      && (input.start === undefined || input.values.includes(input.start));
   }
 
-  const nodeMap = new Map(TREE_NODES.map((n) => [n.value, n]));
-  const rootValue = 4;
-  const orders = getTraversalOrders(TREE_NODES, rootValue);
-  const reduceMotion = getReducedMotion();
-
-  const state = { order: 'inorder', stepIndex: 0, width: 0, height: 0 };
-
-  function seq() { return orders[state.order] || []; }
+  /** `input` traversed from `start`; starting at the root leaves `start` out. */
+  function withStart({ order, values }, start) {
+    return start === undefined || start === values[0] ? { order, values } : { order, values, start };
+  }
 
-  function setStatus() {
-    const s = seq();
-    if (state.stepIndex >= s.length) {
-      statusEl.textContent = `${capitalize(state.order)} complete. Order: ${s.join(' → ')}`;
-    } else if (state.stepIndex === 0) {
-      statusEl.textContent = `${capitalize(state.order)} traversal. Start at root (${rootValue}). Step 0/${s.length}.`;
-    } else {
-      statusEl.textContent = `Step ${state.stepIndex}/${s.length}. Last: ${s[state.stepIndex - 1]}. Next: ${s[state.stepIndex]}.`;
+  /** The typed BST insertion order; the traversal order and start stay as selected while they exist. */
+  function parseInput(text, input) {
+    const values = parseIntegerListInput(text, { name: 'Tree values', maxLength: MAX_NODES, min: 0, max: 99 });
+    if (new Set(values).size !== values.length) throw new Error('Tree values must be distinct.');
+    if (!buildBinarySearchTree(values)) {
+      throw new Error(`That insertion order nests deeper than ${MAX_DEPTH} levels below the root.`);
     }
+    const start = values.includes(input?.start) ? input.start : undefined;
+    return withStart({ order: input?.order ?? TRAVERSAL_ORDERS[0], values }, start);
   }
 
-  function drawTree() {
-    const { width, height } = state;
+  function describe(snapshot) {
+    const { order, visited, current } = snapshot;
+    return [
+      {
+        caption: `${capitalize(order)} traversal`,
+        headers: ['Visited so far', 'Current node'],
+        rows: [[visited.join(' → ') || 'none', current ?? 'done']],
+      },
+      {
+        caption: 'Binary search tree, in insertion order',
+        headers: ['Node', 'Left child', 'Right child', 'Depth'],
+        rows: getTreeNodes(snapshot.values).map((n) => [n.value, n.left ?? 'none', n.right ?? 'none', n.depth]),
+      },
+    ];
+  }
+
+  /**
+   * Visited nodes are green and the current node blue; mid-step a blue ring
+   * slides from the current node to the next one.  Nodes are hit regions
+   * that start the traversal from themselves when clicked.
+   */
+  function draw(ctx, { width, height, snapshot, toSnapshot, progress, isAnimating }) {
     if (width <= 0 || height <= 0) return;
-    clearCanvas(ctx, width, height);
 
-    const s = seq();
-    const visited = new Set(s.slice(0, state.stepIndex));
-    const current = state.stepIndex === 0
-      ? rootValue
-      : state.stepIndex < s.length ? s[state.stepIndex] : null;
+    const treeNodes = getTreeNodes(snapshot.values);
+    const nodeMap = new Map(treeNodes.map((n) => [n.value, n]));
+    const visited = new Set(snapshot.visited);
+    const radius = Math.max(16, Math.min(24, Math.round(Math.min(width, height) * 0.05)));
 
     ctx.strokeStyle = CSS.edge;
     ctx.lineWidth = 2;
-    for (const node of TREE_NODES) {
+    for (const node of treeNodes) {
       for (const childVal of [node.left, node.right]) {
         const child = childVal != null ? nodeMap.get(childVal) : null;
         if (!child) continue;
@@ -100,58 +103,75 @@ export default function initTreeTraversalVisualization() {
       }
     }
 
-    const radius = Math.max(16, Math.min(24, Math.round(Math.min(width, height) * 0.05)));
-
-    for (const node of TREE_NODES) {
-      const x = node.x * width;
-      const y = node.y * height;
+    for (const node of treeNodes) {
       let stroke = CSS.node;
       let lw = 2;
       if (visited.has(node.value)) { stroke = CSS.tortoise; lw = 3; }
-      if (node.value === current) { stroke = CSS.meet; lw = 4; }
-
-      drawCircleNode(ctx, x, y, radius, String(node.value), {
-        stroke, lineWidth: lw, font: `700 18px ${FONT_SANS}`,
+      if (node.value === snapshot.current && !isAnimating) { stroke = CSS.meet; lw = 4; }
+
+      drawCircleNode(ctx, node.x * width, node.y * height, radius, String(node.value), {
+        stroke,
+        lineWidth: lw,
+        font: `700 18px ${FONT_SANS}`,
+        hit: {
+          tip: `Node ${node.value} · depth ${node.depth}\nClick to traverse from here.`,
+          target: { node: node.value },
+        },
       });
     }
-  }
 
-  function render() {
-    const { width, height } = resize2dCanvas(canvas);
-    state.width = width;
-    state.height = height;
-    drawTree();
-    setStatus();
-    prevBtn.disabled = state.stepIndex <= 0;
-    nextBtn.disabled = state.stepIndex >= seq().length;
+    const from = nodeMap.get(snapshot.current);
+    const to = nodeMap.get(toSnapshot.current) ?? from;
+    if (isAnimating && from) {
+      ctx.beginPath();
+      ctx.arc(lerp(from.x, to.x, progress) * width, lerp(from.y, to.y, progress) * height, radius, 0, Math.PI * 2);
+      ctx.strokeStyle = CSS.meet;
+      ctx.lineWidth = 4;
+      ctx.stroke();
+    }
   }
 
-  orderSelect.addEventListener('change', () => {
-    state.order = orderSelect.value;
-    state.stepIndex = 0;
-    render();
-  });
-
-  prevBtn.addEventListener('click', () => {
-    if (state.stepIndex > 0) { state.stepIndex -= 1; render(); }
-  });
-
-  nextBtn.addEventListener('click', () => {
-    if (state.stepIndex < seq().length) { state.stepIndex += 1; render(); }
+  const panel = createSnapshotVisualization({
+    canvasId: 'treeCanvas', statusId: 'treeStatus',
+    prevId: 'treePrev', nextId: 'treeNext', resetId: 'treeReset',
+    initialInput: { order: TRAVERSAL_ORDERS[0], values: DEFAULT_VALUES },
+    isValidInput,
+    parseInput,
+    formatInput: ({ values }) => values.join(' '),
+    inputLabel: 'BST insertion order',
+    inputPlaceholder: '4 2 6 1 3 5 7',
+    controls: [{
+      id: 'treeOrder',
+      label: 'Traversal',
+      options: TRAVERSAL_ORDERS.map((order) => [order, capitalize(order)]),
+      read: ({ order }) => order,
+      apply: (order, input) => ({ ...input, order }),
+    }, {
+      id: 'treeStart',
+      label: 'Start at',
+      options: ({ values }) => [...values].sort((a, b) => a - b)
+        .map((v) => [v, v === values[0] ? `${v} (root)` : String(v)]),
+      read: ({ values, start }) => start ?? values[0],
+      apply: (start, input) => withStart(input, Number(start)),
+    }],
+    onCanvasClick: (target, { input }) => ({ input: withStart(input, target.node) }),
+    buildSnapshots,
+    draw,
+    describe,
+    animationMs: 450,
+    code: CODE,
+    idSuffix,
+    inputShape: 'bst-values',
   });
-
-  resetBtn.addEventListener('click', () => { state.stepIndex = 0; render(); });
-
-  new ResizeObserver(() => render()).observe(canvas);
-  render();
-
-  createVisualizationAutoplaySkill({
-    enabled: !reduceMotion,
-    stepInterval: 1000,
-    donePause: 1800,
-    isActive: () => document.visibilityState === 'visible' && !canvas.closest('.algo-item')?.hidden,
-    isDone: () => state.stepIndex >= seq().length,
-    onStep: () => { if (state.stepIndex < seq().length) { state.stepIndex += 1; render(); } },
-    onReset: () => { state.stepIndex = 0; render(); },
+  if (!panel) return;
+
+  /* Only the values are shared, so a comparison can differ in traversal order and start. */
+  return createPanelHandle({
+    ...panel,
+    getInput: () => panel.getInput().values,
+    setInput(values) {
+      const { order, start } = panel.getInput();
+      return Array.isArray(values) && panel.setInput(withStart({ order, values }, values.includes(start) ? start : undefined));
+    },
   });
 }
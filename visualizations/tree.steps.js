@@ -0,0 +1,91 @@
+/**
+ * Binary tree traversals — step generator.  No DOM or canvas code, so it
+ * also runs in Node; tree.js draws the tree and these snapshots.
+ */
+
+export const MAX_NODES = 15;
+export const MAX_DEPTH = 4;
+export const TRAVERSAL_ORDERS = ['inorder', 'preorder', 'postorder'];
+
+/**
+ * Insert `values` in order into a BST and lay it out in unit coordinates:
+ * x by in-order rank, y by depth.  Returns null if the tree is too deep.
+ */
+export function buildBinarySearchTree(values) {
+  const nodes = [];
+  const nodeMap = new Map();
+  for (const value of values) {
+    const node = { value, left: null, right: null, depth: 0, x: 0, y: 0 };
+    let parent = nodes[0];
+    while (parent) {
+      node.depth += 1;
+      const side = value < parent.value ? 'left' : 'right';
+      if (parent[side] == null) { parent[side] = value; break; }
+      parent = nodeMap.get(parent[side]);
+    }
+    nodes.push(node);
+    nodeMap.set(value, node);
+  }
+
+  const maxDepth = Math.max(...nodes.map((n) => n.depth));
+  if (maxDepth > MAX_DEPTH) return null;
+  const rowStep = Math.min(0.28, 0.68 / Math.max(1, maxDepth));
+  [...nodes].sort((a, b) => a.value - b.value).forEach((node, rank) => {
+    node.x = 0.1 + (0.8 * (rank + 0.5)) / nodes.length;
+    node.y = 0.16 + node.depth * rowStep;
+  });
+  return nodes;
+}
+
+export function isValidTreeValues(values) {
+  return Array.isArray(values)
+    && values.length > 0
+    && values.length <= MAX_NODES
+    && values.every((v) => Number.isInteger(v) && v >= 0 && v <= 99)
+    && new Set(values).size === values.length
+    && buildBinarySearchTree(values) !== null;
+}
+
+function computeTraversalOrder(nodeMap, nodeValue, order, result) {
+  if (nodeValue == null) return;
+  const node = nodeMap.get(nodeValue);
+  if (!node) return;
+  if (order === 'preorder') result.push(node.value);
+  computeTraversalOrder(nodeMap, node.left, order, result);
+  if (order === 'inorder') result.push(node.value);
+  computeTraversalOrder(nodeMap, node.right, order, result);
+  if (order === 'postorder') result.push(node.value);
+}
+
+/**
+ * Traverse the BST built from `values` in `order` from node `start` (the
+ * root unless given), one snapshot per visit: `visited` lists the nodes
+ * visited so far and `current` the node visited next (`start` before the
+ * first visit, null once done).  Each snapshot carries `values`, the
+ * insertion order, so it can be drawn on its own.
+ */
+export function buildSnapshots({ values, order, start = values[0] }) {
+  const nodes = buildBinarySearchTree(values);
+  const rootValue = values[0];
+  const sequence = [];
+  computeTraversalOrder(new Map(nodes.map((n) => [n.value, n])), start, order, sequence);
+  const name = `${order[0].toUpperCase()}${order.slice(1)}`;
+  const total = sequence.length;
+
+  function describeStep(step) {
+    if (step === total) return `${name} complete. Order: ${sequence.join(' → ')}`;
+    if (step > 0) return `Visited ${sequence[step - 1]}. Next: ${sequence[step]}.`;
+    return start === rootValue
+      ? `${name} traversal. Start at root (${rootValue}).`
+      : `${name} traversal of the subtree at ${start}.`;
+  }
+
+  return Array.from({ length: total + 1 }, (_, step) => ({
+    order,
+    values,
+    visited: sequence.slice(0, step),
+    current: step === 0 ? start : step < total ? sequence[step] : null,
+    line: step === 0 ? 'start' : step < total ? order : null,
+    text: describeStep(step),
+  }));
+}
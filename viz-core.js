@@ -6,6 +6,11 @@
  */
 
 import { getReducedMotion } from './bg-utils.js';
+import { collectHitRegions, findHitRegion } from './viz-draw.js';
+import { createExportControl } from './viz-export.js';
+import { canRenderOffscreen, createOffscreenRenderer } from './viz-offscreen.js';
+import { getProgress, recordProgress } from './viz-progress.js';
+import { createTrace, createTraceControl, parseTrace } from './viz-trace.js';
 
 /* ───── Font stacks ──────────────────────────────────────────────── */
 
@@ -14,6 +19,7 @@ export const FONT_MONO = 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas,
 
 /* ───── Color constants ──────────────────────────────────────────── */
 
+/* Light-theme defaults; the live palette is `CSS` below. */
 export const COLOR_NODE = 0xd1d5db;
 export const COLOR_EDGE = 0x6b7280;
 export const COLOR_TORTOISE = 0x16a34a;
@@ -25,16 +31,128 @@ function numberToCssHex(value) {
   return `#${value.toString(16).padStart(6, '0')}`;
 }
 
-/** Pre-resolved CSS color strings — avoids repeated numberToCssHex calls. */
-export const CSS = Object.freeze({
+const DEFAULT_PALETTE = Object.freeze({
   node: numberToCssHex(COLOR_NODE),
   edge: numberToCssHex(COLOR_EDGE),
   tortoise: numberToCssHex(COLOR_TORTOISE),
   hare: numberToCssHex(COLOR_HARE),
   meet: numberToCssHex(COLOR_MEET),
   label: COLOR_LABEL,
+  fill: '#ffffff',
+  background: '#ffffff',
 });
 
+/**
+ * The active theme's colors as CSS strings: `--viz-<name>` from styles.css
+ * (`background` is the page's `--bg`).  Updated in place when the theme
+ * changes, so read `CSS.x` while drawing rather than caching it.
+ */
+export const CSS = Object.seal({ ...DEFAULT_PALETTE });
+
+/** `CSS[name]` as a 0xrrggbb number, for Three.js materials. */
+export function getThemeColorNumber(name) {
+  return Number.parseInt(CSS[name].slice(1), 16);
+}
+
+/* ───── Theme ────────────────────────────────────────────────────── *
+ *                                                                     *
+ * site.js puts the resolved theme on <html data-theme>, and the       *
+ * color-blind safe mode sets <html data-cvd="safe">.  viz-core        *
+ * watches both attributes, re-reads the palette into CSS, then fires  *
+ * THEME_CHANGE_EVENT on window so every open panel redraws.           *
+ * ──────────────────────────────────────────────────────────────────── */
+
+export const THEME_CHANGE_EVENT = 'viz-themechange';
+
+const COLOR_SAFE_STORAGE_KEY = 'viz-color-safe';
+const STATE_COLOR_ROLES = ['tortoise', 'hare', 'meet'];
+
+let colorSafeMode = false;
+
+function readThemePalette() {
+  const root = document.documentElement;
+  const style = getComputedStyle(root);
+  for (const name of Object.keys(CSS)) {
+    const value = style.getPropertyValue(name === 'background' ? '--bg' : `--viz-${name}`).trim();
+    CSS[name] = /^#[0-9a-f]{6}$/i.test(value) ? value : DEFAULT_PALETTE[name];
+  }
+  colorSafeMode = root.dataset.cvd === 'safe';
+}
+
+function watchTheme() {
+  readThemePalette();
+  new MutationObserver(() => {
+    readThemePalette();
+    window.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, {
+      detail: { theme: document.documentElement.dataset.theme ?? 'light', colorSafe: colorSafeMode },
+    }));
+  }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme', 'data-cvd'] });
+}
+
+/**
+ * Run `callback` after every theme change, once `CSS` holds the new colors.
+ * Returns a function that stops the updates.
+ */
+export function onThemeChange(callback) {
+  window.addEventListener(THEME_CHANGE_EVENT, callback);
+  return () => window.removeEventListener(THEME_CHANGE_EVENT, callback);
+}
+
+export function isColorSafeMode() {
+  return colorSafeMode;
+}
+
+/**
+ * Turn the color-blind safe mode on or off and remember the choice.  The
+ * mode swaps in the `--viz-*` palette from styles.css and makes the
+ * viz-draw.js helpers add dashes, hatching and glyphs to state colors.
+ */
+export function setColorSafeMode(on) {
+  try {
+    if (on) localStorage.setItem(COLOR_SAFE_STORAGE_KEY, '1');
+    else localStorage.removeItem(COLOR_SAFE_STORAGE_KEY);
+  } catch {
+    // Storage blocked: the choice lasts for this page only.
+  }
+  if (on) document.documentElement.dataset.cvd = 'safe';
+  else delete document.documentElement.dataset.cvd;
+}
+
+function restoreColorSafeMode() {
+  try {
+    if (localStorage.getItem(COLOR_SAFE_STORAGE_KEY) === '1') document.documentElement.dataset.cvd = 'safe';
+  } catch {
+    // Storage blocked: start with the mode off.
+  }
+}
+
+/**
+ * In color-blind safe mode, the state a color stands for (`'tortoise'`,
+ * `'hare'` or `'meet'`) when it is one of those `CSS` entries; otherwise null.
+ */
+export function getColorSafeRole(color) {
+  if (!colorSafeMode) return null;
+  return STATE_COLOR_ROLES.find((name) => CSS[name] === color) ?? null;
+}
+
+/** The palette and color-safe mode as plain data, for a rendering worker (see viz-offscreen.js). */
+export function getThemeState() {
+  return { palette: { ...CSS }, colorSafe: colorSafeMode };
+}
+
+/** Adopt getThemeState() from the page; workers cannot read its styles themselves. */
+export function applyThemeState({ palette, colorSafe }) {
+  for (const name of Object.keys(CSS)) {
+    if (typeof palette?.[name] === 'string') CSS[name] = palette[name];
+  }
+  colorSafeMode = Boolean(colorSafe);
+}
+
+if (typeof document !== 'undefined') {
+  restoreColorSafeMode();
+  watchTheme();
+}
+
 /* ───── Math / utility helpers ───────────────────────────────────── */
 
 export function clamp01(v) {
@@ -59,12 +177,59 @@ export function capitalize(word) {
   return word.charAt(0).toUpperCase() + word.slice(1);
 }
 
+/* ───── Seeded random numbers ───────────────────────────────────── *
+ *                                                                     *
+ * All visualizations draw from one seedable PRNG (mulberry32) so a    *
+ * run can be reproduced from its seed.  The framework reseeds right   *
+ * before each createInput() call.                                     *
+ * ──────────────────────────────────────────────────────────────────── */
+
+let rngSeed = '';
+let rngState = 0;
+
+/** Hash an arbitrary seed string to a 32-bit PRNG state. */
+function hashSeed(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/** A fresh short seed (6 base-36 chars) for runs without a user-chosen seed. */
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+export function setRandomSeed(seed) {
+  rngSeed = String(seed);
+  rngState = hashSeed(rngSeed);
+}
+
+export function getRandomSeed() {
+  return rngSeed;
+}
+
+/** Seeded replacement for Math.random(): a float in [0, 1). */
+export function random() {
+  rngState = (rngState + 0x6d2b79f5) | 0;
+  let t = rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
 export function getRandomIntInclusive(min, max) {
   const lo = Math.ceil(min);
   const hi = Math.floor(max);
-  return Math.floor(Math.random() * (hi - lo + 1)) + lo;
+  return Math.floor(random() * (hi - lo + 1)) + lo;
 }
 
+setRandomSeed(createRandomSeed());
+
 /* ───── Canvas helpers ───────────────────────────────────────────── */
 
 /** Resize a 2D canvas backing store to match its CSS size (clamped DPR). */
@@ -82,14 +247,330 @@ export function resize2dCanvas(canvas) {
 }
 
 /** Reset the canvas transform for the current DPR and clear the frame. */
-export function clearCanvas(ctx, width, height) {
-  const dpr = Math.min(2, window.devicePixelRatio || 1);
+export function clearCanvas(ctx, width, height, dpr = Math.min(2, window.devicePixelRatio || 1)) {
   ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
   ctx.clearRect(0, 0, width, height);
 }
 
+/** Like clearCanvas, but paints the page background: exported images have no page behind them. */
+export function clearExportCanvas(ctx, width, height, scale) {
+  clearCanvas(ctx, width, height, scale);
+  ctx.fillStyle = CSS.background;
+  ctx.fillRect(0, 0, width, height);
+}
+
+/* ───── URL hash state (deep links) ──────────────────────────────── *
+ *                                                                     *
+ * Format: #viz=<key>&step=<n>&seed=<s>&input=<JSON>.  Written with    *
+ * history.replaceState so stepping never floods the history stack.    *
+ * The same state is saved as the panel's progress (viz-progress.js),  *
+ * which a panel resumes from when its link carries no step or input.  *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/** Key of the `.algo-item[data-animation]` panel that contains `el`. */
+export function getVisualizationKey(el) {
+  return el?.closest('.algo-item')?.dataset.animation || null;
+}
+
+/**
+ * Parse the URL hash.  With `expectedKey`, returns null unless the hash
+ * points at that visualization.
+ */
+export function readVisualizationHash(expectedKey = null) {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const key = params.get('viz');
+  if (!key || (expectedKey && key !== expectedKey)) return null;
+
+  const linked = { key };
+  const step = Number.parseInt(params.get('step') ?? '', 10);
+  if (Number.isFinite(step) && step >= 0) linked.step = step;
+
+  const seed = params.get('seed');
+  if (seed) linked.seed = seed;
+
+  const rawInput = params.get('input');
+  if (rawInput != null) {
+    try {
+      linked.input = JSON.parse(rawInput);
+    } catch {
+      // Malformed link — ignore the input and fall back to fresh data.
+    }
+  }
+  return linked;
+}
+
+export function writeVisualizationHash(key, { step = null, seed = null, input } = {}) {
+  const params = new URLSearchParams();
+  params.set('viz', key);
+  if (step != null) params.set('step', String(step));
+  if (seed) params.set('seed', seed);
+  if (input !== undefined) params.set('input', JSON.stringify(input));
+
+  const hash = `#${params.toString()}`;
+  if (window.location.hash === hash) return;
+  history.replaceState(history.state, '', hash);
+}
+
+/** True when `linked` says more than which panel to show. */
+function hasLinkedState(linked) {
+  return Boolean(linked) && (linked.step !== undefined || Boolean(linked.seed) || linked.input !== undefined);
+}
+
+/**
+ * Mirror a panel's `{ step, seed, input }` into the URL hash, and into its
+ * saved progress, while it is the visible panel (the right-hand side of a
+ * comparison writes neither).  `getState()` also reports `atEnd`, so a run
+ * reaching its final step is counted.  `onRestore(linked)` runs when the
+ * hash is edited to point at this panel; `initial` holds the link present
+ * at init time, or else the last visited state.
+ */
+export function bindVisualizationHash(canvas, { getState, onRestore }) {
+  const key = getVisualizationKey(canvas);
+  if (!key) return { initial: null, sync() {}, dispose() {} };
+
+  let wasAtEnd = null;
+
+  function sync() {
+    const item = canvas.closest('.algo-item');
+    if (item?.hidden || item?.dataset.compare === 'b') return;
+    const { atEnd = false, ...state } = getState();
+    writeVisualizationHash(key, state);
+    recordProgress(key, state, { completedRun: atEnd && wasAtEnd === false });
+    wasAtEnd = atEnd;
+  }
+
+  function onHashChange() {
+    const linked = readVisualizationHash(key);
+    if (linked) onRestore(linked);
+  }
+
+  function onShown(e) {
+    if (e.detail?.key === key) sync();
+  }
+
+  window.addEventListener('hashchange', onHashChange);
+  window.addEventListener('visualizationshown', onShown);
+
+  const linked = readVisualizationHash(key);
+  const saved = getProgress(key).last;
+  return {
+    initial: hasLinkedState(linked) || !saved ? linked : { key, ...saved },
+    sync,
+    dispose() {
+      window.removeEventListener('hashchange', onHashChange);
+      window.removeEventListener('visualizationshown', onShown);
+    },
+  };
+}
+
+/* ───── Seed control ─────────────────────────────────────────────── */
+
+/**
+ * Render a "Seed" field + Apply button into `container`.  `onApply(seed)`
+ * receives the trimmed text, or a fresh random seed when left empty.
+ */
+export function createSeedControl(container, { onApply }) {
+  const form = document.createElement('form');
+  form.className = 'viz-seed';
+
+  const label = document.createElement('label');
+  label.className = 'small viz-playback-field';
+  label.textContent = 'Seed ';
+
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.className = 'input input-compact viz-seed-input';
+  field.maxLength = 32;
+  field.spellcheck = false;
+  field.autocomplete = 'off';
+  field.placeholder = 'custom';
+  label.append(field);
+
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'submit';
+  applyBtn.className = 'btn';
+  applyBtn.textContent = 'Apply seed';
+
+  form.append(label, applyBtn);
+  container.append(form);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    onApply(field.value.trim() || createRandomSeed());
+  });
+
+  return {
+    setSeed(seed) {
+      field.value = seed ?? '';
+    },
+  };
+}
+
+/* ───── User input ───────────────────────────────────────────────── *
+ *                                                                     *
+ * Each panel gets a text field for its own data.  Parsers throw an    *
+ * Error whose message is shown in the panel's status element; the     *
+ * canvas keeps showing the last valid run.                             *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/** Parse a single integer in [min, max]; `name` is used in the error message. */
+export function parseIntegerInput(text, { name, min, max }) {
+  const trimmed = String(text).trim();
+  if (!/^[+-]?\d+$/.test(trimmed)) throw new Error(`${name} must be a whole number.`);
+  const value = Number(trimmed);
+  if (value < min || value > max) throw new Error(`${name} must be between ${min} and ${max}.`);
+  return value;
+}
+
+/**
+ * Parse a comma/space separated list of integers, e.g. "1, 2, 3" or
+ * "[1 2 3]".  Checks the list length and each value's range.
+ */
+export function parseIntegerListInput(text, { name, minLength = 1, maxLength, min, max }) {
+  const body = String(text).trim().replace(/^\[|\]$/g, '').trim();
+  const parts = body ? body.split(/[\s,]+/) : [];
+  if (parts.length < minLength || parts.length > maxLength) {
+    throw new Error(minLength === maxLength
+      ? `${name} must have exactly ${minLength} values.`
+      : `${name} must have ${minLength}–${maxLength} values.`);
+  }
+  return parts.map((part) => parseIntegerInput(part, { name: `Every value in ${name}`, min, max }));
+}
+
+/**
+ * Render an input form (label, text field, Apply button) into `container`.
+ * `onApply(text)` returns an error message to flag the field, or nothing
+ * on success.  Editing the field clears the error flag.
+ */
+export function createInputControl(container, { label, placeholder = '', describedBy = null, onApply }) {
+  const form = document.createElement('form');
+  form.className = 'viz-input';
+
+  const labelEl = document.createElement('label');
+  labelEl.className = 'small viz-playback-field';
+  labelEl.textContent = `${label} `;
+
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.className = 'input viz-input-field';
+  field.spellcheck = false;
+  field.autocomplete = 'off';
+  field.placeholder = placeholder;
+  if (describedBy) field.setAttribute('aria-describedby', describedBy);
+  labelEl.append(field);
+
+  const applyBtn = document.createElement('button');
+  applyBtn.type = 'submit';
+  applyBtn.className = 'btn';
+  applyBtn.textContent = 'Apply';
+
+  form.append(labelEl, applyBtn);
+  container.after(form);
+
+  function setInvalid(invalid) {
+    if (invalid) field.setAttribute('aria-invalid', 'true');
+    else field.removeAttribute('aria-invalid');
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const error = onApply(field.value);
+    setInvalid(Boolean(error));
+    if (error) field.focus();
+  });
+  field.addEventListener('input', () => setInvalid(false));
+
+  return {
+    setValue(text) {
+      field.value = text;
+      setInvalid(false);
+    },
+  };
+}
+
 /* ───── Autoplay engine ──────────────────────────────────────────── */
 
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 1.5, 2, 4];
+
+/** What autoplay does once the last step is reached. */
+export const LOOP_MODES = Object.freeze({
+  stop: 'Stop at end',
+  loop: 'Loop same input',
+  'loop-new': 'Loop with new random input',
+});
+
+function createSelect(label, options, value, onChange) {
+  const wrap = document.createElement('label');
+  wrap.className = 'small viz-playback-field';
+  wrap.textContent = `${label} `;
+  const select = document.createElement('select');
+  select.className = 'input input-compact viz-playback-select';
+  for (const [optValue, optLabel] of options) {
+    const opt = document.createElement('option');
+    opt.value = String(optValue);
+    opt.textContent = optLabel;
+    select.append(opt);
+  }
+  select.value = String(value);
+  select.addEventListener('change', () => onChange(select.value));
+  wrap.append(select);
+  return wrap;
+}
+
+/**
+ * Build the play/pause toggle, speed selector and loop-mode selector into
+ * `container` and keep them in sync with the autoplay engine.
+ */
+function createPlaybackControls(container, { loopModes, getState, onToggle, onSpeed, onLoopMode }) {
+  const group = document.createElement('div');
+  group.className = 'viz-playback';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Playback');
+
+  const toggleBtn = document.createElement('button');
+  toggleBtn.type = 'button';
+  toggleBtn.className = 'btn viz-play-toggle';
+  toggleBtn.addEventListener('click', onToggle);
+
+  const { speed, loopMode } = getState();
+  const speedField = createSelect(
+    'Speed',
+    PLAYBACK_SPEEDS.map((v) => [v, `${v}×`]),
+    speed,
+    (v) => onSpeed(Number(v)),
+  );
+  const loopField = createSelect(
+    'At end',
+    loopModes.map((mode) => [mode, LOOP_MODES[mode]]),
+    loopMode,
+    onLoopMode,
+  );
+
+  group.append(toggleBtn, speedField, loopField);
+  container.append(group);
+
+  function update() {
+    const { paused } = getState();
+    toggleBtn.textContent = paused ? 'Play' : 'Pause';
+    toggleBtn.setAttribute('aria-pressed', String(!paused));
+    toggleBtn.setAttribute('aria-label', paused ? 'Play autoplay' : 'Pause autoplay');
+  }
+
+  update();
+  return { update };
+}
+
+/**
+ * Autoplay engine shared by all visualizations.
+ *
+ * `enabled` decides whether playback starts immediately; when a `controls`
+ * container is given, a play/pause toggle, speed selector and loop-mode
+ * selector are rendered into it so playback can also be started by hand.
+ * `onReset(regenerate)` receives `true` in "loop with new random input" mode.
+ * The timer only runs while playing.  `suspend()` pauses like `pause()`,
+ * but a later `resume()` plays again if playback was running; `stop()`
+ * ends the engine for good.
+ */
 export function createVisualizationAutoplaySkill({
   enabled,
   stepInterval,
@@ -99,8 +580,14 @@ export function createVisualizationAutoplaySkill({
   isActive,
   onStep,
   onReset,
+  controls = null,
+  loopModes = ['stop', 'loop'],
+  loopMode = loopModes.includes('loop') ? 'loop' : loopModes[0],
 }) {
-  if (!enabled) return { stop() {} };
+  const inert = {
+    stop() {}, play() {}, pause() {}, suspend() {}, resume() {}, isPaused: () => true, getSpeed: () => 1,
+  };
+  if (!enabled && !controls) return inert;
 
   const TICK_MS = 120;
   let prev = 0;
@@ -108,6 +595,50 @@ export function createVisualizationAutoplaySkill({
   let pauseUntil = 0;
   let stopped = false;
   let timeoutId = 0;
+  let paused = !enabled;
+  /** Set by suspend() while playing, so resume() knows to play again. */
+  let resumable = false;
+  let speed = 1;
+  let mode = loopMode;
+
+  const ui = controls
+    ? createPlaybackControls(controls, {
+      loopModes,
+      getState: () => ({ paused, speed, loopMode: mode }),
+      onToggle: () => (paused ? play() : pause()),
+      onSpeed: (v) => { speed = v; },
+      onLoopMode: (v) => { mode = v; },
+    })
+    : null;
+
+  function setPaused(value) {
+    paused = value;
+    acc = 0;
+    pauseUntil = 0;
+    if (!paused && !timeoutId) schedule(0);
+    if (ui) ui.update();
+  }
+
+  function play() {
+    resumable = false;
+    if (isDone && isDone() && onReset) onReset(mode === 'loop-new');
+    setPaused(false);
+  }
+
+  function pause() {
+    resumable = false;
+    setPaused(true);
+  }
+
+  function suspend() {
+    if (paused) return;
+    setPaused(true);
+    resumable = true;
+  }
+
+  function resume() {
+    if (resumable) play();
+  }
 
   function schedule(delay = TICK_MS) {
     if (stopped) return;
@@ -115,7 +646,8 @@ export function createVisualizationAutoplaySkill({
   }
 
   function loop() {
-    if (stopped) return;
+    timeoutId = 0;
+    if (stopped || paused) return;
 
     const ts = performance.now();
     const active = typeof isActive === 'function'
@@ -148,17 +680,22 @@ export function createVisualizationAutoplaySkill({
       return;
     }
 
+    const interval = stepInterval / speed;
     acc += dt;
-    if (acc < stepInterval) {
+    if (acc < interval) {
       schedule();
       return;
     }
 
-    acc %= stepInterval;
+    acc %= interval;
 
     if (isDone && isDone()) {
-      if (onReset) onReset();
-      pauseUntil = ts + donePause;
+      if (mode === 'stop') {
+        pause();
+      } else {
+        if (onReset) onReset(mode === 'loop-new');
+        pauseUntil = ts + donePause / speed;
+      }
       schedule();
       return;
     }
@@ -166,13 +703,13 @@ export function createVisualizationAutoplaySkill({
     if (onStep) onStep();
 
     if (isDone && isDone()) {
-      pauseUntil = ts + donePause;
+      pauseUntil = ts + donePause / speed;
     }
 
     schedule();
   }
 
-  schedule(0);
+  if (!paused) schedule(0);
   return {
     stop() {
       stopped = true;
@@ -181,138 +718,1533 @@ export function createVisualizationAutoplaySkill({
         timeoutId = 0;
       }
     },
+    play,
+    pause,
+    suspend,
+    resume,
+    isPaused: () => paused,
+    getSpeed: () => speed,
   };
 }
 
-/* ───── Snapshot-based visualization framework ────────────────────── *
- *                                                                     *
- * Handles: DOM lookup, canvas resize, Prev/Next/Reset wiring,        *
- * animated step transitions, ResizeObserver, and autoplay.            *
- *                                                                     *
- * Each visualization only needs to provide:                           *
- *   buildSnapshots()  — returns the step array                        *
- *   draw(ctx, state)  — renders one frame                             *
- * ──────────────────────────────────────────────────────────────────── */
+/* ───── Snapshot timeline (scrubber) ─────────────────────────────── */
 
-export function createSnapshotVisualization({
-  canvasId, statusId, prevId, nextId, resetId,
-  buildSnapshots, draw, animationMs = 700, rebuildSnapshotsOnReset = false,
-}) {
-  const canvas = document.getElementById(canvasId);
-  const statusEl = document.getElementById(statusId);
-  const prevBtn = document.getElementById(prevId);
-  const nextBtn = document.getElementById(nextId);
-  const resetBtn = document.getElementById(resetId);
+/**
+ * Shorten a snapshot's status text to a tick label: the leading clause
+ * (up to the first ": " or ". "), truncated with an ellipsis.
+ */
+export function getShortSnapshotLabel(text, maxLength = 12) {
+  const head = String(text ?? '').split(/[:.](?:\s|$)/)[0].trim();
+  if (head.length <= maxLength) return head;
+  return `${head.slice(0, maxLength - 1).trimEnd()}…`;
+}
 
-  if (!canvas || !statusEl || !prevBtn || !nextBtn || !resetBtn) return;
+/**
+ * Build a scrubbable timeline (range input + labelled ticks) right after
+ * `anchor`.  `onSeek(index)` fires on drag, tick click, or keyboard input;
+ * only the range takes focus, so a long run adds one tab stop, not one per
+ * step.
+ */
+function createSnapshotTimeline(anchor, { onSeek }) {
+  const root = document.createElement('div');
+  root.className = 'viz-timeline';
 
-  const ctx = canvas.getContext('2d');
-  if (!ctx) {
-    statusEl.textContent = 'Canvas 2D is not available.';
-    statusEl.classList.add('is-error');
-    return;
-  }
+  const range = document.createElement('input');
+  range.type = 'range';
+  range.className = 'viz-timeline-range';
+  range.min = '0';
+  range.step = '1';
+  range.setAttribute('aria-label', 'Step');
 
-  const reduceMotion = getReducedMotion();
-  let snapshots = buildSnapshots();
-  if (!Array.isArray(snapshots) || snapshots.length === 0) {
-    statusEl.textContent = 'No snapshots to display.';
-    statusEl.classList.add('is-error');
-    prevBtn.disabled = true;
-    nextBtn.disabled = true;
-    resetBtn.disabled = true;
-    return;
-  }
-  const state = { stepIndex: 0, width: 0, height: 0, animation: null };
+  const ticks = document.createElement('ol');
+  ticks.className = 'viz-timeline-ticks';
 
-  function resetToStart(shouldRebuild) {
-    if (shouldRebuild) {
-      const rebuilt = buildSnapshots();
-      if (!Array.isArray(rebuilt) || rebuilt.length === 0) return;
-      snapshots = rebuilt;
-    }
-    state.stepIndex = 0;
-    state.animation = null;
-    render();
-  }
+  root.append(range, ticks);
+  anchor.after(root);
 
-  function render() {
-    const { width, height } = resize2dCanvas(canvas);
-    state.width = width;
-    state.height = height;
-    clearCanvas(ctx, width, height);
+  range.addEventListener('input', () => onSeek(Number(range.value)));
+  ticks.addEventListener('click', (e) => {
+    const tick = e.target.closest('[data-step]');
+    if (tick) onSeek(Number(tick.dataset.step));
+  });
 
-    const snapshot = snapshots[state.stepIndex];
-    const toSnapshot = state.animation ? snapshots[state.animation.toIndex] : snapshot;
-    const progress = state.animation ? easeInOutCubic(state.animation.progress) : 1;
+  let tickEls = [];
+  let snapshotTexts = [];
+  let currentStep = 0;
+  let concealed = false;
 
-    draw(ctx, {
-      width, height, snapshot, toSnapshot, progress,
-      isAnimating: state.animation !== null,
-      stepIndex: state.stepIndex, snapshots,
-    });
+  function setSnapshots(snapshots) {
+    const last = Math.max(1, snapshots.length - 1);
+    snapshotTexts = snapshots.map((s) => String(s.text ?? ''));
+    range.max = String(snapshots.length - 1);
+    ticks.style.setProperty('--tick-count', String(last));
 
-    const activeSnap = state.animation ? toSnapshot : snapshot;
-    const total = snapshots.length - 1;
-    const stepLabel = state.stepIndex <= 0
-      ? ''
-      : state.stepIndex >= total
-        ? `[${total}/${total}] `
-        : `[${state.stepIndex}/${total}] `;
-    statusEl.textContent = stepLabel + activeSnap.text;
-    prevBtn.disabled = state.stepIndex <= 0 || state.animation !== null;
-    nextBtn.disabled = state.stepIndex >= snapshots.length - 1 || state.animation !== null;
+    tickEls = snapshotTexts.map((text, i) => {
+      const item = document.createElement('li');
+      const tick = document.createElement('button');
+      tick.type = 'button';
+      tick.className = 'viz-timeline-tick';
+      /* Mouse-only: the range (with its aria-valuetext) is the keyboard path. */
+      tick.tabIndex = -1;
+      tick.dataset.step = String(i);
+      tick.style.setProperty('--tick-pos', String(i / last));
+      item.append(tick);
+      return item;
+    });
+    ticks.replaceChildren(...tickEls);
   }
 
-  function stepForward() {
-    if (state.stepIndex >= snapshots.length - 1 || state.animation) return;
-    runStepAnimation(state.stepIndex + 1);
+  function update(stepIndex) {
+    currentStep = stepIndex;
+    range.value = String(stepIndex);
+    range.setAttribute('aria-valuetext', `Step ${stepIndex}: ${snapshotTexts[stepIndex] ?? ''}`);
+    tickEls.forEach((item, i) => {
+      const tick = item.firstChild;
+      const text = concealed && i > stepIndex ? '' : snapshotTexts[i];
+      tick.classList.toggle('is-visited', i < stepIndex);
+      if (i === stepIndex) tick.setAttribute('aria-current', 'step');
+      else tick.removeAttribute('aria-current');
+      tick.title = text;
+      tick.setAttribute('aria-label', text ? `Step ${i}: ${text}` : `Step ${i}`);
+      tick.textContent = text ? getShortSnapshotLabel(text) : '?';
+    });
   }
 
-  function stepBackward() {
-    if (state.stepIndex <= 0 || state.animation) return;
-    state.stepIndex -= 1;
-    render();
+  /** Hide the labels of steps after the current one (quiz mode). */
+  function setConcealed(value) {
+    concealed = value;
+    update(currentStep);
   }
 
-  function runStepAnimation(targetIndex) {
-    if (state.animation || targetIndex <= state.stepIndex || reduceMotion) {
-      state.stepIndex = targetIndex;
-      render();
-      return;
-    }
+  return { setSnapshots, update, setConcealed };
+}
 
-    state.animation = { toIndex: targetIndex, startTs: performance.now(), progress: 0 };
+/* ───── Code panel ───────────────────────────────────────────────── *
+ *                                                                     *
+ * A listing per language, each an array of lines.  A line is either  *
+ * plain text or { ref, text }; snapshots name the refs they stand    *
+ * for in `line` (a string or an array), and every line carrying one *
+ * of those refs is highlighted — in whichever language is shown.     *
+ * ──────────────────────────────────────────────────────────────────── */
 
-    function tick(ts) {
-      if (!state.animation) return;
-      state.animation.progress = clamp01((ts - state.animation.startTs) / animationMs);
-      if (state.animation.progress >= 1) {
-        state.stepIndex = state.animation.toIndex;
-        state.animation = null;
-      }
-      render();
-      if (state.animation) requestAnimationFrame(tick);
-    }
+export const CODE_LANGUAGES = Object.freeze({
+  pseudocode: 'Pseudocode',
+  js: 'JavaScript',
+  python: 'Python',
+});
 
-    requestAnimationFrame(tick);
-  }
+/**
+ * Build a collapsible code panel right after `anchor` from
+ * `{ pseudocode, js?, python? }` listings.  A language selector is shown
+ * when more than one listing is given.
+ */
+export function createCodePanel(anchor, listings) {
+  const languages = Object.keys(CODE_LANGUAGES).filter((lang) => Array.isArray(listings[lang]));
+  if (languages.length === 0) return null;
 
-  prevBtn.addEventListener('click', stepBackward);
+  const root = document.createElement('details');
+  root.className = 'viz-code';
+  root.open = true;
 
-  nextBtn.addEventListener('click', stepForward);
+  const summary = document.createElement('summary');
+  summary.className = 'small viz-code-summary';
+  summary.textContent = 'Code';
 
-  resetBtn.addEventListener('click', () => {
-    resetToStart(rebuildSnapshotsOnReset);
-  });
+  const pre = document.createElement('pre');
+  pre.className = 'viz-code-listing';
+  const code = document.createElement('code');
+  pre.append(code);
 
-  /* Keyboard navigation — only when this panel is visible */
-  document.addEventListener('keydown', (e) => {
-    const item = canvas.closest('.algo-item');
-    if (item && item.hidden) return;
-    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-      e.preventDefault();
+  let language = languages[0];
+  let activeRefs = [];
+  let lineEls = [];
+
+  function show(nextLanguage) {
+    language = nextLanguage;
+    pre.setAttribute('aria-label', `${CODE_LANGUAGES[language]} listing`);
+    lineEls = listings[language].map((line) => {
+      const el = document.createElement('span');
+      el.className = 'viz-code-line';
+      el.textContent = typeof line === 'string' ? line : line.text;
+      if (typeof line !== 'string' && line.ref) el.dataset.ref = line.ref;
+      return el;
+    });
+    code.replaceChildren(...lineEls);
+    highlight(activeRefs);
+  }
+
+  /** Highlight every line whose ref is in `refs` (a ref, an array of refs, or nothing). */
+  function highlight(refs) {
+    activeRefs = refs == null ? [] : [].concat(refs);
+    for (const el of lineEls) {
+      const isActive = el.dataset.ref !== undefined && activeRefs.includes(el.dataset.ref);
+      el.classList.toggle('is-active', isActive);
+      if (isActive) el.setAttribute('aria-current', 'step');
+      else el.removeAttribute('aria-current');
+    }
+  }
+
+  root.append(summary);
+  if (languages.length > 1) {
+    root.append(createSelect(
+      'Language',
+      languages.map((lang) => [lang, CODE_LANGUAGES[lang]]),
+      language,
+      show,
+    ));
+  }
+  root.append(pre);
+  anchor.after(root);
+  show(language);
+
+  return { highlight };
+}
+
+/* ───── Variable watch ───────────────────────────────────────────── */
+
+/** Snapshot fields that describe the step rather than the algorithm's state. */
+const UNWATCHED_FIELDS = new Set(['text', 'line']);
+
+function formatWatchValue(value, depth = 0) {
+  if (value === undefined) return '—';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    return depth > 1 ? '[…]' : `[${value.map((v) => formatWatchValue(v, depth + 1)).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 1) return '{…}';
+    const entries = Object.entries(value).map(([k, v]) => `${k}: ${formatWatchValue(v, depth + 1)}`);
+    return `{${entries.join(', ')}}`;
+  }
+  return String(value);
+}
+
+/**
+ * Flatten a snapshot into `[name, value]` rows: scalars and arrays as-is,
+ * plain objects one level deep as `name.key`.
+ */
+function getWatchRows(snapshot) {
+  const rows = [];
+  for (const [name, value] of Object.entries(snapshot ?? {})) {
+    if (UNWATCHED_FIELDS.has(name) || typeof value === 'function') continue;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, inner] of Object.entries(value)) rows.push([`${name}.${key}`, inner]);
+    } else {
+      rows.push([name, value]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Build a collapsible table right after `anchor` listing the active
+ * snapshot's fields; rows that differ from the previous step are marked.
+ */
+function createVariableWatch(anchor) {
+  const root = document.createElement('details');
+  root.className = 'viz-vars';
+  root.open = true;
+
+  const summary = document.createElement('summary');
+  summary.className = 'small viz-code-summary';
+  summary.textContent = 'Variables';
+
+  const table = document.createElement('table');
+  table.className = 'viz-vars-table';
+  const body = document.createElement('tbody');
+  table.append(body);
+
+  root.append(summary, table);
+  anchor.after(root);
+
+  let shown = null;
+  let shownPrevious = null;
+
+  /** Show `snapshot`, comparing against `previous` (null on the first step). */
+  function update(snapshot, previous) {
+    if (snapshot === shown && previous === shownPrevious) return;
+    shown = snapshot;
+    shownPrevious = previous;
+
+    const before = previous ? new Map(getWatchRows(previous)) : null;
+    body.replaceChildren(...getWatchRows(snapshot).map(([name, value]) => {
+      const text = formatWatchValue(value);
+      const changed = before !== null && formatWatchValue(before.get(name)) !== text;
+
+      const row = document.createElement('tr');
+      row.classList.toggle('is-changed', changed);
+      const nameCell = document.createElement('th');
+      nameCell.scope = 'row';
+      nameCell.textContent = name;
+      const valueCell = document.createElement('td');
+      valueCell.textContent = text;
+      if (changed) {
+        const note = document.createElement('span');
+        note.className = 'sr-only';
+        note.textContent = ' (changed)';
+        valueCell.append(note);
+      }
+      row.append(nameCell, valueCell);
+      return row;
+    }));
+  }
+
+  return { update };
+}
+
+/* ───── Quiz mode ────────────────────────────────────────────────── *
+ *                                                                     *
+ * "Predict the next step": a panel asks about the transition out of   *
+ * its current step and holds Next until the question is answered or   *
+ * skipped; answering reveals the step.  A question is                 *
+ * { prompt, choices, answer, explain? } with `answer` one of at least *
+ * two `choices` (strings or numbers).  Scores last for the page       *
+ * session.                                                            *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/** Whether a `quiz()` result asks anything: fewer than two choices predict nothing. */
+function isQuizQuestion(candidate) {
+  return candidate?.choices?.length > 1;
+}
+
+/**
+ * Build a Quiz toggle into `controls` and a question box right after
+ * `anchor`.  `onToggle(on)` runs whenever quiz mode is switched.
+ */
+export function createQuizPanel(anchor, { controls, onToggle }) {
+  const root = document.createElement('section');
+  root.className = 'viz-quiz';
+  root.hidden = true;
+  root.setAttribute('aria-label', 'Quiz: predict the next step');
+
+  const prompt = document.createElement('p');
+  prompt.className = 'viz-quiz-prompt';
+
+  const choices = document.createElement('div');
+  choices.className = 'viz-quiz-choices';
+  choices.setAttribute('role', 'group');
+  choices.setAttribute('aria-label', 'Answers');
+
+  const skipBtn = document.createElement('button');
+  skipBtn.type = 'button';
+  skipBtn.className = 'btn viz-quiz-skip';
+  skipBtn.textContent = 'Skip';
+
+  const feedback = document.createElement('p');
+  feedback.className = 'viz-quiz-feedback';
+  feedback.setAttribute('aria-live', 'polite');
+
+  const score = document.createElement('p');
+  score.className = 'small muted viz-quiz-score';
+
+  root.append(prompt, choices, feedback, score);
+  anchor.after(root);
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'btn viz-quiz-toggle';
+  toggle.textContent = 'Quiz';
+  toggle.setAttribute('aria-pressed', 'false');
+  toggle.setAttribute('aria-label', 'Quiz: predict the next step');
+  controls.append(toggle);
+
+  let on = false;
+  let askedKey;
+  let pending = null;
+  let correct = 0;
+  let answered = 0;
+
+  function showScore() {
+    score.textContent = answered === 0
+      ? 'Session score: no answers yet.'
+      : `Session score: ${correct}/${answered} correct (${Math.round((correct / answered) * 100)}%).`;
+  }
+
+  /** Score `choice` (null when skipped) and hand control back to the panel. */
+  function settle(choice) {
+    if (!pending) return;
+    const { question, onAnswer } = pending;
+    const answer = String(question.answer);
+    pending = null;
+    askedKey = undefined;
+
+    for (const btn of choices.children) {
+      btn.disabled = true;
+      btn.classList.toggle('is-answer', btn.value === answer);
+      btn.classList.toggle('is-wrong', btn.value === choice && choice !== answer);
+    }
+    skipBtn.disabled = true;
+
+    let text;
+    if (choice === null) {
+      text = `Skipped. The answer is ${answer}.`;
+    } else {
+      answered += 1;
+      if (choice === answer) correct += 1;
+      text = choice === answer ? `Correct: ${answer}.` : `Not quite. The answer is ${answer}.`;
+    }
+    feedback.textContent = question.explain ? `${text} ${question.explain}` : text;
+    showScore();
+    onAnswer(choice === answer);
+  }
+
+  skipBtn.addEventListener('click', () => settle(null));
+  choices.addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (btn && btn !== skipBtn && !btn.disabled) settle(btn.value);
+  });
+
+  toggle.addEventListener('click', () => {
+    on = !on;
+    root.hidden = !on;
+    toggle.setAttribute('aria-pressed', String(on));
+    askedKey = undefined;
+    pending = null;
+    feedback.textContent = '';
+    onToggle(on);
+  });
+
+  showScore();
+
+  return {
+    isOn: () => on,
+    /** True while a question waits for an answer. */
+    isPending: () => pending !== null,
+    /**
+     * Show `question` (null, or fewer than two choices: nothing to predict
+     * from this step); asking the same question again is a no-op.
+     * `onAnswer(correct)` runs once.
+     */
+    ask(candidate, onAnswer) {
+      const question = isQuizQuestion(candidate) ? candidate : null;
+      const key = JSON.stringify(question);
+      if (!on || key === askedKey) return;
+      askedKey = key;
+      pending = question ? { question, onAnswer } : null;
+      prompt.textContent = question ? question.prompt : 'Nothing to predict here; press Next to continue.';
+      choices.replaceChildren(...(question?.choices ?? []).map((choice) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn viz-quiz-choice';
+        btn.value = String(choice);
+        btn.textContent = String(choice);
+        return btn;
+      }));
+      if (question) {
+        skipBtn.disabled = false;
+        choices.append(skipBtn);
+      }
+    },
+    /** Move focus to the first answer, e.g. when Next is pressed too early. */
+    focus() {
+      choices.querySelector('button:not(:disabled)')?.focus();
+    },
+  };
+}
+
+/* ───── Accessibility layer ──────────────────────────────────────── *
+ *                                                                     *
+ * A canvas is a single image to assistive tech.  Each panel describes *
+ * its current state as sections — { caption, headers, rows } — which *
+ * become the canvas's accessible description and an optional table   *
+ * view; step changes are announced through a polite live region.      *
+ * ──────────────────────────────────────────────────────────────────── */
+
+let a11yLayerCount = 0;
+
+/** One section as a sentence: "HashMap: Key 1, Value 4; Key 2, Value 9." */
+function describeSectionText({ caption, headers, rows }) {
+  if (rows.length === 0) return `${caption}: empty.`;
+  const items = rows.map((row) => row
+    .map((cell, i) => (headers[i] ? `${headers[i]} ${cell}` : String(cell)))
+    .join(', '));
+  return `${caption}: ${items.join('; ')}.`;
+}
+
+function createSectionTable({ caption, headers, rows }) {
+  const table = document.createElement('table');
+  table.className = 'viz-table';
+
+  const captionEl = document.createElement('caption');
+  captionEl.textContent = caption;
+
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  for (const header of headers) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = header;
+    headRow.append(th);
+  }
+  head.append(headRow);
+
+  const body = document.createElement('tbody');
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const cell of row) {
+      const td = document.createElement('td');
+      td.textContent = String(cell);
+      tr.append(td);
+    }
+    body.append(tr);
+  }
+  if (rows.length === 0) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = Math.max(1, headers.length);
+    td.textContent = 'Empty';
+    tr.append(td);
+    body.append(tr);
+  }
+
+  table.append(captionEl, head, body);
+  return table;
+}
+
+/**
+ * Give `canvas` a text alternative: an accessible description and a
+ * (hidden until toggled) table view right after it, plus a live region.
+ * A "Table view" toggle is appended to `controls` when given.
+ */
+export function createAccessibilityLayer(canvas, { controls = null } = {}) {
+  const id = `viz-a11y-${++a11yLayerCount}`;
+
+  const tableView = document.createElement('div');
+  tableView.className = 'viz-table-view';
+  tableView.id = `${id}-tables`;
+  tableView.hidden = true;
+
+  const description = document.createElement('p');
+  description.id = `${id}-description`;
+  description.hidden = true;
+
+  const live = document.createElement('p');
+  live.className = 'sr-only';
+  live.setAttribute('aria-live', 'polite');
+  live.setAttribute('aria-atomic', 'true');
+
+  canvas.after(tableView, description, live);
+  canvas.setAttribute('aria-describedby', description.id);
+
+  if (controls) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn viz-table-toggle';
+    toggle.textContent = 'Table view';
+    toggle.setAttribute('aria-pressed', 'false');
+    toggle.setAttribute('aria-controls', tableView.id);
+    toggle.addEventListener('click', () => {
+      tableView.hidden = !tableView.hidden;
+      toggle.setAttribute('aria-pressed', String(!tableView.hidden));
+    });
+    controls.append(toggle);
+  }
+
+  let describedKey = '';
+
+  return {
+    /** Replace the description and table view with `sections`. */
+    describe(sections) {
+      const key = JSON.stringify(sections);
+      if (key === describedKey) return;
+      describedKey = key;
+      description.textContent = sections.map(describeSectionText).join(' ');
+      tableView.replaceChildren(...sections.map(createSectionTable));
+    },
+    /** Announce `message` politely; repeats of the last message are dropped. */
+    announce(message) {
+      if (live.textContent !== message) live.textContent = message;
+    },
+  };
+}
+
+/** Fallback description for snapshot panels: the variable watch rows. */
+function describeSnapshotFields(snapshot) {
+  return [{
+    caption: 'Current state',
+    headers: ['Variable', 'Value'],
+    rows: getWatchRows(snapshot).map(([name, value]) => [name, formatWatchValue(value)]),
+  }];
+}
+
+/* ───── Generated panels ──────────────────────────────────────────── *
+ *                                                                     *
+ * The markup of a snapshot panel, for visualizations that are not     *
+ * written into algorithm-visualizations.html (see viz-plugins.js).    *
+ * Element IDs follow the hand-written panels: `idPrefix` plus         *
+ * Canvas, Status, Prev, Next, Reset, and Controls for the button row. *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/** Build a hidden `.algo-item` article for `key`, ready to append to the page. */
+export function createSnapshotPanel({ key, idPrefix, title, description = '', category = '' }) {
+  const item = document.createElement('article');
+  item.className = 'algo-item';
+  item.dataset.animation = key;
+  if (category) item.dataset.topic = category;
+  item.hidden = true;
+
+  const header = document.createElement('header');
+  header.className = 'page-header';
+  const heading = document.createElement('h2');
+  heading.textContent = title;
+  header.append(heading);
+  if (description) {
+    const text = document.createElement('p');
+    text.className = 'muted';
+    text.textContent = description;
+    header.append(text);
+  }
+
+  const section = document.createElement('section');
+  section.className = 'panel';
+  section.setAttribute('aria-label', `${title} visualization`);
+
+  const canvas = document.createElement('canvas');
+  canvas.id = `${idPrefix}Canvas`;
+  canvas.className = 'viz-canvas viz-canvas-algo';
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', `${title} visualization`);
+
+  const actions = document.createElement('div');
+  actions.id = `${idPrefix}Controls`;
+  actions.className = 'actions';
+  actions.setAttribute('aria-label', `${title} controls`);
+  for (const [name, label] of [['Prev', 'Prev'], ['Next', 'Next'], ['Reset', 'Reset']]) {
+    const button = document.createElement('button');
+    button.id = `${idPrefix}${name}`;
+    button.type = 'button';
+    button.className = name === 'Next' ? 'btn btn-primary' : 'btn';
+    button.textContent = label;
+    actions.append(button);
+  }
+
+  const status = document.createElement('div');
+  status.id = `${idPrefix}Status`;
+  status.className = 'status';
+
+  section.append(canvas, actions, status);
+  item.append(header, section);
+  return item;
+}
+
+function fillOptions(select, options) {
+  select.replaceChildren(...options.map(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = label;
+    return option;
+  }));
+}
+
+/**
+ * Insert a snapshot panel's extra `controls` before `anchor` (its Prev
+ * button).  A control with `options` (`[[value, label], …]`, or a
+ * function of the input returning them) becomes a labelled select, any
+ * other a button; `onPick(control, value)` runs on change or click
+ * (`value` is undefined for buttons).  `sync(input)` refills input-driven
+ * options and shows each select's `read(input)`; `setDisabled(on)` locks
+ * them all.
+ */
+function createCustomControls(anchor, controls, { idSuffix, onPick }) {
+  const selects = [];
+  const elements = controls.map((control) => {
+    if (!control.options) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn';
+      if (control.id) button.id = control.id + idSuffix;
+      button.textContent = control.label;
+      button.addEventListener('click', () => onPick(control, undefined));
+      anchor.before(button);
+      return button;
+    }
+    const select = document.createElement('select');
+    select.id = control.id + idSuffix;
+    select.className = 'input input-compact';
+    if (Array.isArray(control.options)) fillOptions(select, control.options);
+    select.addEventListener('change', () => onPick(control, select.value));
+
+    const label = document.createElement('label');
+    label.className = 'small';
+    label.htmlFor = select.id;
+    label.textContent = control.label;
+    anchor.before(label, select);
+    selects.push([control, select]);
+    return select;
+  });
+
+  return {
+    sync(input) {
+      for (const [control, select] of selects) {
+        if (typeof control.options === 'function') fillOptions(select, control.options(input));
+        if (control.read) select.value = String(control.read(input));
+      }
+    },
+    setDisabled(on) {
+      for (const el of elements) el.disabled = on;
+    },
+  };
+}
+
+/* ───── Camera (pan and zoom) ─────────────────────────────────────── *
+ *                                                                     *
+ * Panels created with `camera: true` get a view transform on top of   *
+ * the DPR transform from clearCanvas: Ctrl/⌘ + wheel or a trackpad    *
+ * pinch zooms around the pointer, two fingers pinch on touch screens, *
+ * dragging pans, and + / − / 0 zoom the focused canvas.  `draw` may   *
+ * return the bounds of what it drew, `{ x, y, width, height }` in its *
+ * own coordinates, so Fit can frame layouts that outgrow the canvas.  *
+ * A plain wheel still scrolls the page.                               *
+ * ──────────────────────────────────────────────────────────────────── */
+
+const CAMERA_MIN_ZOOM = 0.25;
+const CAMERA_MAX_ZOOM = 4;
+const CAMERA_FIT_PADDING = 12;
+const IDENTITY_VIEW = Object.freeze({ x: 0, y: 0, zoom: 1 });
+
+/** Apply a camera view `{ x, y, zoom }` after clearCanvas; content coordinates map to `x + zoom · p`. */
+export function applyCameraView(ctx, view) {
+  ctx.translate(view.x, view.y);
+  ctx.scale(view.zoom, view.zoom);
+}
+
+function isDrawBounds(bounds) {
+  return Boolean(bounds)
+    && [bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite)
+    && bounds.width > 0 && bounds.height > 0;
+}
+
+/**
+ * Pan and zoom for a 2D canvas.  Adds Fit and Reset view buttons to
+ * `controls` and calls `onChange()` whenever the view moves.
+ * Returns:
+ *   getView()          — `{ x, y, zoom }` for applyCameraView;
+ *   setBounds(bounds)  — what the last frame's `draw` returned;
+ *   zoomBy(factor, x?, y?) — zoom around a canvas point (default: centre);
+ *   fit() / reset()    — frame the last bounds / back to 1:1;
+ *   toContent(x, y)    — a canvas CSS-pixel point in draw coordinates.
+ */
+export function createCanvasCamera(canvas, { controls, onChange }) {
+  let view = IDENTITY_VIEW;
+  let bounds = null;
+  /** Active pointers by id, for drag and pinch. */
+  const pointers = new Map();
+
+  canvas.classList.add('viz-camera-canvas');
+  /* Focusable so the zoom keys belong to this canvas, not the whole page. */
+  canvas.tabIndex = 0;
+  canvas.setAttribute('aria-keyshortcuts', '+ - 0');
+
+  const group = document.createElement('div');
+  group.className = 'viz-camera';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'View');
+  const fitBtn = document.createElement('button');
+  fitBtn.type = 'button';
+  fitBtn.className = 'btn';
+  fitBtn.textContent = 'Fit';
+  fitBtn.title = 'Fit the drawing to the canvas';
+  const resetBtn = document.createElement('button');
+  resetBtn.type = 'button';
+  resetBtn.className = 'btn';
+  resetBtn.textContent = 'Reset view';
+  resetBtn.disabled = true;
+  group.append(fitBtn, resetBtn);
+  controls.append(group);
+
+  function setView(next) {
+    const zoom = Math.min(CAMERA_MAX_ZOOM, Math.max(CAMERA_MIN_ZOOM, next.zoom));
+    if (zoom === view.zoom && next.x === view.x && next.y === view.y) return;
+    view = Object.freeze({ x: next.x, y: next.y, zoom });
+    resetBtn.disabled = view.x === 0 && view.y === 0 && view.zoom === 1;
+    onChange();
+  }
+
+  function zoomBy(factor, px, py) {
+    const rect = canvas.getBoundingClientRect();
+    const cx = px ?? rect.width / 2;
+    const cy = py ?? rect.height / 2;
+    const zoom = Math.min(CAMERA_MAX_ZOOM, Math.max(CAMERA_MIN_ZOOM, view.zoom * factor));
+    const k = zoom / view.zoom;
+    setView({ x: cx - (cx - view.x) * k, y: cy - (cy - view.y) * k, zoom });
+  }
+
+  /** Frame the last bounds, shrinking to fit but never magnifying. */
+  function fit() {
+    const rect = canvas.getBoundingClientRect();
+    const b = bounds ?? { x: 0, y: 0, width: rect.width, height: rect.height };
+    const zoom = Math.max(CAMERA_MIN_ZOOM, Math.min(1,
+      (rect.width - CAMERA_FIT_PADDING * 2) / b.width,
+      (rect.height - CAMERA_FIT_PADDING * 2) / b.height));
+    setView({
+      x: rect.width / 2 - (b.x + b.width / 2) * zoom,
+      y: rect.height / 2 - (b.y + b.height / 2) * zoom,
+      zoom,
+    });
+  }
+
+  function reset() {
+    setView(IDENTITY_VIEW);
+  }
+
+  function localPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  function pinchOf(points) {
+    const [a, b] = points;
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, span: Math.hypot(a.x - b.x, a.y - b.y) };
+  }
+
+  canvas.addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const { x, y } = localPoint(e);
+    zoomBy(Math.exp(-Math.max(-30, Math.min(30, delta)) * 0.01), x, y);
+  }, { passive: false });
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    canvas.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, localPoint(e));
+    canvas.classList.add('is-panning');
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const before = [...pointers.values()];
+    const point = localPoint(e);
+    pointers.set(e.pointerId, point);
+    if (before.length === 1) {
+      setView({ x: view.x + point.x - last.x, y: view.y + point.y - last.y, zoom: view.zoom });
+      return;
+    }
+    /* Two fingers: pan with their midpoint and zoom with their spread. */
+    const from = pinchOf(before);
+    const to = pinchOf([...pointers.values()]);
+    setView({ x: view.x + to.x - from.x, y: view.y + to.y - from.y, zoom: view.zoom });
+    if (from.span > 0) zoomBy(to.span / from.span, to.x, to.y);
+  });
+
+  function endPointer(e) {
+    pointers.delete(e.pointerId);
+    if (!pointers.size) canvas.classList.remove('is-panning');
+  }
+  canvas.addEventListener('pointerup', endPointer);
+  canvas.addEventListener('pointercancel', endPointer);
+
+  canvas.addEventListener('keydown', (e) => {
+    if (e.target !== canvas || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!['+', '=', '-', '0'].includes(e.key)) return;
+    e.preventDefault();
+    if (e.key === '0') reset();
+    else zoomBy(e.key === '-' ? 0.8 : 1.25);
+  });
+
+  fitBtn.addEventListener('click', fit);
+  resetBtn.addEventListener('click', reset);
+
+  return {
+    getView: () => view,
+    setBounds(next) {
+      bounds = isDrawBounds(next) ? next : null;
+    },
+    zoomBy,
+    fit,
+    reset,
+    toContent: (x, y) => ({ x: (x - view.x) / view.zoom, y: (y - view.y) / view.zoom }),
+  };
+}
+
+/**
+ * Tooltips and clicks for the hit regions of the frame on screen (see
+ * Hit regions in viz-draw.js).  Hovering with a mouse or pen shows a
+ * region's tip; a click that is not the end of a drag passes a region's
+ * target to `onClick` while `canClick()` allows it (the pointer cursor
+ * follows it too).  `setRegions(regions)` after every frame.
+ */
+function createCanvasHitLayer(canvas, { onClick, canClick = () => true }) {
+  let regions = [];
+  /** Hover position in client coordinates, or null when elsewhere. */
+  let pointer = null;
+  let pressedAt = null;
+
+  const tooltip = document.createElement('div');
+  tooltip.className = 'viz-tooltip';
+  tooltip.setAttribute('role', 'tooltip');
+  tooltip.hidden = true;
+  canvas.after(tooltip);
+
+  function regionAt(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = Math.min(2, window.devicePixelRatio || 1);
+    return findHitRegion(regions, (clientX - rect.left) * dpr, (clientY - rect.top) * dpr);
+  }
+
+  function update() {
+    const region = pointer ? regionAt(pointer.x, pointer.y) : null;
+    canvas.classList.toggle('is-clickable', region?.target != null && canClick());
+    if (!region?.tip) {
+      tooltip.hidden = true;
+      return;
+    }
+    tooltip.textContent = region.tip;
+    tooltip.hidden = false;
+    const left = Math.min(pointer.x + 14, window.innerWidth - tooltip.offsetWidth - 8);
+    const below = pointer.y + 18;
+    const top = below + tooltip.offsetHeight > window.innerHeight - 8
+      ? pointer.y - tooltip.offsetHeight - 10
+      : below;
+    tooltip.style.left = `${Math.max(8, left)}px`;
+    tooltip.style.top = `${Math.max(8, top)}px`;
+  }
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (e.pointerType === 'touch') return;
+    pointer = { x: e.clientX, y: e.clientY };
+    update();
+  });
+  canvas.addEventListener('pointerleave', () => {
+    pointer = null;
+    update();
+  });
+  canvas.addEventListener('pointerdown', (e) => {
+    pressedAt = { x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener('click', (e) => {
+    const dragged = pressedAt && Math.hypot(e.clientX - pressedAt.x, e.clientY - pressedAt.y) > 4;
+    pressedAt = null;
+    if (dragged) return;
+    const region = regionAt(e.clientX, e.clientY);
+    if (region?.target != null && canClick()) onClick(region.target);
+  });
+
+  return {
+    setRegions(next) {
+      regions = next;
+      if (pointer) update();
+    },
+  };
+}
+
+/* ───── Snapshot-based visualization framework ────────────────────── *
+ *                                                                     *
+ * Handles: DOM lookup, canvas resize, Prev/Next/Reset wiring,         *
+ * animated step transitions (Prev plays them in reverse), timeline    *
+ * scrubbing, resize and theme redraws, code highlighting, a variable  *
+ * watch, a text alternative for the canvas (see                       *
+ * createAccessibilityLayer) and autoplay.                             *
+ *                                                                     *
+ * Each visualization only needs to provide:                           *
+ *   buildSnapshots(input) — returns the step array                    *
+ *   draw(ctx, state)      — renders one frame                         *
+ * and, when runs use generated data, createInput() so the input can   *
+ * be deep-linked and replayed.  Every run can be exported as a JSON   *
+ * trace, and a trace can be loaded to replay recorded snapshots       *
+ * through `draw` (see viz-trace.js).  Extra `controls` (selects and   *
+ * buttons before Prev) edit the input and rebuild the run; see        *
+ * applyControl.  Pass `code` listings and tag snapshots with `line`   *
+ * to get a synced code panel, and                                     *
+ * quiz(snapshot, nextSnapshot, snapshots) — returning a question or   *
+ * null — to offer quiz mode (see createQuizPanel).  A module that     *
+ * exports its `draw` can pass `drawModule: import.meta.url` to draw   *
+ * in a worker where the browser supports OffscreenCanvas (see         *
+ * viz-offscreen.js); exports and trace checks still draw here.        *
+ * `camera: true` adds pan and zoom (see createCanvasCamera).  Shapes  *
+ * drawn with a `hit` option show tooltips, and onCanvasClick turns    *
+ * clicks on them into new input (see createCanvasHitLayer).           *
+ *                                                                     *
+ * Returns a panel handle (see createPanelHandle) that the picker's    *
+ * compare view drives in lock-step with a second panel, and that the  *
+ * picker pauses, resumes and disposes as panels are hidden and shown. *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/**
+ * The control surface every panel's init returns, so two panels can be
+ * stepped from one set of controls and the picker can manage panels it
+ * does not show:
+ *   stepForward() / stepBackward() / reset() — like Next / Prev / Reset,
+ *     except that reset() never regenerates the input;
+ *   isAtEnd() / isBusy() — last step reached / transition running;
+ *   pause() / resume() — stop the panel's own autoplay, and play again if
+ *     pause() interrupted it;
+ *   dispose() — release whatever outlives the panel's markup (document and
+ *     window listeners, observers, timers, GPU contexts); the handle is
+ *     dead afterwards, and the picker re-creates the panel from fresh
+ *     markup when it is shown again;
+ *   inputShape — panels with equal non-null shapes accept each other's
+ *     getInput() through setInput(input), which returns false on rejection.
+ */
+export function createPanelHandle({
+  stepForward, stepBackward, reset, isAtEnd, isBusy = () => false, pause, resume = () => {},
+  dispose = () => {}, inputShape = null, getInput = () => undefined, setInput = () => false,
+}) {
+  return Object.freeze({
+    stepForward, stepBackward, reset, isAtEnd, isBusy, pause, resume, dispose, inputShape, getInput, setInput,
+  });
+}
+
+/**
+ * The `draw(ctx, state)` argument for `stepIndex` of `run`, optionally
+ * mid-transition towards `toIndex` (`linearProgress` is eased here).
+ * Also built by viz-render-worker.js for panels drawn off the main thread.
+ */
+export function createDrawState(run, width, height, stepIndex, toIndex = null, linearProgress = 1) {
+  const snapshot = run[stepIndex];
+  return {
+    width, height, snapshot,
+    toSnapshot: toIndex == null ? snapshot : run[toIndex],
+    progress: toIndex == null ? 1 : easeInOutCubic(linearProgress),
+    isAnimating: toIndex != null,
+    stepIndex, snapshots: run,
+  };
+}
+
+export function createSnapshotVisualization({
+  canvasId, statusId, prevId, nextId, resetId,
+  buildSnapshots, draw, animationMs = 700, rebuildSnapshotsOnReset = false,
+  createInput = null, isValidInput = null, initialInput,
+  parseInput = null, formatInput = String, inputLabel = 'Input', inputPlaceholder = '',
+  code = null, describe = describeSnapshotFields, idSuffix = '', inputShape = null, quiz = null,
+  controls = [], drawModule = null, camera = false, onCanvasClick = null,
+}) {
+  const canvas = document.getElementById(canvasId + idSuffix);
+  const statusEl = document.getElementById(statusId + idSuffix);
+  const prevBtn = document.getElementById(prevId + idSuffix);
+  const nextBtn = document.getElementById(nextId + idSuffix);
+  const resetBtn = document.getElementById(resetId + idSuffix);
+
+  if (!canvas || !statusEl || !prevBtn || !nextBtn || !resetBtn) return;
+
+  let offscreen = drawModule ? startOffscreenRenderer() : null;
+  let ctx = offscreen ? null : canvas.getContext('2d');
+  if (!offscreen && !ctx) {
+    statusEl.textContent = 'Canvas 2D is not available.';
+    statusEl.classList.add('is-error');
+    return;
+  }
+
+  const reduceMotion = getReducedMotion();
+  const hasInput = Boolean(createInput || parseInput);
+  /* Without an explicit guard, linked input must survive a format → parse round trip. */
+  const acceptsInput = isValidInput ?? (parseInput && ((candidate) => {
+    try {
+      return JSON.stringify(parseInput(formatInput(candidate), candidate)) === JSON.stringify(candidate);
+    } catch {
+      return false;
+    }
+  }));
+  let input;
+  let seed = null;
+  let inputError = null;
+  /** Set for good when the render worker fails after taking the canvas. */
+  let renderError = null;
+  /** `{ title, input }` of the loaded trace while one replaces the built run. */
+  let trace = null;
+
+  /**
+   * Draw in a worker when `drawModule` is set and the browser can transfer
+   * the canvas; null means drawing stays on the main thread.  A worker that
+   * fails before it takes the canvas hands drawing back to this thread.
+   */
+  function startOffscreenRenderer() {
+    if (!canRenderOffscreen(canvas)) return null;
+    try {
+      const renderer = createOffscreenRenderer(canvas, {
+        moduleUrl: drawModule,
+        onError(message, canvasLost) {
+          if (canvasLost) {
+            renderError = message;
+          } else {
+            console.warn(`Drawing "${canvasId}" on the main thread: ${message}`);
+            offscreen = null;
+            ctx = canvas.getContext('2d');
+            if (!ctx) renderError = 'Canvas 2D is not available.';
+          }
+          render();
+        },
+        onDrawn({ bounds, regions }) {
+          canvasCamera?.setBounds(bounds);
+          hitLayer.setRegions(regions);
+        },
+      });
+      renderer.setTheme(getThemeState());
+      return renderer;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build snapshots for `candidate`; commits it (and the seed that produced
+   * it, if any) as the current input on success.
+   */
+  function tryBuild(candidate, candidateSeed = null) {
+    if (acceptsInput && !acceptsInput(candidate)) return null;
+    try {
+      const built = buildSnapshots(candidate);
+      if (!Array.isArray(built) || built.length === 0) return null;
+      input = candidate;
+      seed = candidateSeed;
+      if (seedControl) seedControl.setSeed(seed);
+      if (inputControl) inputControl.setValue(formatInput(input));
+      if (customControls) customControls.sync(input);
+      return built;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Reseed the shared PRNG and generate a run's input from it. */
+  function buildFromSeed(nextSeed) {
+    setRandomSeed(nextSeed);
+    return tryBuild(createInput(), nextSeed);
+  }
+
+  function buildFresh() {
+    return createInput ? buildFromSeed(createRandomSeed()) : tryBuild(initialInput);
+  }
+
+  const seedControl = createInput
+    ? createSeedControl(prevBtn.parentElement, { onApply: applySeed })
+    : null;
+  const inputControl = parseInput
+    ? createInputControl(prevBtn.parentElement, {
+      label: inputLabel, placeholder: inputPlaceholder, describedBy: statusEl.id, onApply: applyInputText,
+    })
+    : null;
+  const customControls = controls.length
+    ? createCustomControls(prevBtn, controls, { idSuffix, onPick: applyControl })
+    : null;
+
+  const link = bindVisualizationHash(canvas, {
+    /* A loaded trace cannot be rebuilt from a link, so links keep only its step. */
+    getState: () => ({
+      step: state.stepIndex,
+      seed: createInput && !trace ? seed : null,
+      input: hasInput && !trace ? input : undefined,
+      atEnd: state.stepIndex >= snapshots.length - 1,
+    }),
+    onRestore: restoreFromLink,
+  });
+
+  function buildFromLink(linked) {
+    if (!hasInput || !linked) return null;
+    if (linked.input !== undefined) return tryBuild(linked.input, linked.seed ?? null);
+    return createInput && linked.seed ? buildFromSeed(linked.seed) : null;
+  }
+
+  let snapshots = buildFromLink(link.initial) || buildFresh();
+  if (!Array.isArray(snapshots) || snapshots.length === 0) {
+    statusEl.textContent = 'No snapshots to display.';
+    statusEl.classList.add('is-error');
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+    resetBtn.disabled = true;
+    return;
+  }
+  const state = { stepIndex: 0, width: 0, height: 0, animation: null };
+  let autoplay = null;
+  const timeline = createSnapshotTimeline(canvas, { onSeek: jumpToStep });
+  timeline.setSnapshots(snapshots);
+  const a11y = createAccessibilityLayer(canvas, { controls: prevBtn.parentElement });
+  /* A pending quiz question holds the run still: a click would rewrite what it asks about. */
+  const hitLayer = createCanvasHitLayer(canvas, {
+    onClick: applyCanvasClick,
+    canClick: () => !quizPanel?.isPending(),
+  });
+  const canvasCamera = camera
+    ? createCanvasCamera(canvas, { controls: prevBtn.parentElement, onChange: () => render() })
+    : null;
+  let describedSnapshot = null;
+  const variableWatch = createVariableWatch(statusEl);
+  const codePanel = code ? createCodePanel(statusEl, code) : null;
+  const quizPanel = quiz
+    ? createQuizPanel(statusEl, {
+      controls: prevBtn.parentElement,
+      onToggle: (on) => {
+        if (on && autoplay) autoplay.pause();
+        timeline.setConcealed(on);
+        render();
+      },
+    })
+    : null;
+  /** Steps whose question was answered or skipped in the current run. */
+  const quizAnswered = new Set();
+
+  const STEP_INTERVAL = 1000;
+  const DONE_PAUSE = 1800;
+
+  /**
+   * `{ stepIndex, toIndex, progress }` of the frame on screen.  A backward
+   * step replays the forward transition into the current step with
+   * progress running from 1 to 0.
+   */
+  function getCurrentFrame() {
+    const { stepIndex, animation } = state;
+    if (!animation) return { stepIndex, toIndex: null, progress: 1 };
+    return animation.reverse
+      ? { stepIndex: animation.toIndex, toIndex: stepIndex, progress: 1 - animation.progress }
+      : { stepIndex, toIndex: animation.toIndex, progress: animation.progress };
+  }
+
+  function getCurrentDrawState(run, width, height) {
+    const frame = getCurrentFrame();
+    return createDrawState(run, width, height, frame.stepIndex, frame.toIndex, frame.progress);
+  }
+
+  createExportControl(statusEl, {
+    fileName: getVisualizationKey(canvas) ?? canvasId,
+    getRun: () => {
+      const run = snapshots;
+      return {
+        layout: { width: state.width, height: state.height },
+        frameCount: run.length,
+        timing: { animationMs, holdMs: STEP_INTERVAL, endHoldMs: DONE_PAUSE },
+        renderFrame: (frameCtx, frame, { width, height }, scale) => {
+          clearExportCanvas(frameCtx, width, height, scale);
+          draw(frameCtx, createDrawState(run, width, height, frame.stepIndex, frame.toIndex, frame.progress));
+        },
+      };
+    },
+    getFrame: () => ({
+      layout: { width: state.width, height: state.height },
+      renderStill: (frameCtx, { width, height }, scale) => {
+        clearExportCanvas(frameCtx, width, height, scale);
+        draw(frameCtx, getCurrentDrawState(snapshots, width, height));
+      },
+    }),
+  });
+
+  const traceControl = createTraceControl(statusEl, {
+    fileName: getVisualizationKey(canvas) ?? canvasId,
+    getTrace: () => createTrace({
+      visualization: getVisualizationKey(canvas) ?? canvasId,
+      title: trace ? trace.title : canvas.closest('.algo-item')?.querySelector('h2')?.textContent.trim(),
+      input: trace ? trace.input : hasInput ? input : null,
+      seed: trace ? null : seed,
+      snapshots,
+    }),
+    onLoad: loadTrace,
+  });
+
+  /** Draw every step and transition of `run` offscreen; throws when `draw` or `describe` cannot. */
+  function checkDrawable(run) {
+    const probe = document.createElement('canvas').getContext('2d');
+    const width = state.width || 640;
+    const height = state.height || 340;
+    run.forEach((snapshot, i) => {
+      try {
+        if (probe) {
+          draw(probe, createDrawState(run, width, height, i));
+          if (i < run.length - 1) draw(probe, createDrawState(run, width, height, i, i + 1, 0.5));
+        }
+        describe(snapshot, run);
+      } catch (e) {
+        throw new Error(`Snapshot ${i} cannot be drawn by this panel: ${e.message}`);
+      }
+    });
+  }
+
+  /** Replay trace JSON in place of the built run; returns `{ ok, message }`. */
+  function loadTrace(text) {
+    let loaded;
+    try {
+      loaded = parseTrace(text, { visualization: getVisualizationKey(canvas) });
+      checkDrawable(loaded.snapshots);
+    } catch (e) {
+      return { ok: false, message: e.message };
+    }
+    if (autoplay) autoplay.pause();
+    const title = typeof loaded.metadata.title === 'string' ? loaded.metadata.title : '';
+    showRun(loaded.snapshots, { title, input: loaded.input });
+    const count = loaded.snapshots.length;
+    return {
+      ok: true,
+      message: `Replaying ${title ? `“${title}”` : 'the trace'}: ${count} snapshot${count === 1 ? '' : 's'}. `
+        + 'Reset rewinds it; new input leaves it.',
+    };
+  }
+
+  function resetToStart(shouldRebuild) {
+    inputError = null;
+    quizAnswered.clear();
+    if (shouldRebuild && !trace) {
+      const rebuilt = createInput ? buildFresh() : tryBuild(input);
+      if (!rebuilt) return;
+      snapshots = rebuilt;
+      timeline.setSnapshots(snapshots);
+    }
+    state.stepIndex = 0;
+    state.animation = null;
+    render();
+  }
+
+  /** Show `rebuilt` from step 0; `loadedTrace` when it came from a trace. */
+  function showRun(rebuilt, loadedTrace = null) {
+    if (trace && !loadedTrace) traceControl.showMessage('');
+    trace = loadedTrace;
+    quizAnswered.clear();
+    snapshots = rebuilt;
+    timeline.setSnapshots(snapshots);
+    inputError = null;
+    state.stepIndex = 0;
+    state.animation = null;
+    render();
+  }
+
+  function applySeed(nextSeed) {
+    const rebuilt = buildFromSeed(nextSeed);
+    if (rebuilt) showRun(rebuilt);
+  }
+
+  /** Parse, validate and run user-typed input; returns an error message on failure. */
+  function applyInputText(text) {
+    let rebuilt = null;
+    let message = 'Could not build a run from this input.';
+    try {
+      const candidate = parseInput(text, input);
+      rebuilt = tryBuild(candidate);
+    } catch (e) {
+      message = e.message;
+    }
+    if (rebuilt) {
+      showRun(rebuilt);
+      return null;
+    }
+    inputError = `Invalid input: ${message}`;
+    if (autoplay) autoplay.pause();
+    render();
+    return message;
+  }
+
+  /**
+   * Rebuild from a custom control: a select's `apply(value, input)` or a
+   * button's `apply(input)` returns the next input; a button without
+   * `apply` draws a new random input from `createInput`.
+   */
+  function applyControl(control, value) {
+    let rebuilt = null;
+    try {
+      if (!control.apply) rebuilt = buildFresh();
+      else rebuilt = tryBuild(control.options ? control.apply(value, input) : control.apply(input));
+    } catch {
+      rebuilt = null;
+    }
+    if (rebuilt) {
+      showRun(rebuilt);
+      return;
+    }
+    customControls.sync(input);
+    inputError = 'Invalid input: these settings do not give a run.';
+    render();
+  }
+
+  /**
+   * A click on a hit region with a `target`: onCanvasClick(target,
+   * { input, stepIndex, snapshot }) may return `{ input, step? }` to rebuild
+   * the run and animate into `step`.  Ignored mid-step, during a trace and
+   * while a quiz question is pending.
+   */
+  function applyCanvasClick(target) {
+    if (!onCanvasClick || state.animation || trace || quizPanel?.isPending()) return;
+    const next = onCanvasClick(target, { input, stepIndex: state.stepIndex, snapshot: snapshots[state.stepIndex] });
+    if (!next) return;
+    const rebuilt = tryBuild(next.input);
+    if (!rebuilt) {
+      inputError = 'Invalid input: that click does not give a run.';
+      render();
+      return;
+    }
+    if (autoplay) autoplay.pause();
+    showRun(rebuilt);
+    const step = Math.max(0, Math.min(snapshots.length - 1, next.step ?? 0));
+    if (step > 0) {
+      state.stepIndex = step - 1;
+      runStepAnimation(step);
+    }
+  }
+
+  function restoreFromLink(linked) {
+    inputError = null;
+    const inputChanged = hasInput && (linked.input !== undefined
+      ? JSON.stringify(linked.input) !== JSON.stringify(input)
+      : Boolean(linked.seed) && linked.seed !== seed);
+    if (inputChanged) {
+      const rebuilt = buildFromLink(linked);
+      if (rebuilt) {
+        trace = null;
+        quizAnswered.clear();
+        snapshots = rebuilt;
+        timeline.setSnapshots(snapshots);
+      }
+    }
+    state.animation = null;
+    state.stepIndex = Math.min(snapshots.length - 1, linked.step ?? 0);
+    render();
+  }
+
+  /** The run last sent to the render worker. */
+  let offscreenRun = null;
+
+  /** Draw the frame on screen, here or in the render worker; returns the canvas's CSS size. */
+  function paint() {
+    if (offscreen) {
+      if (offscreenRun !== snapshots) {
+        offscreen.setRun(snapshots);
+        offscreenRun = snapshots;
+      }
+      return offscreen.drawFrame({ ...getCurrentFrame(), view: canvasCamera?.getView() ?? null });
+    }
+    if (!ctx) return { width: state.width, height: state.height };
+    const { width, height } = resize2dCanvas(canvas);
+    clearCanvas(ctx, width, height);
+    if (canvasCamera) applyCameraView(ctx, canvasCamera.getView());
+    const { value: bounds, regions } = collectHitRegions(
+      () => draw(ctx, getCurrentDrawState(snapshots, width, height)),
+    );
+    if (canvasCamera) canvasCamera.setBounds(bounds);
+    hitLayer.setRegions(regions);
+    return { width, height };
+  }
+
+  function render() {
+    const { width, height } = paint();
+    state.width = width;
+    state.height = height;
+
+    /* Mid-transition, the status and panels already show the target step. */
+    const activeIndex = state.animation ? state.animation.toIndex : state.stepIndex;
+    const activeSnap = snapshots[activeIndex];
+    const total = snapshots.length - 1;
+    const stepLabel = activeIndex <= 0
+      ? ''
+      : activeIndex >= total
+        ? `[${total}/${total}] `
+        : `[${activeIndex}/${total}] `;
+    const statusText = renderError ?? inputError ?? stepLabel + activeSnap.text;
+    statusEl.textContent = statusText;
+    statusEl.classList.toggle('is-error', renderError !== null || inputError !== null);
+    a11y.announce(statusText);
+    if (activeSnap !== describedSnapshot) {
+      describedSnapshot = activeSnap;
+      a11y.describe(describe(activeSnap, snapshots));
+    }
+    if (codePanel) codePanel.highlight(activeSnap.line);
+    variableWatch.update(activeSnap, snapshots[activeIndex - 1] ?? null);
+    timeline.update(activeIndex);
+    if (!state.animation) {
+      link.sync();
+      askQuizQuestion();
+    }
+    prevBtn.disabled = state.stepIndex <= 0 || state.animation !== null;
+    nextBtn.disabled = state.stepIndex >= snapshots.length - 1 || state.animation !== null
+      || Boolean(quizPanel?.isPending());
+    if (customControls) customControls.setDisabled(state.animation !== null);
+  }
+
+  /** In quiz mode, ask about the step out of the current one; answering reveals it. */
+  function askQuizQuestion() {
+    if (!quizPanel?.isOn()) return;
+    const from = state.stepIndex;
+    const question = from < snapshots.length - 1 && !quizAnswered.has(from)
+      ? quiz(snapshots[from], snapshots[from + 1], snapshots)
+      : null;
+    quizPanel.ask(question, () => {
+      quizAnswered.add(from);
+      if (state.stepIndex !== from || state.animation) return;
+      inputError = null;
+      runStepAnimation(from + 1);
+    });
+  }
+
+  function stepForward() {
+    if (state.stepIndex >= snapshots.length - 1 || state.animation) return;
+    if (quizPanel?.isPending()) {
+      quizPanel.focus();
+      return;
+    }
+    inputError = null;
+    runStepAnimation(state.stepIndex + 1);
+  }
+
+  function stepBackward() {
+    if (state.stepIndex <= 0 || state.animation) return;
+    inputError = null;
+    runStepAnimation(state.stepIndex - 1);
+  }
+
+  /** The first step from `from` on whose quiz question is still unanswered. */
+  function nextQuizStop(from) {
+    for (let i = from; i < snapshots.length - 1; i++) {
+      if (!quizAnswered.has(i) && isQuizQuestion(quiz(snapshots[i], snapshots[i + 1], snapshots))) return i;
+    }
+    return snapshots.length - 1;
+  }
+
+  /** Timeline seek; in quiz mode, seeking ahead stops at the next question to answer. */
+  function jumpToStep(index) {
+    let target = Math.max(0, Math.min(snapshots.length - 1, Math.round(index)));
+    if (quizPanel?.isOn() && target > state.stepIndex) target = Math.min(target, nextQuizStop(state.stepIndex));
+    if (target === state.stepIndex && !state.animation) {
+      timeline.update(state.stepIndex);
+      if (quizPanel?.isPending()) quizPanel.focus();
+      return;
+    }
+    inputError = null;
+    state.animation = null;
+    state.stepIndex = target;
+    render();
+  }
+
+  /**
+   * Animate to `targetIndex`: forward to any later step, or backward by one
+   * step (the forward transition played in reverse).  Anything else jumps.
+   */
+  function runStepAnimation(targetIndex) {
+    const reverse = targetIndex === state.stepIndex - 1;
+    if (state.animation || (targetIndex <= state.stepIndex && !reverse) || reduceMotion) {
+      state.stepIndex = targetIndex;
+      render();
+      return;
+    }
+
+    state.animation = { toIndex: targetIndex, reverse, startTs: performance.now(), progress: 0 };
+
+    function tick(ts) {
+      if (!state.animation) return;
+      const duration = animationMs / (autoplay ? autoplay.getSpeed() : 1);
+      state.animation.progress = clamp01((ts - state.animation.startTs) / duration);
+      if (state.animation.progress >= 1) {
+        state.stepIndex = state.animation.toIndex;
+        state.animation = null;
+      }
+      render();
+      if (state.animation) requestAnimationFrame(tick);
+    }
+
+    requestAnimationFrame(tick);
+  }
+
+  prevBtn.addEventListener('click', stepBackward);
+
+  nextBtn.addEventListener('click', stepForward);
+
+  resetBtn.addEventListener('click', () => {
+    resetToStart(rebuildSnapshotsOnReset);
+  });
+
+  /* Keyboard navigation — only when this panel is visible, and not in the
+     compare view, which steps both panels together (initCompareView). */
+  function onKeyDown(e) {
+    const item = canvas.closest('.algo-item');
+    if (item && (item.hidden || item.dataset.compare)) return;
+    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      e.preventDefault();
       stepForward();
     } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
       e.preventDefault();
@@ -321,24 +2253,69 @@ export function createSnapshotVisualization({
       e.preventDefault();
       resetToStart(rebuildSnapshotsOnReset);
     }
-  });
+  }
+  document.addEventListener('keydown', onKeyDown);
+
+  /* Opening a shared link to a specific step starts paused on that step. */
+  const openedAtStep = Math.min(snapshots.length - 1, link.initial?.step ?? 0);
+  state.stepIndex = openedAtStep;
 
-  new ResizeObserver(() => render()).observe(canvas);
+  const resizeObserver = new ResizeObserver(() => render());
+  resizeObserver.observe(canvas);
+  const stopThemeUpdates = onThemeChange(() => {
+    if (offscreen) offscreen.setTheme(getThemeState());
+    render();
+  });
   render();
 
-  createVisualizationAutoplaySkill({
-    enabled: !reduceMotion,
-    stepInterval: 1000,
-    donePause: 1800,
+  autoplay = createVisualizationAutoplaySkill({
+    enabled: !reduceMotion && openedAtStep === 0,
+    stepInterval: STEP_INTERVAL,
+    donePause: DONE_PAUSE,
+    controls: prevBtn.parentElement,
+    loopModes: createInput ? ['stop', 'loop', 'loop-new'] : ['stop', 'loop'],
+    loopMode: createInput ? 'loop-new' : 'loop',
     isActive: () => document.visibilityState === 'visible' && !canvas.closest('.algo-item')?.hidden,
     isBusy: () => state.animation !== null,
     isDone: () => state.stepIndex >= snapshots.length - 1,
     onStep: () => {
       if (state.stepIndex >= snapshots.length - 1 || state.animation) return;
+      if (quizPanel?.isPending()) {
+        autoplay.pause();
+        return;
+      }
+      inputError = null;
       runStepAnimation(state.stepIndex + 1);
     },
-    onReset: () => {
-      resetToStart(rebuildSnapshotsOnReset);
+    onReset: (regenerate) => {
+      resetToStart(regenerate);
+    },
+  });
+
+  return createPanelHandle({
+    stepForward,
+    stepBackward,
+    reset: () => resetToStart(false),
+    isAtEnd: () => state.stepIndex >= snapshots.length - 1,
+    isBusy: () => state.animation !== null,
+    pause: () => autoplay.suspend(),
+    resume: () => autoplay.resume(),
+    dispose() {
+      autoplay.stop();
+      state.animation = null;
+      document.removeEventListener('keydown', onKeyDown);
+      resizeObserver.disconnect();
+      stopThemeUpdates();
+      link.dispose();
+      if (offscreen) offscreen.dispose();
+    },
+    /* Two instances of one module always share a shape. */
+    inputShape: hasInput ? inputShape ?? canvasId : null,
+    getInput: () => input,
+    setInput(candidate) {
+      const rebuilt = tryBuild(candidate);
+      if (rebuilt) showRun(rebuilt);
+      return Boolean(rebuilt);
     },
   });
 }
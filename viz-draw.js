@@ -5,14 +5,154 @@
  * Every function receives an explicit `ctx` so it stays stateless and testable.
  */
 
-import { CSS, FONT_MONO, FONT_SANS } from './viz-core.js';
+import { CSS, FONT_MONO, FONT_SANS, getColorSafeRole } from './viz-core.js';
+
+/* ───── Color-blind safe marks ───────────────────────────────────── *
+ *                                                                     *
+ * In color-blind safe mode every state color also gets a shape:       *
+ * tortoise (visited / done) a ✓ and a solid line, hare (evicted /     *
+ * window) a ✕, dashes and \\\ hatching, meet (active) a ●, dots and   *
+ * /// hatching.  Cells and nodes carry the glyph and line pattern;    *
+ * highlight frames carry the line pattern and hatching.               *
+ * ──────────────────────────────────────────────────────────────────── */
+
+const COLOR_SAFE_MARKS = {
+  tortoise: { glyph: '✓', dash: [], hatch: 0 },
+  hare: { glyph: '✕', dash: [6, 4], hatch: -1 },
+  meet: { glyph: '●', dash: [2, 3], hatch: 1 },
+};
+
+const HATCH_SPACING = 8;
+
+function getColorSafeMarks(color) {
+  const role = getColorSafeRole(color);
+  return role ? COLOR_SAFE_MARKS[role] : null;
+}
+
+/** Stroke the current path, dashed when `marks` asks for it. */
+function strokeWithMarks(ctx, marks) {
+  if (!marks?.dash.length) {
+    ctx.stroke();
+    return;
+  }
+  ctx.setLineDash(marks.dash);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+/** A small badge of radius `r` with the role glyph, centered on (x, y). */
+function drawGlyphBadge(ctx, x, y, r, glyph, color) {
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, Math.PI * 2);
+  ctx.fillStyle = CSS.fill;
+  ctx.fill();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  ctx.fillStyle = color;
+  ctx.font = `700 ${Math.round(r * 1.3)}px ${FONT_SANS}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(glyph, x, y + 0.5);
+}
+
+/**
+ * Diagonal hatching inside a rectangle: `/` for direction 1, `\` for -1.
+ * Segments are clipped by hand (no ctx.clip) so SVG export keeps them.
+ */
+function drawHatching(ctx, x, y, w, h, direction, color) {
+  ctx.save();
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  if (direction > 0) {
+    for (let c = x + y + HATCH_SPACING; c < x + w + y + h; c += HATCH_SPACING) {
+      const x1 = Math.max(x, c - (y + h));
+      const x2 = Math.min(x + w, c - y);
+      ctx.moveTo(x1, c - x1);
+      ctx.lineTo(x2, c - x2);
+    }
+  } else {
+    for (let c = x - (y + h) + HATCH_SPACING; c < x + w - y; c += HATCH_SPACING) {
+      const x1 = Math.max(x, c + y);
+      const x2 = Math.min(x + w, c + y + h);
+      ctx.moveTo(x1, x1 - c);
+      ctx.lineTo(x2, x2 - c);
+    }
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/* ───── Hit regions ───────────────────────────────────────────────── *
+ *                                                                     *
+ * While a panel draws its on-screen frame, shapes drawn with a `hit`  *
+ * option — `{ tip, target? }` — are recorded as hit regions, in canvas *
+ * pixels through ctx.getTransform() so DPR and camera are included.   *
+ * Hovering a region shows `tip` (lines split on \n); clicking one with *
+ * a `target` passes it to the panel's onCanvasClick.  Exports draw    *
+ * without recording, so `hit` costs nothing there.                    *
+ * ──────────────────────────────────────────────────────────────────── */
+
+/** Regions of the frame being drawn, or null when nothing is recording. */
+let recordingRegions = null;
+
+/**
+ * Run `drawFrame()` while recording hit regions; returns
+ * `{ value, regions }` with the callback's return value.
+ */
+export function collectHitRegions(drawFrame) {
+  const outer = recordingRegions;
+  const regions = [];
+  recordingRegions = regions;
+  try {
+    return { value: drawFrame(), regions };
+  } finally {
+    recordingRegions = outer;
+  }
+}
+
+/**
+ * Record `shape` — `{ x, y, w, h }` or a circle `{ x, y, r }` in the
+ * current ctx coordinates — as a hit region for `hit`.  Primitives call
+ * this for their `hit` option; call it for hand-drawn shapes too.
+ */
+export function addHitRegion(ctx, shape, hit) {
+  if (!recordingRegions || !hit) return;
+  const m = ctx.getTransform?.() ?? { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  recordingRegions.push({
+    shape: { ...shape },
+    matrix: [m.a, m.b, m.c, m.d, m.e, m.f],
+    tip: hit.tip == null ? '' : String(hit.tip),
+    target: hit.target ?? null,
+  });
+}
+
+function containsPoint({ shape, matrix: [a, b, c, d, e, f] }, px, py) {
+  const det = a * d - b * c;
+  if (!det) return false;
+  const x = (d * (px - e) - c * (py - f)) / det;
+  const y = (a * (py - f) - b * (px - e)) / det;
+  if (shape.r != null) return Math.hypot(x - shape.x, y - shape.y) <= shape.r;
+  return x >= shape.x && x <= shape.x + shape.w && y >= shape.y && y <= shape.y + shape.h;
+}
+
+/** The topmost region under canvas pixel (px, py), or null. */
+export function findHitRegion(regions, px, py) {
+  for (let i = regions.length - 1; i >= 0; i--) {
+    if (containsPoint(regions[i], px, py)) return regions[i];
+  }
+  return null;
+}
 
 /* ───── Rounded-rectangle cell with centered text ────────────────── */
 
 /**
- * Draw a rounded-rect "cell" with white fill, a colored border, and one line
+ * Draw a rounded-rect "cell" with a themed fill, a colored border, and one line
  * of centered text.  Covers the pattern used in Fibonacci, Merge-array,
  * Moving-average, Majority, RecentCounter, Sqrt, Hamming, Reverse-bits, etc.
+ * `hit` makes the cell a hit region (see Hit regions).
  */
 export function drawRectCell(ctx, x, y, w, h, text, {
   stroke = CSS.node,
@@ -20,19 +160,22 @@ export function drawRectCell(ctx, x, y, w, h, text, {
   radius = 10,
   font = `700 16px ${FONT_MONO}`,
   textColor = CSS.label,
-  fillColor = '#ffffff',
+  fillColor = CSS.fill,
   alpha = 1,
+  hit = null,
 } = {}) {
   const needAlpha = alpha !== 1;
   if (needAlpha) ctx.globalAlpha = alpha;
 
+  const marks = getColorSafeMarks(stroke);
+
   ctx.beginPath();
   ctx.roundRect(x, y, w, h, radius);
   ctx.fillStyle = fillColor;
   ctx.fill();
   ctx.strokeStyle = stroke;
   ctx.lineWidth = lineWidth;
-  ctx.stroke();
+  strokeWithMarks(ctx, marks);
 
   if (text != null) {
     ctx.fillStyle = textColor;
@@ -42,30 +185,40 @@ export function drawRectCell(ctx, x, y, w, h, text, {
     ctx.fillText(String(text), x + w / 2, y + h / 2 + 1);
   }
 
+  if (marks) {
+    const badgeR = Math.max(4, Math.min(7, Math.min(w, h) * 0.2));
+    drawGlyphBadge(ctx, x + w - 2, y + 2, badgeR, marks.glyph, stroke);
+  }
+
   if (needAlpha) ctx.globalAlpha = 1;
+  addHitRegion(ctx, { x, y, w, h }, hit);
 }
 
 /* ───── Circle node with centered text ───────────────────────────── */
 
 /**
- * Draw a circle "node" with white fill, colored border, and optional label.
+ * Draw a circle "node" with a themed fill, colored border, and optional label.
  * Used by Hash-table (drawBall), Merge-lists (linked-list nodes), Tree
- * (binary-tree nodes), and animated operand balls.
+ * (binary-tree nodes), and animated operand balls.  `hit` makes the
+ * circle a hit region.
  */
 export function drawCircleNode(ctx, x, y, r, text, {
   stroke = CSS.node,
   lineWidth = 2,
   font = `700 16px ${FONT_MONO}`,
   textColor = CSS.label,
-  fillColor = '#ffffff',
+  fillColor = CSS.fill,
+  hit = null,
 } = {}) {
+  const marks = getColorSafeMarks(stroke);
+
   ctx.beginPath();
   ctx.arc(x, y, r, 0, Math.PI * 2);
   ctx.fillStyle = fillColor;
   ctx.fill();
   ctx.strokeStyle = stroke;
   ctx.lineWidth = lineWidth;
-  ctx.stroke();
+  strokeWithMarks(ctx, marks);
 
   if (text != null) {
     ctx.fillStyle = textColor;
@@ -74,6 +227,9 @@ export function drawCircleNode(ctx, x, y, r, text, {
     ctx.textBaseline = 'middle';
     ctx.fillText(String(text), x, y + 1);
   }
+
+  if (marks) drawGlyphBadge(ctx, x + r * 0.75, y - r * 0.75, Math.max(4, Math.min(7, r * 0.45)), marks.glyph, stroke);
+  addHitRegion(ctx, { x, y, r }, hit);
 }
 
 /* ───── Highlight frame ──────────────────────────────────────────── */
@@ -88,6 +244,8 @@ export function drawHighlightFrame(ctx, x, y, w, h, color, {
   fillAlpha = 0.12,
   strokeWidth = 2.5,
 } = {}) {
+  const marks = getColorSafeMarks(color);
+
   ctx.save();
   ctx.globalAlpha = fillAlpha;
   ctx.fillStyle = color;
@@ -96,11 +254,16 @@ export function drawHighlightFrame(ctx, x, y, w, h, color, {
   ctx.fill();
   ctx.restore();
 
+  if (marks?.hatch) {
+    const inset = radius * 0.3;
+    drawHatching(ctx, x + inset, y + inset, w - inset * 2, h - inset * 2, marks.hatch, color);
+  }
+
   ctx.strokeStyle = color;
   ctx.lineWidth = strokeWidth;
   ctx.beginPath();
   ctx.roundRect(x, y, w, h, radius);
-  ctx.stroke();
+  strokeWithMarks(ctx, marks);
 }
 
 /* ───── Directional arrow line ───────────────────────────────────── */
@@ -160,7 +323,9 @@ export function drawSectionLabel(ctx, text, x, y, {
  *
  * @param {string[]} headers  Column header labels.
  * @param {Object[]} rows     Array of row objects; values drawn by column order.
- * @param {Function} rowKey   Returns the key value of a row to match `activeKey`.
+ * @param {*}        activeKey  Key (first column) of the row to highlight.
+ * @param {Function} rowHit   (row, index) => `hit` for the row's region; by
+ *                            default a tip naming every column.  null: none.
  */
 export function drawHashmapTable(ctx, x, y, {
   headers,
@@ -170,6 +335,7 @@ export function drawHashmapTable(ctx, x, y, {
   rowH = 26,
   headerFont = `700 11px ${FONT_SANS}`,
   cellFont = `600 12px ${FONT_MONO}`,
+  rowHit = (row) => ({ tip: Object.values(row).map((v, ci) => `${headers[ci]}: ${v}`).join(' · ') }),
 } = {}) {
   const totalW = colW * headers.length;
 
@@ -212,12 +378,13 @@ export function drawHashmapTable(ctx, x, y, {
       ctx.restore();
     }
 
-    ctx.fillStyle = CSS.label;
+    ctx.fillStyle = isActive ? CSS.meet : CSS.label;
     ctx.font = cellFont;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     values.forEach((v, ci) => {
       ctx.fillText(String(v), x + colW * ci + colW / 2, ry + rowH / 2);
     });
+    if (rowHit) addHitRegion(ctx, { x, y: ry, w: totalW, h: rowH }, rowHit(rows[i], i));
   }
 }
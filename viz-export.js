@@ -0,0 +1,440 @@
+/**
+ * viz-export.js — Render a whole visualization run offscreen and save it as
+ * an animated GIF (encoded in JS) or a WebM video (MediaRecorder), or save
+ * the current frame as PNG (1×/2×/4×) or SVG.
+ *
+ * Kept free of viz-core imports: the caller supplies a `renderFrame`
+ * callback, so this module only knows about canvases, frames and bytes.
+ */
+
+import { createSvgContext } from './viz-svg.js';
+
+/* ───── Frame plan ───────────────────────────────────────────────── */
+
+/**
+ * Expand a run of `count` snapshots into timed frames: a still frame held
+ * for `holdMs` on every snapshot, then `animationMs` of transition frames
+ * at `fps` towards the next one.  The last snapshot is held for `endHoldMs`.
+ * Each frame is `{ stepIndex, toIndex, progress, duration }` where
+ * `toIndex` is null for still frames and `progress` is linear 0‥1.
+ */
+export function planRunFrames(count, { animationMs, holdMs, endHoldMs, fps }) {
+  const frames = [];
+  const frameMs = 1000 / fps;
+  const transitionFrames = Math.max(1, Math.round(animationMs / frameMs));
+
+  for (let i = 0; i < count; i++) {
+    const isLast = i === count - 1;
+    frames.push({ stepIndex: i, toIndex: null, progress: 1, duration: isLast ? endHoldMs : holdMs });
+    if (isLast) break;
+    for (let f = 1; f < transitionFrames; f++) {
+      frames.push({ stepIndex: i, toIndex: i + 1, progress: f / transitionFrames, duration: frameMs });
+    }
+  }
+  return frames;
+}
+
+/* ───── GIF encoder ──────────────────────────────────────────────── *
+ *                                                                     *
+ * GIF89a with one fixed global palette (6 red × 7 green × 6 blue      *
+ * levels = 252 colors, padded to 256) so frames need no per-frame     *
+ * quantization pass, and a plain variable-width LZW coder.            *
+ * ──────────────────────────────────────────────────────────────────── */
+
+const GIF_LEVELS_R = 6;
+const GIF_LEVELS_G = 7;
+const GIF_LEVELS_B = 6;
+
+function createGifPalette() {
+  const palette = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < GIF_LEVELS_R; r++) {
+    for (let g = 0; g < GIF_LEVELS_G; g++) {
+      for (let b = 0; b < GIF_LEVELS_B; b++) {
+        palette[i++] = Math.round((r * 255) / (GIF_LEVELS_R - 1));
+        palette[i++] = Math.round((g * 255) / (GIF_LEVELS_G - 1));
+        palette[i++] = Math.round((b * 255) / (GIF_LEVELS_B - 1));
+      }
+    }
+  }
+  return palette;
+}
+
+/** Map RGBA pixels onto the fixed palette (alpha is composited onto white). */
+function indexPixels(rgba) {
+  const out = new Uint8Array(rgba.length / 4);
+  for (let p = 0, i = 0; p < out.length; p++, i += 4) {
+    const a = rgba[i + 3] / 255;
+    const r = rgba[i] * a + 255 * (1 - a);
+    const g = rgba[i + 1] * a + 255 * (1 - a);
+    const b = rgba[i + 2] * a + 255 * (1 - a);
+    const ri = Math.round((r * (GIF_LEVELS_R - 1)) / 255);
+    const gi = Math.round((g * (GIF_LEVELS_G - 1)) / 255);
+    const bi = Math.round((b * (GIF_LEVELS_B - 1)) / 255);
+    out[p] = (ri * GIF_LEVELS_G + gi) * GIF_LEVELS_B + bi;
+  }
+  return out;
+}
+
+/** Growable byte buffer for assembling the GIF file. */
+function createByteWriter() {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+
+  function ensure(extra) {
+    if (length + extra <= bytes.length) return;
+    let size = bytes.length * 2;
+    while (size < length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(bytes.subarray(0, length));
+    bytes = next;
+  }
+
+  const writer = {
+    byte(value) {
+      ensure(1);
+      bytes[length++] = value;
+    },
+    word(value) {
+      writer.byte(value & 0xff);
+      writer.byte((value >> 8) & 0xff);
+    },
+    array(values) {
+      ensure(values.length);
+      bytes.set(values, length);
+      length += values.length;
+    },
+    ascii(text) {
+      for (let i = 0; i < text.length; i++) writer.byte(text.charCodeAt(i));
+    },
+    result() {
+      return bytes.slice(0, length);
+    },
+  };
+  return writer;
+}
+
+/** LZW-compress 8-bit indices and write them as GIF data sub-blocks. */
+function writeLzwImageData(out, indices) {
+  const MIN_CODE_SIZE = 8;
+  const CLEAR = 1 << MIN_CODE_SIZE;
+  const END = CLEAR + 1;
+  const MAX_CODE = 4095;
+
+  out.byte(MIN_CODE_SIZE);
+
+  const block = new Uint8Array(255);
+  let blockLength = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  function flushBlock() {
+    if (!blockLength) return;
+    out.byte(blockLength);
+    out.array(block.subarray(0, blockLength));
+    blockLength = 0;
+  }
+
+  let codeSize = MIN_CODE_SIZE + 1;
+  function emit(code) {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block[blockLength++] = bitBuffer & 0xff;
+      if (blockLength === 255) flushBlock();
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  }
+
+  /* Dictionary keyed by (prefix code << 8 | next index). */
+  let dict = new Map();
+  let nextCode = END + 1;
+  emit(CLEAR);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const found = dict.get(key);
+    if (found !== undefined) {
+      prefix = found;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode <= MAX_CODE) {
+      dict.set(key, nextCode);
+      if (nextCode === 1 << codeSize && codeSize < 12) codeSize += 1;
+      nextCode += 1;
+    } else {
+      emit(CLEAR);
+      dict = new Map();
+      nextCode = END + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(END);
+  if (bitCount > 0) {
+    block[blockLength++] = bitBuffer & 0xff;
+    if (blockLength === 255) flushBlock();
+  }
+  flushBlock();
+  out.byte(0);
+}
+
+/**
+ * Incremental GIF writer: `addFrame(rgba, durationMs)` per frame, then
+ * `finish()` returns the file bytes.  Loops forever.
+ */
+export function createGifEncoder(width, height) {
+  const out = createByteWriter();
+  out.ascii('GIF89a');
+  out.word(width);
+  out.word(height);
+  out.byte(0xf7); // global color table, 8-bit color resolution, 256 entries
+  out.byte(0);
+  out.byte(0);
+  out.array(createGifPalette());
+
+  /* NETSCAPE2.0 application extension: loop forever. */
+  out.array([0x21, 0xff, 0x0b]);
+  out.ascii('NETSCAPE2.0');
+  out.array([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+  return {
+    addFrame(rgba, durationMs) {
+      out.array([0x21, 0xf9, 0x04, 0x04]); // graphic control: keep previous frame
+      out.word(Math.max(2, Math.round(durationMs / 10)));
+      out.array([0x00, 0x00]);
+
+      out.byte(0x2c);
+      out.word(0);
+      out.word(0);
+      out.word(width);
+      out.word(height);
+      out.byte(0);
+      writeLzwImageData(out, indexPixels(rgba));
+    },
+    finish() {
+      out.byte(0x3b);
+      return out.result();
+    },
+  };
+}
+
+/* ───── WebM via MediaRecorder ───────────────────────────────────── */
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+function getWebmType() {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+    return null;
+  }
+  return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+export function supportsWebmExport() {
+  return getWebmType() !== null;
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Play `frames` into `canvas` in real time while MediaRecorder captures it.
+ * MediaRecorder timestamps frames by wall clock, so this takes as long as
+ * the run itself.
+ */
+async function recordWebm(canvas, frames, drawFrame, onProgress) {
+  const type = getWebmType();
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: 5_000_000 });
+  const chunks = [];
+  recorder.addEventListener('dataavailable', (e) => { if (e.data.size) chunks.push(e.data); });
+  const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve, { once: true }));
+
+  recorder.start();
+  for (let i = 0; i < frames.length; i++) {
+    drawFrame(frames[i]);
+    track.requestFrame?.();
+    onProgress((i + 1) / frames.length);
+    await sleep(frames[i].duration);
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function encodeGif(canvas, ctx, frames, drawFrame, onProgress) {
+  const gif = createGifEncoder(canvas.width, canvas.height);
+  for (let i = 0; i < frames.length; i++) {
+    drawFrame(frames[i]);
+    gif.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, frames[i].duration);
+    onProgress((i + 1) / frames.length);
+    await sleep(0); // keep the page responsive between frames
+  }
+  return new Blob([gif.finish()], { type: 'image/gif' });
+}
+
+/* ───── Download + UI ────────────────────────────────────────────── */
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export const EXPORT_WIDTHS = [480, 640, 960, 1280, 1920];
+
+/**
+ * Render the run offscreen at `outputWidth` px wide (height follows the
+ * layout's aspect ratio) and encode it.  `renderFrame(ctx, frame, layout,
+ * scale)` must paint one planned frame at the given CSS-px layout size.
+ */
+export async function exportRun({
+  format, outputWidth, layout, frameCount, timing, renderFrame, onProgress = () => {},
+}) {
+  const scale = outputWidth / layout.width;
+  const canvas = document.createElement('canvas');
+  /* GIF and most encoders want even dimensions. */
+  canvas.width = Math.round(outputWidth / 2) * 2;
+  canvas.height = Math.max(2, Math.round((layout.height * scale) / 2) * 2);
+  const ctx = canvas.getContext('2d');
+
+  const frames = planRunFrames(frameCount, { ...timing, fps: format === 'gif' ? 15 : 30 });
+  const drawFrame = (frame) => renderFrame(ctx, frame, layout, scale);
+  return format === 'gif'
+    ? encodeGif(canvas, ctx, frames, drawFrame, onProgress)
+    : recordWebm(canvas, frames, drawFrame, onProgress);
+}
+
+/* ───── Still frames ─────────────────────────────────────────────── */
+
+export const PNG_SCALES = [1, 2, 4];
+
+/**
+ * Paint the current frame at `scale` device pixels per CSS px and encode it
+ * as PNG.  `renderStill(ctx, layout, scale)` paints at the CSS-px layout size.
+ */
+export function exportFramePng({ layout, renderStill }, scale) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(layout.width * scale));
+  canvas.height = Math.max(1, Math.round(layout.height * scale));
+  renderStill(canvas.getContext('2d'), layout, scale);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed.'))), 'image/png');
+  });
+}
+
+/** Replay the same draw calls into an SVG recording context. */
+export function exportFrameSvg({ layout, renderStill }) {
+  const svg = createSvgContext(layout.width, layout.height);
+  renderStill(svg, layout, 1);
+  return new Blob([svg.toSvg()], { type: 'image/svg+xml' });
+}
+
+function createField(label, options, value) {
+  const wrap = document.createElement('label');
+  wrap.className = 'small viz-playback-field';
+  wrap.textContent = `${label} `;
+  const select = document.createElement('select');
+  select.className = 'input input-compact viz-playback-select';
+  for (const [optValue, optLabel, disabled] of options) {
+    const opt = document.createElement('option');
+    opt.value = String(optValue);
+    opt.textContent = optLabel;
+    opt.disabled = Boolean(disabled);
+    select.append(opt);
+  }
+  select.value = String(value);
+  wrap.append(select);
+  return { wrap, select };
+}
+
+function createButton(text) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn';
+  btn.textContent = text;
+  return btn;
+}
+
+/**
+ * Insert an Export row before `anchor`.  `getRun()` returns everything
+ * `exportRun` needs except format / width (omit it for panels without a
+ * snapshot run); `getFrame()` returns `{ layout, renderStill }` for the PNG
+ * and SVG buttons.  `fileName` is used without extension.
+ */
+export function createExportControl(anchor, { fileName, getRun = null, getFrame = null }) {
+  const group = document.createElement('div');
+  group.className = 'viz-export';
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Export');
+
+  const progress = document.createElement('span');
+  progress.className = 'small muted viz-export-progress';
+  progress.setAttribute('aria-live', 'polite');
+
+  const buttons = [];
+
+  /** Run one export job with every export button disabled meanwhile. */
+  async function runJob(ext, makeBlob) {
+    for (const btn of buttons) btn.disabled = true;
+    try {
+      const blob = await makeBlob();
+      downloadBlob(blob, `${fileName}.${ext}`);
+      progress.textContent = `Saved ${fileName}.${ext} (${Math.ceil(blob.size / 1024)} KB).`;
+    } catch (e) {
+      progress.textContent = `Export failed: ${e.message}`;
+    } finally {
+      for (const btn of buttons) btn.disabled = false;
+    }
+  }
+
+  if (getRun) {
+    const webm = supportsWebmExport();
+    const format = createField('Export as', [['gif', 'Animated GIF'], ['webm', 'WebM video', !webm]], 'gif');
+    const width = createField('Width', EXPORT_WIDTHS.map((w) => [w, `${w} px`]), 960);
+    const exportBtn = createButton('Export');
+    buttons.push(exportBtn);
+    group.append(format.wrap, width.wrap, exportBtn);
+
+    exportBtn.addEventListener('click', () => {
+      const kind = format.select.value;
+      progress.textContent = 'Rendering… 0%';
+      runJob(kind, () => exportRun({
+        ...getRun(),
+        format: kind,
+        outputWidth: Number(width.select.value),
+        onProgress: (p) => { progress.textContent = `Rendering… ${Math.round(p * 100)}%`; },
+      }));
+    });
+  }
+
+  if (getFrame) {
+    const scale = createField('PNG scale', PNG_SCALES.map((v) => [v, `${v}×`]), 2);
+    const pngBtn = createButton('Save PNG');
+    const svgBtn = createButton('Save SVG');
+    buttons.push(pngBtn, svgBtn);
+    group.append(scale.wrap, pngBtn, svgBtn);
+
+    pngBtn.addEventListener('click', () => {
+      runJob('png', () => exportFramePng(getFrame(), Number(scale.select.value)));
+    });
+    svgBtn.addEventListener('click', () => {
+      runJob('svg', async () => exportFrameSvg(getFrame()));
+    });
+  }
+
+  group.append(progress);
+  anchor.before(group);
+  return group;
+}
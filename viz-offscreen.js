@@ -0,0 +1,93 @@
+/**
+ * viz-offscreen.js — Hand a panel's canvas to a worker (OffscreenCanvas)
+ * so drawing heavy frames never blocks scrolling or input.
+ *
+ * Like viz-export.js this module stays free of viz-core imports: the
+ * caller sends the palette, the run and each frame's step indices, and
+ * viz-render-worker.js rebuilds the drawState and calls the module's
+ * exported `draw` there.
+ */
+
+/** Whether this browser can transfer `canvas` to a worker. */
+export function canRenderOffscreen(canvas) {
+  return typeof OffscreenCanvas === 'function'
+    && typeof Worker === 'function'
+    && typeof canvas.transferControlToOffscreen === 'function';
+}
+
+/**
+ * Draw `canvas` in a module worker with the `draw` export of `moduleUrl`.
+ * The worker first loads the module and draws the first frame it gets on
+ * a scratch canvas; only then is `canvas` transferred, so ask it for no
+ * context until `onError` says otherwise.  Throws when the worker cannot
+ * be created.
+ *
+ * Returns:
+ *   setTheme(theme)   — the palette from viz-core's getThemeState();
+ *   setRun(snapshots) — the run that frames index into;
+ *   drawFrame({ stepIndex, toIndex, progress, view }) — draw at the
+ *     canvas's current CSS size, through the camera `view` if given;
+ *     returns `{ width, height }`;
+ *   dispose()         — stop the worker.
+ * `onError(message, canvasLost)` runs once when the worker cannot load or
+ * draw.  Before the transfer `canvasLost` is false: the worker is stopped
+ * and the canvas is the caller's to draw on.  After it, the canvas is gone
+ * for good.  `onDrawn({ bounds, regions })` runs after each frame with what
+ * `draw` returned and the hit regions it recorded (see viz-draw.js).
+ */
+export function createOffscreenRenderer(canvas, { moduleUrl, onError, onDrawn = () => {} }) {
+  const worker = new Worker(new URL('./viz-render-worker.js', import.meta.url), { type: 'module' });
+  let transferred = false;
+  let failed = false;
+
+  function fail(message) {
+    if (failed) return;
+    failed = true;
+    if (!transferred) worker.terminate();
+    onError(message, transferred);
+  }
+
+  function transfer() {
+    if (failed) return;
+    let offscreen;
+    try {
+      offscreen = canvas.transferControlToOffscreen();
+    } catch (e) {
+      fail(`Could not hand the canvas to the rendering worker: ${e.message}`);
+      return;
+    }
+    transferred = true;
+    worker.postMessage({ type: 'canvas', canvas: offscreen }, [offscreen]);
+  }
+
+  worker.addEventListener('message', (e) => {
+    if (e.data?.type === 'ready') transfer();
+    else if (e.data?.type === 'error') fail(e.data.message);
+    else if (e.data?.type === 'drawn') onDrawn(e.data);
+  });
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    fail(e.message || 'the rendering worker could not start');
+  });
+  worker.postMessage({ type: 'init', moduleUrl: String(moduleUrl) });
+
+  return {
+    setTheme(theme) {
+      worker.postMessage({ type: 'theme', theme });
+    },
+    setRun(snapshots) {
+      worker.postMessage({ type: 'run', snapshots });
+    },
+    drawFrame({ stepIndex, toIndex = null, progress = 1, view = null }) {
+      const rect = canvas.getBoundingClientRect();
+      const dpr = Math.min(2, window.devicePixelRatio || 1);
+      worker.postMessage({
+        type: 'frame', width: rect.width, height: rect.height, dpr, stepIndex, toIndex, progress, view,
+      });
+      return { width: rect.width, height: rect.height };
+    },
+    dispose() {
+      worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * viz-plugins.js — Visualizations registered from outside the page's own modules.
+ *
+ * A plugin is an ES module that imports registerVisualization() from this
+ * file (by the same URL the page uses, so both share one registry) and calls
+ * it while it loads:
+ *
+ *   import { registerVisualization } from '../viz-plugins.js';
+ *   registerVisualization({ key: 'bubble-sort', title: 'Bubble sort', buildSnapshots, draw });
+ *
+ * The page lists plugin URLs in its `#vizPlugins` JSON block, imports them
+ * in order before building the picker, and then treats every registered
+ * visualization like a catalog entry: it gets a generated panel (canvas,
+ * status, Prev / Next / Reset), a picker entry, deep links, progress and
+ * the compare view.  Plugins run with the page's privileges; only list
+ * modules you trust.
+ */
+
+import { createSnapshotPanel, createSnapshotVisualization } from './viz-core.js';
+import { VISUALIZATIONS } from './visualizations/catalog.js';
+
+const KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+const DEFAULT_CATEGORY = 'Plugins';
+
+const registered = new Map();
+let loaded = false;
+
+/** `bubble-sort` → `bubbleSortPlugin`, the prefix of the panel's element IDs. */
+function idPrefixOf(key) {
+  return `${key.replace(/-([a-z0-9])/g, (_, ch) => ch.toUpperCase())}Plugin`;
+}
+
+/**
+ * Register a snapshot visualization.  Required: `key` (lowercase,
+ * hyphenated; used in #viz= links), `title`, `buildSnapshots(input)` and
+ * `draw(ctx, state)`, as for createSnapshotVisualization.  Optional:
+ * `controls` (createSnapshotVisualization's; a select needs an `id`, which
+ * should start with the key), `description` under the title,
+ * the catalog fields `category`, `difficulty`, `tags` and `complexity`
+ * (see visualizations/catalog.js), and any other createSnapshotVisualization
+ * option (`createInput`, `parseInput`, `code`, `quiz`, …).  Throws on a
+ * malformed definition, a key already taken, or a call after the page has
+ * loaded its plugins.
+ */
+export function registerVisualization({
+  key, title, buildSnapshots, draw, controls = [], description = '',
+  category = DEFAULT_CATEGORY, difficulty = null, tags = [], complexity = null,
+  ...options
+}) {
+  if (loaded) {
+    throw new Error(`Visualization "${key}" was registered after the page loaded its plugins; register while the plugin module loads.`);
+  }
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw new Error(`Visualization key "${key}" must be lowercase letters, digits and hyphens.`);
+  }
+  if (registered.has(key) || VISUALIZATIONS.some((entry) => entry.key === key)) {
+    throw new Error(`Visualization "${key}" is already registered.`);
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error(`Visualization "${key}" needs a title.`);
+  }
+  if (typeof buildSnapshots !== 'function' || typeof draw !== 'function') {
+    throw new Error(`Visualization "${key}" needs buildSnapshots() and draw() functions.`);
+  }
+  if (!Array.isArray(controls)) {
+    throw new Error(`Visualization "${key}": controls must be an array.`);
+  }
+  if (controls.some((control) => control.options && typeof control.id !== 'string')) {
+    throw new Error(`Visualization "${key}": a control with options needs an id.`);
+  }
+
+  const idPrefix = idPrefixOf(key);
+
+  function init({ idSuffix = '' } = {}) {
+    return createSnapshotVisualization({
+      ...options,
+      canvasId: `${idPrefix}Canvas`, statusId: `${idPrefix}Status`,
+      prevId: `${idPrefix}Prev`, nextId: `${idPrefix}Next`, resetId: `${idPrefix}Reset`,
+      buildSnapshots, draw, controls, idSuffix,
+    });
+  }
+
+  registered.set(key, Object.freeze({
+    key,
+    title,
+    category,
+    difficulty,
+    tags: Object.freeze([...tags]),
+    complexity,
+    load: async () => ({ default: init }),
+    panel: createSnapshotPanel({ key, idPrefix, title, description, category }),
+  }));
+}
+
+/**
+ * Import each plugin module in `urls` in order (relative URLs resolve
+ * against the page), then close registration.  A plugin that fails to load
+ * is reported and skipped.  Resolves to the registered entries: catalog
+ * entries plus `panel`, the generated `<article>` still to be added to the
+ * page.
+ */
+export async function loadVisualizationPlugins(urls) {
+  for (const url of urls) {
+    try {
+      await import(new URL(url, document.baseURI).href);
+    } catch (e) {
+      console.error('Failed to load visualization plugin "' + url + '":', e);
+    }
+  }
+  loaded = true;
+  return [...registered.values()];
+}
@@ -0,0 +1,64 @@
+/**
+ * viz-progress.js — Per-visualization progress, remembered in localStorage.
+ *
+ * For every panel key: whether a run ever reached its final snapshot, how
+ * many runs did, and the last visited `{ step, seed, input }` — the same
+ * state a deep link carries — so a reopened panel resumes where it was left.
+ */
+
+const STORAGE_KEY = 'viz-progress';
+
+/** Fired on `window` with `{ detail: { key } }` when a run completes. */
+export const PROGRESS_CHANGE_EVENT = 'viz-progresschange';
+
+let progress = null;
+
+function loadProgress() {
+  if (progress) return progress;
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '{}');
+    progress = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    // Storage may be blocked (privacy mode / policies) or hold bad JSON. Start empty.
+    progress = {};
+  }
+  return progress;
+}
+
+function saveProgress() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Storage may be blocked (privacy mode / policies). Progress lasts for this page only.
+  }
+}
+
+/** `{ completed, runs, last }` for `key`; `last` is null before the first visit. */
+export function getProgress(key) {
+  const entry = loadProgress()[key];
+  return {
+    completed: entry?.completed === true,
+    runs: Number.isInteger(entry?.runs) ? entry.runs : 0,
+    last: entry?.last && typeof entry.last === 'object' ? entry.last : null,
+  };
+}
+
+/**
+ * Remember `last` (`{ step, seed, input }`) as the visited state of `key`;
+ * `completedRun` counts a run that has just reached its final snapshot.
+ */
+export function recordProgress(key, last, { completedRun = false } = {}) {
+  const entry = getProgress(key);
+  const next = {
+    completed: entry.completed || completedRun,
+    runs: entry.runs + (completedRun ? 1 : 0),
+    last,
+  };
+  const all = loadProgress();
+  if (JSON.stringify(next) === JSON.stringify(all[key])) return;
+  all[key] = next;
+  saveProgress();
+  if (completedRun) {
+    window.dispatchEvent(new CustomEvent(PROGRESS_CHANGE_EVENT, { detail: { key } }));
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * viz-render-worker.js — Module worker behind viz-offscreen.js.
+ *
+ * Imports the visualization module named in `init` for its exported
+ * `draw`, draws the first frame on a scratch canvas, and only then asks
+ * for the panel's OffscreenCanvas with `ready`: until that trial passes,
+ * a failure leaves the page its canvas.  Frames arrive faster than a
+ * heavy draw may finish, so only the newest pending frame is drawn.
+ *
+ * Messages in:  init { moduleUrl } · canvas { canvas } · theme { theme } ·
+ *               run { snapshots } · frame { width, height, dpr,
+ *               stepIndex, toIndex, progress, view }
+ * Messages out: ready · error { message } · drawn { bounds, regions }
+ */
+
+import { applyCameraView, applyThemeState, clearCanvas, createDrawState } from './viz-core.js';
+import { collectHitRegions } from './viz-draw.js';
+
+let canvas = null;
+let ctx = null;
+let draw = null;
+let run = null;
+let pending = null;
+let scheduled = false;
+let failed = false;
+
+const nextFrame = typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame
+  : (callback) => setTimeout(callback, 0);
+
+function fail(message) {
+  if (failed) return;
+  failed = true;
+  self.postMessage({ type: 'error', message });
+}
+
+function schedule() {
+  if (scheduled || !ctx || !draw || !run || !pending || failed) return;
+  scheduled = true;
+  nextFrame(flush);
+}
+
+/** Draw `frame` on `target`, sized to the frame; returns `{ value, regions }`. */
+function drawOn(target, targetCtx, frame) {
+  const { width, height, dpr } = frame;
+  const pixelWidth = Math.max(1, Math.round(width * dpr));
+  const pixelHeight = Math.max(1, Math.round(height * dpr));
+  if (target.width !== pixelWidth || target.height !== pixelHeight) {
+    target.width = pixelWidth;
+    target.height = pixelHeight;
+  }
+  clearCanvas(targetCtx, width, height, dpr);
+  if (frame.view) applyCameraView(targetCtx, frame.view);
+  return collectHitRegions(
+    () => draw(targetCtx, createDrawState(run, width, height, frame.stepIndex, frame.toIndex, frame.progress)),
+  );
+}
+
+function flush() {
+  scheduled = false;
+  const frame = pending;
+  pending = null;
+  if (!frame || failed) return;
+  try {
+    const { value: bounds, regions } = drawOn(canvas, ctx, frame);
+    self.postMessage({ type: 'drawn', bounds: bounds ?? null, regions });
+  } catch (e) {
+    fail(`Drawing failed: ${e.message}`);
+  }
+}
+
+async function init({ moduleUrl }) {
+  try {
+    const module = await import(moduleUrl);
+    if (typeof module.draw !== 'function') throw new Error('the module exports no draw function');
+    draw = module.draw;
+  } catch (e) {
+    fail(`Could not load the drawing code: ${e.message}`);
+    return;
+  }
+  const scratch = new OffscreenCanvas(1, 1);
+  const scratchCtx = scratch.getContext('2d');
+  if (!scratchCtx) {
+    fail('Canvas 2D is not available in the rendering worker.');
+    return;
+  }
+  if (run && pending) {
+    try {
+      drawOn(scratch, scratchCtx, pending);
+    } catch (e) {
+      fail(`Drawing failed: ${e.message}`);
+      return;
+    }
+  }
+  self.postMessage({ type: 'ready' });
+}
+
+function adoptCanvas(data) {
+  canvas = data.canvas;
+  ctx = canvas.getContext('2d');
+  if (!ctx) {
+    fail('Canvas 2D is not available in the rendering worker.');
+    return;
+  }
+  schedule();
+}
+
+self.addEventListener('message', ({ data }) => {
+  if (data.type === 'init') {
+    init(data);
+  } else if (data.type === 'canvas') {
+    adoptCanvas(data);
+  } else if (data.type === 'theme') {
+    applyThemeState(data.theme);
+  } else if (data.type === 'run') {
+    run = data.snapshots;
+  } else if (data.type === 'frame') {
+    pending = data;
+    schedule();
+  }
+});
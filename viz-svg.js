@@ -0,0 +1,270 @@
+/**
+ * viz-svg.js — A drop-in stand-in for CanvasRenderingContext2D that records
+ * drawing calls as SVG elements.
+ *
+ * Covers the subset the visualizations use (paths, arcs, round rects, text,
+ * alpha, dashes, save/restore, setTransform).  Transforms are applied to
+ * coordinates as they are issued, so they must be translate + uniform scale —
+ * which is all clearCanvas() sets.
+ */
+
+const TEXT_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const BASELINE = {
+  top: 'hanging', hanging: 'hanging', middle: 'central',
+  alphabetic: 'alphabetic', ideographic: 'ideographic', bottom: 'text-after-edge',
+};
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+function fmt(n) {
+  return Number.isInteger(n) ? String(n) : String(Math.round(n * 100) / 100);
+}
+
+/** Split a CSS font shorthand ("700 16px ui-monospace, …") into SVG attributes. */
+function parseFont(font) {
+  const match = /^\s*(?:(italic|oblique)\s+)?(?:(normal|bold|[1-9]00)\s+)?([\d.]+)px\s+(.+)$/.exec(font);
+  if (!match) return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+  return {
+    style: match[1] || 'normal',
+    weight: match[2] || 'normal',
+    size: Number(match[3]),
+    family: match[4],
+  };
+}
+
+let measureCtx = null;
+
+function measureWithCanvas(font, text) {
+  if (measureCtx === null) {
+    measureCtx = document.createElement('canvas').getContext('2d') || false;
+  }
+  if (!measureCtx) return { width: String(text).length * parseFont(font).size * 0.6 };
+  measureCtx.font = font;
+  return measureCtx.measureText(text);
+}
+
+/**
+ * Create a recording context of `width` × `height` CSS px.  Pass it to any
+ * draw routine in place of a canvas context, then call `toSvg()`.
+ */
+export function createSvgContext(width, height) {
+  let elements = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let lineDash = [];
+  let path = '';
+  let hasPoint = false;
+  const stack = [];
+
+  function pt(x, y) {
+    const [a, b, c, d, e, f] = matrix;
+    return [a * x + c * y + e, b * x + d * y + f];
+  }
+
+  /** Uniform scale factor of the current transform (for radii, widths, fonts). */
+  function unit() {
+    const [a, b, c, d] = matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  function paint(style) {
+    return typeof style === 'string' ? escapeXml(style) : '#000000';
+  }
+
+  function opacityAttr() {
+    return ctx.globalAlpha < 1 ? ` opacity="${fmt(ctx.globalAlpha)}"` : '';
+  }
+
+  function strokeAttrs() {
+    const u = unit();
+    let attrs = ` stroke="${paint(ctx.strokeStyle)}" stroke-width="${fmt(ctx.lineWidth * u)}"`;
+    if (ctx.lineCap !== 'butt') attrs += ` stroke-linecap="${ctx.lineCap}"`;
+    if (ctx.lineJoin !== 'miter') attrs += ` stroke-linejoin="${ctx.lineJoin}"`;
+    if (lineDash.length) attrs += ` stroke-dasharray="${lineDash.map((v) => fmt(v * u)).join(' ')}"`;
+    return attrs;
+  }
+
+  /** Run `fn` on a scratch path so fillRect/strokeRect leave the current path alone. */
+  function withScratchPath(fn) {
+    const savedPath = path;
+    const savedPoint = hasPoint;
+    ctx.beginPath();
+    fn();
+    path = savedPath;
+    hasPoint = savedPoint;
+  }
+
+  function textElement(text, x, y, paintAttrs) {
+    const font = parseFont(ctx.font);
+    const [px, py] = pt(x, y);
+    const attrs = [
+      `x="${fmt(px)}"`, `y="${fmt(py)}"`,
+      `font-family="${escapeXml(font.family)}"`, `font-size="${fmt(font.size * unit())}"`,
+      font.weight !== 'normal' ? `font-weight="${font.weight}"` : '',
+      font.style !== 'normal' ? `font-style="${font.style}"` : '',
+      `text-anchor="${TEXT_ANCHOR[ctx.textAlign] ?? 'start'}"`,
+      `dominant-baseline="${BASELINE[ctx.textBaseline] ?? 'alphabetic'}"`,
+    ].filter(Boolean).join(' ');
+    elements.push(`<text ${attrs}${paintAttrs}${opacityAttr()}>${escapeXml(text)}</text>`);
+  }
+
+  const ctx = {
+    canvas: { width, height },
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+
+    /* ── State ── */
+
+    save() {
+      stack.push({
+        fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, lineWidth: ctx.lineWidth,
+        lineCap: ctx.lineCap, lineJoin: ctx.lineJoin, font: ctx.font, textAlign: ctx.textAlign,
+        textBaseline: ctx.textBaseline, globalAlpha: ctx.globalAlpha,
+        lineDash: [...lineDash], matrix: [...matrix],
+      });
+    },
+    restore() {
+      const saved = stack.pop();
+      if (!saved) return;
+      ({ lineDash, matrix } = saved);
+      delete saved.lineDash;
+      delete saved.matrix;
+      Object.assign(ctx, saved);
+    },
+    setTransform(a, b, c, d, e, f) {
+      matrix = [a, b, c, d, e, f];
+    },
+    resetTransform() {
+      matrix = [1, 0, 0, 1, 0, 0];
+    },
+    translate(x, y) {
+      const [a, b, c, d, e, f] = matrix;
+      matrix = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    },
+    scale(sx, sy) {
+      const [a, b, c, d, e, f] = matrix;
+      matrix = [a * sx, b * sx, c * sy, d * sy, e, f];
+    },
+    getTransform() {
+      const [a, b, c, d, e, f] = matrix;
+      return { a, b, c, d, e, f };
+    },
+    setLineDash(segments) {
+      lineDash = [...segments];
+    },
+    getLineDash() {
+      return [...lineDash];
+    },
+    measureText(text) {
+      return measureWithCanvas(ctx.font, text);
+    },
+
+    /* ── Paths ── */
+
+    beginPath() {
+      path = '';
+      hasPoint = false;
+    },
+    moveTo(x, y) {
+      const [px, py] = pt(x, y);
+      path += `M${fmt(px)} ${fmt(py)}`;
+      hasPoint = true;
+    },
+    lineTo(x, y) {
+      if (!hasPoint) { ctx.moveTo(x, y); return; }
+      const [px, py] = pt(x, y);
+      path += `L${fmt(px)} ${fmt(py)}`;
+    },
+    closePath() {
+      if (hasPoint) path += 'Z';
+    },
+    rect(x, y, w, h) {
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + w, y);
+      ctx.lineTo(x + w, y + h);
+      ctx.lineTo(x, y + h);
+      ctx.closePath();
+    },
+    arc(x, y, r, start, end, counterclockwise = false) {
+      const TAU = Math.PI * 2;
+      let sweep = counterclockwise ? start - end : end - start;
+      if (sweep >= TAU || sweep <= -TAU) sweep = TAU;
+      else sweep = ((sweep % TAU) + TAU) % TAU;
+
+      const at = (angle) => [x + r * Math.cos(angle), y + r * Math.sin(angle)];
+      const [sx, sy] = at(start);
+      if (hasPoint) ctx.lineTo(sx, sy); else ctx.moveTo(sx, sy);
+
+      const radius = fmt(r * unit());
+      const dir = counterclockwise ? -1 : 1;
+      /* SVG arcs cannot span a full turn, so go in at most half-turn pieces. */
+      let done = 0;
+      while (done < sweep - 1e-9) {
+        const piece = Math.min(Math.PI, sweep - done);
+        done += piece;
+        const [ex, ey] = pt(...at(start + dir * done));
+        path += `A${radius} ${radius} 0 0 ${counterclockwise ? 0 : 1} ${fmt(ex)} ${fmt(ey)}`;
+      }
+    },
+    roundRect(x, y, w, h, radii = 0) {
+      const r0 = Array.isArray(radii) ? radii[0] ?? 0 : radii;
+      const r = Math.max(0, Math.min(r0, Math.abs(w) / 2, Math.abs(h) / 2));
+      const corner = (cx, cy, a0) => ctx.arc(cx, cy, r, a0, a0 + Math.PI / 2);
+      ctx.moveTo(x + r, y);
+      ctx.lineTo(x + w - r, y);
+      corner(x + w - r, y + r, -Math.PI / 2);
+      ctx.lineTo(x + w, y + h - r);
+      corner(x + w - r, y + h - r, 0);
+      ctx.lineTo(x + r, y + h);
+      corner(x + r, y + h - r, Math.PI / 2);
+      ctx.lineTo(x, y + r);
+      corner(x + r, y + r, Math.PI);
+      ctx.closePath();
+    },
+
+    /* ── Painting ── */
+
+    fill() {
+      if (!path) return;
+      elements.push(`<path d="${path}" fill="${paint(ctx.fillStyle)}"${opacityAttr()}/>`);
+    },
+    stroke() {
+      if (!path) return;
+      elements.push(`<path d="${path}" fill="none"${strokeAttrs()}${opacityAttr()}/>`);
+    },
+    fillRect(x, y, w, h) {
+      withScratchPath(() => { ctx.rect(x, y, w, h); ctx.fill(); });
+    },
+    strokeRect(x, y, w, h) {
+      withScratchPath(() => { ctx.rect(x, y, w, h); ctx.stroke(); });
+    },
+    /** Clearing the whole surface drops what was recorded so far. */
+    clearRect(x, y, w, h) {
+      const [x0, y0] = pt(x, y);
+      const [x1, y1] = pt(x + w, y + h);
+      if (x0 <= 0 && y0 <= 0 && x1 >= width && y1 >= height) elements = [];
+    },
+    fillText(text, x, y) {
+      textElement(text, x, y, ` fill="${paint(ctx.fillStyle)}"`);
+    },
+    strokeText(text, x, y) {
+      textElement(text, x, y, ` fill="none"${strokeAttrs()}`);
+    },
+
+    /** The recorded drawing as a standalone SVG document. */
+    toSvg({ background = null } = {}) {
+      const bg = background ? `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>` : '';
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}" height="${fmt(height)}" `
+        + `viewBox="0 0 ${fmt(width)} ${fmt(height)}">${bg}${elements.join('')}</svg>\n`;
+    },
+  };
+  return ctx;
+}
@@ -0,0 +1,187 @@
+/**
+ * viz-trace.js — JSON traces: a run's snapshots saved as data, so a run
+ * recorded elsewhere (e.g. from an instrumented implementation) can be
+ * replayed through a panel's own draw routine.
+ *
+ *   {
+ *     "format": "algo-viz-trace",
+ *     "version": 1,
+ *     "metadata": { "visualization": "lru-cache", "title": "…", "steps": 3 },
+ *     "input": { … } | null,
+ *     "snapshots": [{ "text": "status line", "state": { …draw fields } }, …]
+ *   }
+ *
+ * `metadata.visualization` is the panel key (data-animation); other
+ * metadata fields are informational.  Each snapshot's `state` holds the
+ * fields the panel's draw routine reads from its own snapshots — export
+ * a trace from the panel to see them.
+ *
+ * Like viz-export.js this module stays free of viz-core imports.
+ */
+
+import { downloadBlob } from './viz-export.js';
+
+export const TRACE_FORMAT = 'algo-viz-trace';
+export const TRACE_VERSION = 1;
+
+/** Size guard for pasted text and files, well above any built-in run. */
+const MAX_TRACE_CHARS = 5_000_000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Wrap a run's snapshots (`{ text, …state }`) as a trace.  `input` is the
+ * input that produced the run, or null.
+ */
+export function createTrace({ visualization, title = '', input = null, seed = null, snapshots }) {
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    metadata: {
+      visualization,
+      title,
+      steps: snapshots.length,
+      ...(seed ? { seed } : {}),
+      exportedAt: new Date().toISOString(),
+    },
+    input: input ?? null,
+    snapshots: snapshots.map(({ text, ...state }) => ({ text, state })),
+  };
+}
+
+/**
+ * Parse and check trace JSON.  With `visualization`, the trace must be for
+ * that panel.  Returns `{ metadata, input, snapshots }`, the snapshots back
+ * in the panel's `{ text, …state }` shape; throws an Error whose message is
+ * fit for the status line.
+ */
+export function parseTrace(text, { visualization = null } = {}) {
+  if (text.length > MAX_TRACE_CHARS) throw new Error('The trace is too large.');
+  let trace;
+  try {
+    trace = JSON.parse(text);
+  } catch {
+    throw new Error('The trace is not valid JSON.');
+  }
+  if (!isPlainObject(trace) || trace.format !== TRACE_FORMAT) {
+    throw new Error(`The trace needs "format": "${TRACE_FORMAT}".`);
+  }
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`Only trace version ${TRACE_VERSION} is supported.`);
+  }
+  const { metadata } = trace;
+  if (!isPlainObject(metadata) || typeof metadata.visualization !== 'string') {
+    throw new Error('The trace needs metadata.visualization, the key of the panel it is for.');
+  }
+  if (visualization && metadata.visualization !== visualization) {
+    throw new Error(`This trace is for "${metadata.visualization}", not "${visualization}".`);
+  }
+  if (!Array.isArray(trace.snapshots) || trace.snapshots.length === 0) {
+    throw new Error('The trace has no snapshots.');
+  }
+  const snapshots = trace.snapshots.map((snapshot, i) => {
+    if (!isPlainObject(snapshot) || typeof snapshot.text !== 'string') {
+      throw new Error(`Snapshot ${i} needs a "text" string.`);
+    }
+    if (snapshot.state !== undefined && !isPlainObject(snapshot.state)) {
+      throw new Error(`Snapshot ${i}: "state" must be an object.`);
+    }
+    return { ...snapshot.state, text: snapshot.text };
+  });
+  return { metadata, input: trace.input ?? null, snapshots };
+}
+
+/**
+ * Insert a collapsible "Trace (JSON)" section before `anchor`: Export trace
+ * saves `getTrace()` as `<fileName>.trace.json`.  With `onLoad`, a trace
+ * can also be pasted or opened from a file; `onLoad(text)` returns
+ * `{ ok, message }`, shown under the buttons.
+ */
+export function createTraceControl(anchor, { fileName, getTrace, onLoad = null }) {
+  const root = document.createElement('details');
+  root.className = 'viz-code viz-trace';
+
+  const summary = document.createElement('summary');
+  summary.className = 'viz-code-summary';
+  summary.textContent = 'Trace (JSON)';
+
+  const body = document.createElement('div');
+  body.className = 'viz-trace-body';
+
+  const message = document.createElement('p');
+  message.className = 'small muted viz-trace-message';
+  message.setAttribute('aria-live', 'polite');
+
+  function showMessage(text, ok = true) {
+    message.textContent = text;
+    message.classList.toggle('is-error', !ok);
+  }
+
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.className = 'btn';
+  exportBtn.textContent = 'Export trace';
+  exportBtn.addEventListener('click', () => {
+    const trace = getTrace();
+    const blob = new Blob([`${JSON.stringify(trace, null, 2)}\n`], { type: 'application/json' });
+    downloadBlob(blob, `${fileName}.trace.json`);
+    showMessage(`Saved ${fileName}.trace.json (${trace.snapshots.length} snapshots).`);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'actions viz-trace-actions';
+  actions.append(exportBtn);
+  body.append(actions);
+
+  if (onLoad) {
+    const load = (text) => {
+      const result = onLoad(text);
+      showMessage(result.message, result.ok);
+    };
+
+    const label = document.createElement('label');
+    label.className = 'small viz-trace-field';
+    label.textContent = 'Paste a trace ';
+    const field = document.createElement('textarea');
+    field.className = 'textarea viz-trace-text';
+    field.rows = 4;
+    field.spellcheck = false;
+    field.placeholder = `{ "format": "${TRACE_FORMAT}", … }`;
+    label.append(field);
+
+    const pasteBtn = document.createElement('button');
+    pasteBtn.type = 'button';
+    pasteBtn.className = 'btn';
+    pasteBtn.textContent = 'Load pasted trace';
+    pasteBtn.addEventListener('click', () => load(field.value));
+
+    const fileLabel = document.createElement('label');
+    fileLabel.className = 'small viz-playback-field';
+    fileLabel.textContent = 'Open a trace file ';
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.className = 'viz-trace-file';
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (!file) return;
+      if (file.size > MAX_TRACE_CHARS) {
+        showMessage('The trace is too large.', false);
+        return;
+      }
+      load(await file.text());
+    });
+    fileLabel.append(fileInput);
+
+    actions.append(pasteBtn, fileLabel);
+    body.prepend(label);
+  }
+
+  body.append(message);
+  root.append(summary, body);
+  anchor.before(root);
+  return { showMessage };
+}